@@ -0,0 +1,141 @@
+// Named permissions and the roles that bundle them.
+//
+// Platform roles (User.role) grant account-wide permissions and are embedded
+// in the access token. Organization roles (membership role) grant permissions
+// on the organization's devices and are resolved per request.
+
+const PERMISSIONS = [
+  'devices:read',
+  'devices:write',
+  'devices:heartbeat',
+  'device-keys:manage',
+  'logs:read',
+  'logs:write',
+  'alerts:read',
+  'alerts:respond',
+  'alert-rules:manage',
+  'exports:read',
+  'exports:create',
+  'webhooks:manage',
+  'organization:manage',
+  'members:manage',
+  'organization:delete',
+  'users:manage',
+  'audit:read'
+];
+
+const VIEWER_PERMISSIONS = [
+  'devices:read',
+  'logs:read',
+  'alerts:read',
+  'exports:read'
+];
+
+const OPERATOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'devices:heartbeat',
+  'logs:write',
+  'alerts:respond',
+  'exports:create'
+];
+
+const ADMIN_PERMISSIONS = [
+  ...OPERATOR_PERMISSIONS,
+  'devices:write',
+  'device-keys:manage',
+  'alert-rules:manage',
+  'webhooks:manage',
+  'organization:manage',
+  'members:manage'
+];
+
+// Organization roles, lowest privilege first
+const ORGANIZATION_ROLES = {
+  viewer: VIEWER_PERMISSIONS,
+  operator: OPERATOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+  owner: [...ADMIN_PERMISSIONS, 'organization:delete']
+};
+
+// Platform roles
+const PLATFORM_ROLES = {
+  user: [],
+  admin: ['users:manage', 'audit:read']
+};
+
+// Scopes an OAuth API client can be granted. Clients act on their own
+// organization's data (or read the audit log); anything tied to a person, such
+// as acknowledging alerts or managing members, needs a user.
+const API_CLIENT_SCOPES = [
+  'devices:read',
+  'devices:heartbeat',
+  'logs:read',
+  'logs:write',
+  'alerts:read',
+  'exports:read',
+  'exports:create',
+  'audit:read'
+];
+
+const getPlatformPermissions = (role) => {
+  return [...(PLATFORM_ROLES[role] || [])];
+};
+
+const getOrganizationPermissions = (role) => {
+  return [...(ORGANIZATION_ROLES[role] || [])];
+};
+
+// Platform permissions for an access token: those embedded in the token that
+// the user's current role still grants (a demotion takes effect immediately).
+// Tokens issued without a permissions claim get the role's permissions.
+const resolveTokenPermissions = (tokenPermissions, role) => {
+  const granted = getPlatformPermissions(role);
+  if (!Array.isArray(tokenPermissions)) return granted;
+
+  return tokenPermissions.filter(permission => granted.includes(permission));
+};
+
+// Permissions for an API client token: the scopes in the token that the client
+// is still granted (removing a scope takes effect immediately)
+const resolveClientScopes = (tokenScopes, clientScopes = []) => {
+  if (!Array.isArray(tokenScopes)) return [];
+
+  return tokenScopes.filter(scope => clientScopes.includes(scope));
+};
+
+// Limit permissions to a token's scopes (personal access tokens). Without
+// scopes the permissions are returned unchanged.
+const restrictToScopes = (permissions, scopes = null) => {
+  if (!Array.isArray(scopes)) return permissions;
+
+  return permissions.filter(permission => scopes.includes(permission));
+};
+
+// Combine platform permissions with those of an organization membership
+const resolvePermissions = (platformPermissions = [], membership = null) => {
+  const permissions = new Set(platformPermissions);
+
+  if (membership) {
+    getOrganizationPermissions(membership.role).forEach(permission => permissions.add(permission));
+  }
+
+  return Array.from(permissions);
+};
+
+const hasPermission = (permissions, permission) => {
+  return Array.isArray(permissions) && permissions.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ORGANIZATION_ROLES,
+  PLATFORM_ROLES,
+  API_CLIENT_SCOPES,
+  getPlatformPermissions,
+  getOrganizationPermissions,
+  resolveTokenPermissions,
+  resolveClientScopes,
+  restrictToScopes,
+  resolvePermissions,
+  hasPermission
+};
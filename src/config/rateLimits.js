@@ -0,0 +1,71 @@
+// Rate limit policies. Each policy has its own counters in Redis (see
+// services/rateLimitService), keyed by a subject such as `ip:<ip>`,
+// `user:<id>` or `device:<id>`. Admins can override `max` per policy and
+// subject.
+//
+// - global: every request, per IP (per client for client credentials tokens)
+// - auth: credential checks (login, password reset, token endpoint), per IP and account
+// - user / device / apiKey: every authenticated request, per user, device,
+//   and device key or personal access token
+// - exports / auditExport: expensive route groups, per user or API client
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+// Read at call time so tests and restarts pick up the environment
+const getRateLimitPolicies = () => ({
+  global: {
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', MINUTE_MS),
+    max: envInt('RATE_LIMIT_MAX_REQUESTS', 100),
+    description: 'Requests per IP (per API client for client tokens)'
+  },
+  auth: {
+    windowMs: envInt('AUTH_RATE_LIMIT_WINDOW_MS', 15 * MINUTE_MS),
+    max: envInt('AUTH_RATE_LIMIT_MAX_REQUESTS', 5),
+    description: 'Failed credential checks per IP and account'
+  },
+  user: {
+    windowMs: envInt('USER_RATE_LIMIT_WINDOW_MS', MINUTE_MS),
+    max: envInt('USER_RATE_LIMIT_MAX_REQUESTS', 300),
+    description: 'Authenticated requests per user'
+  },
+  device: {
+    windowMs: envInt('DEVICE_RATE_LIMIT_WINDOW_MS', MINUTE_MS),
+    max: envInt('DEVICE_RATE_LIMIT_MAX_REQUESTS', 240),
+    description: 'Device key requests per device (all of its keys)'
+  },
+  apiKey: {
+    windowMs: envInt('API_KEY_RATE_LIMIT_WINDOW_MS', MINUTE_MS),
+    max: envInt('API_KEY_RATE_LIMIT_MAX_REQUESTS', 120),
+    description: 'Requests per device key or personal access token'
+  },
+  exports: {
+    windowMs: envInt('EXPORT_RATE_LIMIT_WINDOW_MS', HOUR_MS),
+    max: envInt('EXPORT_RATE_LIMIT_MAX_REQUESTS', 20),
+    description: 'Export jobs per user or API client'
+  },
+  auditExport: {
+    windowMs: envInt('AUDIT_EXPORT_RATE_LIMIT_WINDOW_MS', HOUR_MS),
+    max: envInt('AUDIT_EXPORT_RATE_LIMIT_MAX_REQUESTS', 10),
+    description: 'Audit log CSV exports per user or API client'
+  }
+});
+
+const RATE_LIMIT_POLICY_NAMES = Object.keys(getRateLimitPolicies());
+
+const getRateLimitPolicy = (name) => {
+  const policy = getRateLimitPolicies()[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  return policy;
+};
+
+module.exports = {
+  RATE_LIMIT_POLICY_NAMES,
+  getRateLimitPolicies,
+  getRateLimitPolicy
+};
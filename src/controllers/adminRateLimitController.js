@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const RateLimitOverride = require('../models/RateLimitOverride');
+const AuditEvent = require('../models/AuditEvent');
+const rateLimitService = require('../services/rateLimitService');
+const { getRateLimitPolicies } = require('../config/rateLimits');
+
+// Override as shown to admins
+const toOverrideSummary = (override) => ({
+  id: override._id,
+  policy: override.policy,
+  subject: override.subject,
+  max: override.max,
+  reason: override.reason,
+  expiresAt: override.expiresAt,
+  createdBy: override.createdBy,
+  updatedAt: override.updatedAt
+});
+
+const toOverrideSnapshot = (override) => ({
+  max: override.max,
+  reason: override.reason,
+  expiresAt: override.expiresAt
+});
+
+// GET /admin/rate-limits - Policies and their defaults
+const getPolicies = async (req, res) => {
+  try {
+    const policies = Object.entries(getRateLimitPolicies()).map(([name, policy]) => ({
+      name,
+      ...policy
+    }));
+
+    res.json({
+      success: true,
+      policies
+    });
+  } catch (error) {
+    console.error('Get rate limit policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rate limit policies'
+    });
+  }
+};
+
+// GET /admin/rate-limits/overrides - List overrides
+const getRateLimitOverrides = async (req, res) => {
+  try {
+    const { policy, subject } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (policy) query.policy = policy;
+    if (subject) query.subject = subject;
+
+    const [overrides, total] = await Promise.all([
+      RateLimitOverride.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RateLimitOverride.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      overrides: overrides.map(toOverrideSummary),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get rate limit overrides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rate limit overrides'
+    });
+  }
+};
+
+// PUT /admin/rate-limits/overrides - Create or replace the override for a policy and subject
+const setRateLimitOverride = async (req, res) => {
+  try {
+    const { policy, subject, max, reason, expiresAt } = req.body;
+
+    const existing = await RateLimitOverride.findOne({ policy, subject });
+    const before = existing ? toOverrideSnapshot(existing) : null;
+
+    const override = await RateLimitOverride.findOneAndUpdate(
+      { policy, subject },
+      {
+        max,
+        reason: reason || null,
+        expiresAt: expiresAt || null,
+        createdBy: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    // Other instances pick it up on their next reload
+    await rateLimitService.loadOverrides();
+
+    await AuditEvent.record({
+      action: 'admin.rate_limit_override_set',
+      target: { type: 'rate_limit', id: `${policy} ${subject}` },
+      req,
+      before,
+      after: toOverrideSnapshot(override)
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Rate limit override updated' : 'Rate limit override created',
+      override: toOverrideSummary(override)
+    });
+  } catch (error) {
+    console.error('Set rate limit override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving rate limit override'
+    });
+  }
+};
+
+// DELETE /admin/rate-limits/overrides/:overrideId - Remove an override
+const deleteRateLimitOverride = async (req, res) => {
+  try {
+    const { overrideId } = req.params;
+    const override = mongoose.Types.ObjectId.isValid(overrideId)
+      ? await RateLimitOverride.findByIdAndDelete(overrideId)
+      : null;
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate limit override not found'
+      });
+    }
+
+    await rateLimitService.loadOverrides();
+
+    await AuditEvent.record({
+      action: 'admin.rate_limit_override_removed',
+      target: { type: 'rate_limit', id: `${override.policy} ${override.subject}` },
+      req,
+      before: toOverrideSnapshot(override)
+    });
+
+    res.json({
+      success: true,
+      message: 'Rate limit override removed'
+    });
+  } catch (error) {
+    console.error('Delete rate limit override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing rate limit override'
+    });
+  }
+};
+
+// GET /admin/rate-limits/usage - Current counters of a subject
+const getRateLimitUsage = async (req, res) => {
+  try {
+    const { policy, subject } = req.query;
+    const counters = await rateLimitService.getUsage(policy, subject);
+
+    res.json({
+      success: true,
+      policy,
+      subject,
+      limit: rateLimitService.getLimit(policy, subject),
+      counters
+    });
+  } catch (error) {
+    console.error('Get rate limit usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rate limit usage'
+    });
+  }
+};
+
+// POST /admin/rate-limits/reset - Clear a subject's counters
+const resetRateLimit = async (req, res) => {
+  try {
+    const { policy, subject } = req.body;
+    await rateLimitService.resetCounters(policy, subject);
+
+    await AuditEvent.record({
+      action: 'admin.rate_limit_reset',
+      target: { type: 'rate_limit', id: `${policy} ${subject}` },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Rate limit counters reset'
+    });
+  } catch (error) {
+    console.error('Reset rate limit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting rate limit'
+    });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  getRateLimitOverrides,
+  setRateLimitOverride,
+  deleteRateLimitOverride,
+  getRateLimitUsage,
+  resetRateLimit
+};
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Organization = require('../models/Organization');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AuditEvent = require('../models/AuditEvent');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find the user named by :userId (null for unknown or malformed ids)
+const findTargetUser = (userId) => {
+  return mongoose.Types.ObjectId.isValid(userId) ? User.findById(userId) : null;
+};
+
+const userNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'User not found'
+  });
+};
+
+// User as shown to admins
+const toAdminUserSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  isLocked: user.isLocked,
+  lockUntil: user.lockUntil,
+  emailVerified: user.isEmailVerified(),
+  twoFactorEnabled: user.isTwoFactorEnabled(),
+  sessionCount: user.refreshTokens.length,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+// Record an admin action against a user
+const recordAdminAction = (req, action, user, details = {}) => {
+  return AuditEvent.record({
+    action: `admin.${action}`,
+    actor: { type: 'user', id: req.user._id },
+    target: { type: 'user', id: user._id },
+    req,
+    details
+  });
+};
+
+// GET /admin/users - Search users
+const getUsers = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) query.role = role;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (status === 'locked') query.lockUntil = { $gt: new Date() };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      users: users.map(toAdminUserSummary),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+};
+
+// GET /admin/users/:userId - User details and organization memberships
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    const organizations = await Organization.findForUser(user._id);
+
+    res.json({
+      success: true,
+      user: toAdminUserSummary(user),
+      organizations: organizations.map(organization => ({
+        id: organization._id,
+        name: organization.name,
+        personal: organization.personal,
+        role: organization.getMember(user._id).role
+      }))
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user'
+    });
+  }
+};
+
+// GET /admin/users/:userId/devices - Devices the user registered or can access through organizations
+const getUserDevices = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const organizations = await Organization.findForUser(user._id).select('_id');
+    const query = {
+      $or: [
+        { owner_id: user._id },
+        { organization_id: { $in: organizations.map(organization => organization._id) } }
+      ]
+    };
+
+    const [devices, total] = await Promise.all([
+      Device.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Device.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      devices,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user devices'
+    });
+  }
+};
+
+// GET /admin/users/:userId/sessions - The user's active sessions
+const getUserSessions = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    const sessions = user.refreshTokens
+      .map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt || session.createdAt
+      }))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('Admin get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user sessions'
+    });
+  }
+};
+
+// POST /admin/users/:userId/activate - Reactivate an account
+const activateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    user.isActive = true;
+    await user.save();
+    await recordAdminAction(req, 'user_activated', user);
+
+    res.json({
+      success: true,
+      message: 'User activated',
+      user: toAdminUserSummary(user)
+    });
+  } catch (error) {
+    console.error('Admin activate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error activating user'
+    });
+  }
+};
+
+// POST /admin/users/:userId/deactivate - Deactivate an account and end its sessions
+const deactivateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    user.isActive = false;
+    const endedSessions = await user.endSessions('admin');
+    await recordAdminAction(req, 'user_deactivated', user, { endedSessions });
+
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      user: toAdminUserSummary(user)
+    });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating user'
+    });
+  }
+};
+
+// POST /admin/users/:userId/unlock - Clear a login lockout early
+const unlockUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    const wasLocked = user.isLocked;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+    await recordAdminAction(req, 'user_unlocked', user, { wasLocked });
+
+    res.json({
+      success: true,
+      message: 'User unlocked',
+      user: toAdminUserSummary(user)
+    });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user'
+    });
+  }
+};
+
+// POST /admin/users/:userId/logout - End every session and revoke personal access tokens
+const forceLogoutUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    const endedSessions = await user.endSessions('admin');
+    const revokedTokens = await PersonalAccessToken.revokeAllForUser(user._id);
+    await recordAdminAction(req, 'user_logged_out', user, { endedSessions, revokedTokens });
+
+    res.json({
+      success: true,
+      message: 'User logged out from all sessions',
+      endedSessions,
+      revokedTokens
+    });
+  } catch (error) {
+    console.error('Admin force logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out user'
+    });
+  }
+};
+
+// PATCH /admin/users/:userId/role - Change platform role
+const changeUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    // Keeps at least one admin able to manage users
+    if (user._id.equals(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await recordAdminAction(req, 'user_role_changed', user, { from: previousRole, to: role });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      user: toAdminUserSummary(user)
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing user role'
+    });
+  }
+};
+
+// POST /admin/users/:userId/impersonate - Read-only access token acting as the user
+const impersonateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req.params.userId);
+    if (!user) return userNotFound(res);
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Inactive users cannot be impersonated'
+      });
+    }
+
+    const expiresIn = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+    const accessToken = user.generateImpersonationToken(req.user._id, expiresIn);
+    await recordAdminAction(req, 'impersonation_started', user, { expiresIn });
+
+    res.json({
+      success: true,
+      message: 'Read-only impersonation token issued - every request is audited',
+      accessToken,
+      expiresIn,
+      user: toAdminUserSummary(user)
+    });
+  } catch (error) {
+    console.error('Admin impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting impersonation'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  getUserDevices,
+  getUserSessions,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  forceLogoutUser,
+  changeUserRole,
+  impersonateUser
+};
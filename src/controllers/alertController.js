@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const Device = require('../models/Device');
+const { createAlertRuleSchema } = require('../validations/alert');
+const alertService = require('../services/alertService');
+
+// Find an alert in the organization (malformed ids are simply not found)
+const findOrganizationAlert = (alertId, organizationId) => {
+  return mongoose.Types.ObjectId.isValid(alertId)
+    ? Alert.findOne({ _id: alertId, organization_id: organizationId })
+    : null;
+};
+
+// Device-scoped rules may only target devices in the organization
+const scopeDeviceInOrganization = async (scope, organizationId) => {
+  if (scope.type !== 'device') return true;
+  return Boolean(await Device.exists({ _id: scope.device_id, organization_id: organizationId }));
+};
+
+// POST /alerts/rules - Create alert rule
+const createAlertRule = async (req, res) => {
+  try {
+    const { name, enabled, scope, condition, duration, severity } = req.body;
+    const organizationId = req.organization._id;
+
+    if (!(await scopeDeviceInOrganization(scope, organizationId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const rule = await AlertRule.create({
+      name,
+      owner_id: req.user._id,
+      organization_id: organizationId,
+      enabled: enabled !== undefined ? enabled : true,
+      scope,
+      condition,
+      duration: duration || 0,
+      severity: severity || 'warning'
+    });
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    console.error('Create alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating alert rule'
+    });
+  }
+};
+
+// GET /alerts/rules - List alert rules
+const getAlertRules = async (req, res) => {
+  try {
+    const rules = await AlertRule.find({ organization_id: req.organization._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Get alert rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching alert rules'
+    });
+  }
+};
+
+// PATCH /alerts/rules/:ruleId - Update alert rule
+const updateAlertRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const organizationId = req.organization._id;
+
+    const rule = await AlertRule.findOne({ _id: ruleId, organization_id: organizationId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    // The merged rule must still be a valid rule (e.g. missing_data needs a duration)
+    const current = rule.toObject();
+    const merged = {
+      name: current.name,
+      enabled: current.enabled,
+      scope: {
+        type: current.scope.type,
+        device_id: current.scope.device_id ? current.scope.device_id.toString() : undefined,
+        deviceType: current.scope.deviceType || undefined,
+        group: current.scope.group || undefined
+      },
+      condition: Object.fromEntries(
+        Object.entries(current.condition).filter(([, value]) => value !== null && value !== undefined)
+      ),
+      duration: current.duration,
+      severity: current.severity,
+      ...req.body
+    };
+
+    const { error } = createAlertRuleSchema.validate(merged, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details.map(detail => detail.message).join(', ')
+      });
+    }
+
+    if (!(await scopeDeviceInOrganization(merged.scope, organizationId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    // Open alerts belong to the old definition
+    const definitionChanged = ['scope', 'condition', 'duration'].some(key => req.body[key] !== undefined);
+    if (definitionChanged || merged.enabled === false) {
+      await alertService.resolveRuleAlerts(rule, merged.enabled === false ? 'rule_disabled' : 'rule_changed');
+      rule.pendingSince = new Map();
+    }
+
+    rule.set(merged);
+    await rule.save();
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    console.error('Update alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating alert rule'
+    });
+  }
+};
+
+// DELETE /alerts/rules/:ruleId - Delete alert rule
+const deleteAlertRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const rule = await AlertRule.findOne({ _id: ruleId, organization_id: req.organization._id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await alertService.resolveRuleAlerts(rule, 'rule_deleted');
+    await AlertRule.findByIdAndDelete(ruleId);
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete alert rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting alert rule'
+    });
+  }
+};
+
+// GET /alerts - List alerts with filtering
+const getAlerts = async (req, res) => {
+  try {
+    const { device_id, severity, state, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = { organization_id: req.organization._id };
+    if (device_id) query.device_id = device_id;
+    if (severity) query.severity = severity;
+    if (state === 'open') {
+      query.state = { $ne: 'resolved' };
+    } else if (state) {
+      query.state = state;
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const alerts = await Alert.find(query)
+      .sort({ firedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Alert.countDocuments(query);
+
+    res.json({
+      success: true,
+      alerts: alerts.map(alert => alert.toAlertEntry()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching alerts'
+    });
+  }
+};
+
+// GET /alerts/:alertId - Get alert with its state-change timeline
+const getAlert = async (req, res) => {
+  try {
+    const { alertId } = req.params;
+
+    const alert = await findOrganizationAlert(alertId, req.organization._id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      alert: {
+        ...alert.toAlertEntry(),
+        timeline: alert.timeline
+      }
+    });
+  } catch (error) {
+    console.error('Get alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching alert'
+    });
+  }
+};
+
+// Load an organization alert and check the action is allowed in its current state
+const findAlertForAction = async (req, res, action) => {
+  const alert = await findOrganizationAlert(req.params.alertId, req.organization._id);
+
+  if (!alert) {
+    res.status(404).json({
+      success: false,
+      message: 'Alert not found'
+    });
+    return null;
+  }
+
+  if (!alert.canTransition(action)) {
+    res.status(409).json({
+      success: false,
+      message: `Cannot ${action} an alert that is ${alert.state}`
+    });
+    return null;
+  }
+
+  return alert;
+};
+
+// POST /alerts/:alertId/acknowledge - Acknowledge alert
+const acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await findAlertForAction(req, res, 'acknowledge');
+    if (!alert) return;
+
+    await alertService.acknowledgeAlert(alert, req.user._id, req.body.comment);
+
+    res.json({
+      success: true,
+      alert: alert.toAlertEntry()
+    });
+  } catch (error) {
+    console.error('Acknowledge alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging alert'
+    });
+  }
+};
+
+// POST /alerts/:alertId/snooze - Snooze alert until a time
+const snoozeAlert = async (req, res) => {
+  try {
+    const alert = await findAlertForAction(req, res, 'snooze');
+    if (!alert) return;
+
+    await alertService.snoozeAlert(alert, req.user._id, new Date(req.body.until), req.body.comment);
+
+    res.json({
+      success: true,
+      alert: alert.toAlertEntry()
+    });
+  } catch (error) {
+    console.error('Snooze alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error snoozing alert'
+    });
+  }
+};
+
+// POST /alerts/:alertId/resolve - Manually resolve alert
+const resolveAlert = async (req, res) => {
+  try {
+    const alert = await findAlertForAction(req, res, 'resolve');
+    if (!alert) return;
+
+    await alertService.resolveAlert(
+      alert,
+      'manual',
+      { type: 'user', id: req.user._id },
+      req.body.comment
+    );
+
+    res.json({
+      success: true,
+      alert: alert.toAlertEntry()
+    });
+  } catch (error) {
+    console.error('Resolve alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving alert'
+    });
+  }
+};
+
+module.exports = {
+  createAlertRule,
+  getAlertRules,
+  updateAlertRule,
+  deleteAlertRule,
+  getAlerts,
+  getAlert,
+  acknowledgeAlert,
+  snoozeAlert,
+  resolveAlert
+};
@@ -0,0 +1,160 @@
+const moment = require('moment');
+const { createObjectCsvStringifier } = require('csv-writer');
+const AuditEvent = require('../models/AuditEvent');
+const { MAX_EXPORT_ROWS } = require('../validations/audit');
+
+const CSV_BATCH_SIZE = 500;
+
+const FILTER_FIELDS = ['action', 'outcome', 'actorType', 'actorId', 'targetType', 'targetId', 'requestId', 'from', 'to'];
+
+// Filters present on the request, as recorded when the log is exported
+const getFilters = (query) => {
+  return FILTER_FIELDS.reduce((filters, field) => {
+    if (query[field]) filters[field] = query[field];
+    return filters;
+  }, {});
+};
+
+const toJsonCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object' && Object.keys(value).length === 0) return '';
+  return JSON.stringify(value);
+};
+
+// Spreadsheets evaluate cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a cell so a spreadsheet shows it as text
+const toCsvCell = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+// Flatten an event into a CSV row (every cell may hold caller-supplied text)
+const toCsvRecord = (event) => Object.fromEntries(Object.entries({
+  createdAt: event.createdAt.toISOString(),
+  action: event.action,
+  outcome: event.outcome,
+  actorType: event.actor.type,
+  actorId: event.actor.id ? event.actor.id.toString() : '',
+  targetType: event.target.type || '',
+  targetId: event.target.id || '',
+  requestId: event.requestId || '',
+  ip: event.ip || '',
+  userAgent: event.userAgent || '',
+  before: toJsonCell(event.changes && event.changes.before),
+  after: toJsonCell(event.changes && event.changes.after),
+  details: toJsonCell(event.details)
+}).map(([column, value]) => [column, toCsvCell(value)]));
+
+// GET /audit - Query audit events
+const getAuditEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = AuditEvent.buildQuery(getFilters(req.query));
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit events'
+    });
+  }
+};
+
+// GET /audit/export - Download matching audit events as CSV (newest first)
+const exportAuditEvents = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || MAX_EXPORT_ROWS;
+    const filters = getFilters(req.query);
+    const query = AuditEvent.buildQuery(filters);
+
+    const csvStringifier = createObjectCsvStringifier({
+      header: [
+        { id: 'createdAt', title: 'Timestamp' },
+        { id: 'action', title: 'Action' },
+        { id: 'outcome', title: 'Outcome' },
+        { id: 'actorType', title: 'Actor Type' },
+        { id: 'actorId', title: 'Actor ID' },
+        { id: 'targetType', title: 'Target Type' },
+        { id: 'targetId', title: 'Target ID' },
+        { id: 'requestId', title: 'Request ID' },
+        { id: 'ip', title: 'IP' },
+        { id: 'userAgent', title: 'User Agent' },
+        { id: 'before', title: 'Before' },
+        { id: 'after', title: 'After' },
+        { id: 'details', title: 'Details' }
+      ]
+    });
+
+    // Exporting the audit log is itself audited
+    await AuditEvent.record({
+      action: 'audit.exported',
+      target: { type: 'audit' },
+      req,
+      details: { filters, limit }
+    });
+
+    const fileName = `audit-events-${moment().format('YYYY-MM-DD-HH-mm-ss')}.csv`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Type', 'text/csv');
+    res.write(csvStringifier.getHeaderString());
+
+    // Stream rows in batches instead of loading the whole export
+    const cursor = AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean()
+      .cursor();
+
+    let batch = [];
+    for await (const event of cursor) {
+      batch.push(toCsvRecord(event));
+      if (batch.length === CSV_BATCH_SIZE) {
+        res.write(csvStringifier.stringifyRecords(batch));
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      res.write(csvStringifier.stringifyRecords(batch));
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Export audit events error:', error);
+
+    // Headers are gone once streaming started
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit events'
+    });
+  }
+};
+
+module.exports = {
+  getAuditEvents,
+  exportAuditEvents
+};
@@ -1,11 +1,104 @@
 const User = require('../models/User');
-const TokenBlacklist = require('../models/TokenBlacklist');
+const AuditEvent = require('../models/AuditEvent');
+const Organization = require('../models/Organization');
+const UserToken = require('../models/UserToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const keyStoreService = require('../services/keyStoreService');
+const mailService = require('../services/mailService');
 const jwt = require('jsonwebtoken');
 
+const getVerificationExpiryHours = () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+const getPasswordResetExpiryMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Unverified accounts can only log in when enforcement is off
+const isEmailVerificationRequired = () => process.env.EMAIL_VERIFICATION_REQUIRED === 'true';
+
+// Issue a verification token and email the link (mail failures are logged only)
+const sendVerificationEmail = async (user) => {
+  const expiresInHours = getVerificationExpiryHours();
+  const token = await UserToken.issue(user._id, 'email-verification', expiresInHours * 60);
+
+  return mailService.sendSafely('verify-email', user.email, {
+    name: user.name,
+    url: mailService.buildUrl('/verify-email', token),
+    token,
+    expiresInHours
+  });
+};
+
+// Device details recorded on a session
+const getSessionMetadata = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500) || null,
+  ip: req.ip || null
+});
+
+// Session as shown to its user
+const toSessionSummary = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt || session.createdAt,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId
+});
+
+// Audit a rejected login attempt (requests are anonymous until they succeed)
+const recordLoginFailure = (req, reason, user = null) => {
+  return AuditEvent.record({
+    action: 'auth.login_failed',
+    outcome: 'failure',
+    target: { type: 'user', id: user ? user._id : null },
+    req,
+    details: { email: user ? user.email : req.body.email, reason }
+  });
+};
+
+// Record the login, start a session and respond with access/refresh tokens
+const completeLogin = async (req, res, user, method = 'password') => {
+  const session = user.createSession(getSessionMetadata(req));
+
+  // Update last login and reset login attempts (saves the new session)
+  await user.updateLastLogin();
+
+  await AuditEvent.record({
+    action: 'auth.login',
+    actor: { type: 'user', id: user._id },
+    target: { type: 'user', id: user._id },
+    req,
+    details: { method, sessionId: session._id.toString() }
+  });
+
+  // Generate tokens
+  const accessToken = user.generateAccessToken(session._id);
+  const refreshToken = session.token;
+
+  // Remove password from response
+  const userResponse = user.toJSON();
+
+  res.json({
+    success: true,
+    accessToken,
+    refreshToken,
+    user: {
+      id: userResponse._id,
+      name: userResponse.name,
+      email: userResponse.email,
+      role: userResponse.role,
+      permissions: user.getPermissions(),
+      emailVerified: user.isEmailVerified(),
+      twoFactorEnabled: user.isTwoFactorEnabled(),
+      lastLogin: userResponse.lastLogin
+    },
+    // Platform permissions are withheld until required two-factor is enabled
+    twoFactorSetupRequired: user.needsTwoFactorSetup()
+  });
+};
+
 // POST /auth/signup
 const signup = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -16,19 +109,29 @@ const signup = async (req, res) => {
       });
     }
 
-    // Create new user
+    // Create new user (public signup never grants an elevated role)
     const user = new User({
       name,
       email,
       password,
-      role: role || 'user'
+      role: 'user',
+      emailVerified: false
     });
 
     await user.save();
+    await sendVerificationEmail(user);
+
+    await AuditEvent.record({
+      action: 'auth.signup',
+      actor: { type: 'user', id: user._id },
+      target: { type: 'user', id: user._id },
+      req
+    });
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully'
+      message: 'User registered successfully',
+      emailVerificationRequired: isEmailVerificationRequired()
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -48,6 +151,7 @@ const login = async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
+      await recordLoginFailure(req, 'unknown_email');
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -56,6 +160,7 @@ const login = async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await recordLoginFailure(req, 'inactive', user);
       return res.status(401).json({
         success: false,
         message: 'User account is deactivated'
@@ -64,6 +169,7 @@ const login = async (req, res) => {
 
     // Check if account is locked
     if (user.isLocked) {
+      await recordLoginFailure(req, 'locked', user);
       return res.status(401).json({
         success: false,
         message: 'Account is temporarily locked due to multiple failed login attempts'
@@ -75,6 +181,7 @@ const login = async (req, res) => {
     if (!isPasswordValid) {
       // Increment login attempts
       await user.incLoginAttempts();
+      await recordLoginFailure(req, 'invalid_password', user);
       
       return res.status(401).json({
         success: false,
@@ -82,28 +189,33 @@ const login = async (req, res) => {
       });
     }
 
-    // Update last login and reset login attempts
-    await user.updateLastLogin();
+    // Block unverified accounts when verification is enforced
+    if (isEmailVerificationRequired() && !user.isEmailVerified()) {
+      await recordLoginFailure(req, 'email_not_verified', user);
+      return res.status(403).json({
+        success: false,
+        message: 'Email address has not been verified'
+      });
+    }
 
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    // Second step: tokens are only issued once a two-factor code is verified
+    if (user.isTwoFactorEnabled()) {
+      const expiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+      const challengeToken = keyStoreService.sign(
+        { id: user._id, type: '2fa-challenge' },
+        { expiresIn }
+      );
 
-    // Remove password from response
-    const userResponse = user.toJSON();
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn,
+        message: 'Enter the code from your authenticator app or a recovery code'
+      });
+    }
 
-    res.json({
-      success: true,
-      accessToken,
-      refreshToken,
-      user: {
-        id: userResponse._id,
-        name: userResponse.name,
-        email: userResponse.email,
-        role: userResponse.role,
-        lastLogin: userResponse.lastLogin
-      }
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -113,6 +225,70 @@ const login = async (req, res) => {
   }
 };
 
+// POST /auth/login/2fa
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const decoded = keyStoreService.verify(challengeToken);
+    if (decoded.type !== '2fa-challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid challenge token'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid challenge token'
+      });
+    }
+
+    if (user.isLocked) {
+      await recordLoginFailure(req, 'locked', user);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is temporarily locked due to multiple failed login attempts'
+      });
+    }
+
+    const method = user.verifyTwoFactorCode(code);
+    if (!method) {
+      // Wrong codes count towards the account lockout like wrong passwords
+      await user.incLoginAttempts();
+      await recordLoginFailure(req, 'invalid_two_factor_code', user);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    if (method === 'recovery') {
+      console.log(`🔑 Recovery code used by ${user.email} (${user.twoFactor.recoveryCodes.length} left)`);
+    }
+
+    await completeLogin(req, res, user, method);
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Challenge token is invalid or has expired - please log in again'
+      });
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error during login'
+    });
+  }
+};
+
 // POST /auth/refresh
 const refreshToken = async (req, res) => {
   try {
@@ -125,18 +301,9 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    // Find user and verify refresh token exists
-    const user = await User.findByRefreshToken(refreshToken);
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
-    }
+    // User and session were verified by authenticateRefreshToken (including reuse detection)
+    const user = req.user;
+    const session = req.refreshSession;
 
     if (!user.isActive) {
       return res.status(401).json({
@@ -145,18 +312,16 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const newAccessToken = user.generateAccessToken();
-    const newRefreshToken = user.generateRefreshToken();
+    // Rotate the session's refresh token (the session id stays the same)
+    const newRefreshToken = user.rotateSession(session, getSessionMetadata(req));
+    await user.save();
 
-    // Remove old refresh token and add new one
-    await user.removeRefreshToken(refreshToken);
-    await user.addRefreshToken(newRefreshToken);
+    const newAccessToken = user.generateAccessToken(session._id);
 
     // Blacklist old refresh token
     const decodedOld = jwt.decode(refreshToken);
     if (decodedOld && decodedOld.exp) {
-      await TokenBlacklist.addToBlacklist(
+      await tokenRevocationService.revoke(
         refreshToken,
         user._id,
         'refresh',
@@ -208,7 +373,7 @@ const logout = async (req, res) => {
       const decoded = jwt.decode(accessToken);
       if (decoded && decoded.exp) {
         promises.push(
-          TokenBlacklist.addToBlacklist(
+          tokenRevocationService.revoke(
             accessToken,
             userId,
             'access',
@@ -224,7 +389,7 @@ const logout = async (req, res) => {
       const decoded = jwt.decode(refreshToken);
       if (decoded && decoded.exp) {
         promises.push(
-          TokenBlacklist.addToBlacklist(
+          tokenRevocationService.revoke(
             refreshToken,
             userId,
             'refresh',
@@ -236,10 +401,23 @@ const logout = async (req, res) => {
       
       // Remove refresh token from user document
       promises.push(req.user.removeRefreshToken(refreshToken));
+    } else if (req.sessionId) {
+      // End the session the access token belongs to
+      promises.push(req.user.revokeSession(req.sessionId));
     }
 
     await Promise.all(promises);
 
+    await AuditEvent.record({
+      action: 'auth.logout',
+      target: { type: 'session', id: req.sessionId },
+      req,
+      details: {
+        revokedAccessToken: Boolean(accessToken),
+        revokedRefreshToken: Boolean(refreshToken)
+      }
+    });
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -256,11 +434,15 @@ const logout = async (req, res) => {
 // POST /auth/logout-all
 const logoutAll = async (req, res) => {
   try {
-    const userId = req.user._id;
-
-    // Remove all refresh tokens for the user
-    req.user.refreshTokens = [];
-    await req.user.save();
+    // End all sessions for the user (their access tokens stop working too)
+    const endedSessions = await req.user.endSessions('logout');
+
+    await AuditEvent.record({
+      action: 'auth.logout_all',
+      target: { type: 'user', id: req.user._id },
+      req,
+      details: { endedSessions }
+    });
 
     res.json({
       success: true,
@@ -275,14 +457,83 @@ const logoutAll = async (req, res) => {
   }
 };
 
+// GET /auth/sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = [...req.user.refreshTokens]
+      .map(session => toSessionSummary(session, req.sessionId))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+};
+
+// DELETE /auth/sessions/:sessionId
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!req.user.getSession(sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Removing the session invalidates its refresh token and access tokens
+    await req.user.revokeSession(sessionId);
+
+    await AuditEvent.record({
+      action: 'auth.session_revoked',
+      target: { type: 'session', id: sessionId },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session'
+    });
+  }
+};
+
 // GET /auth/profile
 const getProfile = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('-password -refreshTokens');
-    
+    const user = await User.findById(req.user._id)
+      .select('-password -refreshTokens +twoFactor.recoveryCodes');
+    const organizations = await Organization.findRequiringTwoFactor(user._id);
+    const requiredByRole = user.isTwoFactorRequiredByRole();
+
     res.json({
       success: true,
-      user
+      user,
+      permissions: req.permissions,
+      twoFactor: {
+        enabled: user.isTwoFactorEnabled(),
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.isTwoFactorEnabled() ? user.twoFactor.recoveryCodes.length : 0,
+        required: requiredByRole || organizations.length > 0,
+        requiredByRole,
+        requiredByOrganizations: organizations.map(organization => ({
+          id: organization._id,
+          name: organization.name
+        }))
+      }
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -296,11 +547,22 @@ const getProfile = async (req, res) => {
 // PUT /auth/profile
 const updateProfile = async (req, res) => {
   try {
-    const { name, email } = req.body;
-    const user = await User.findById(req.user._id);
+    const { name, email, currentPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+    const previousEmail = user.email;
+    const emailChanged = Boolean(email) && email.toLowerCase() !== user.email;
 
     if (name) user.name = name;
-    if (email && email !== user.email) {
+    if (emailChanged) {
+      // Changing the login email requires the current password
+      const isPasswordValid = currentPassword && await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
       // Check if email is already taken
       const existingUser = await User.findOne({ email });
       if (existingUser) {
@@ -310,10 +572,29 @@ const updateProfile = async (req, res) => {
         });
       }
       user.email = email;
+      // The new address has to be verified again
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
     }
 
     await user.save();
 
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+      // Let the previous address know, in case the change was not theirs
+      await mailService.sendSafely('email-changed', previousEmail, {
+        name: user.name,
+        newEmail: user.email
+      });
+      await AuditEvent.record({
+        action: 'auth.email_changed',
+        target: { type: 'user', id: user._id },
+        req,
+        before: { email: previousEmail },
+        after: { email: user.email }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -328,12 +609,212 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// POST /auth/change-password
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+
+    // Keep the session making the request; every other session and its
+    // access tokens stop working, and so do personal access tokens
+    const revokedSessions = await user.endSessions('security', req.sessionId);
+    const revokedTokens = await PersonalAccessToken.revokeAllForUser(user._id);
+
+    await mailService.sendSafely('password-changed', user.email, { name: user.name });
+    await AuditEvent.record({
+      action: 'auth.password_changed',
+      target: { type: 'user', id: user._id },
+      req,
+      details: { revokedSessions, revokedTokens }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed - other sessions and personal access tokens have been revoked',
+      revokedSessions,
+      revokedTokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password'
+    });
+  }
+};
+
+// POST /auth/forgot-password
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the account exists
+    if (user && user.isActive) {
+      const expiresInMinutes = getPasswordResetExpiryMinutes();
+      const token = await UserToken.issue(user._id, 'password-reset', expiresInMinutes);
+
+      await mailService.sendSafely('password-reset', user.email, {
+        name: user.name,
+        url: mailService.buildUrl('/reset-password', token),
+        token,
+        expiresInMinutes
+      });
+
+      await AuditEvent.record({
+        action: 'auth.password_reset_requested',
+        target: { type: 'user', id: user._id },
+        req
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset'
+    });
+  }
+};
+
+// POST /auth/reset-password
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await UserToken.consume(token, 'password-reset');
+    const user = resetToken && await User.findById(resetToken.user_id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // New password, unlock the account and sign out every session
+    user.password = password;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+
+    // Receiving the reset link proves ownership of the address
+    if (!user.isEmailVerified()) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    // Saves the changes above
+    const endedSessions = await user.endSessions('security');
+    const revokedTokens = await PersonalAccessToken.revokeAllForUser(user._id);
+
+    await mailService.sendSafely('password-changed', user.email, { name: user.name });
+    await AuditEvent.record({
+      action: 'auth.password_reset',
+      actor: { type: 'user', id: user._id },
+      target: { type: 'user', id: user._id },
+      req,
+      details: { endedSessions, revokedTokens }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset - please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+};
+
+// POST /auth/verify-email
+const verifyEmail = async (req, res) => {
+  try {
+    const verificationToken = await UserToken.consume(req.body.token, 'email-verification');
+    const user = verificationToken && await User.findById(verificationToken.user_id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    await user.markEmailVerified();
+
+    await AuditEvent.record({
+      action: 'auth.email_verified',
+      actor: { type: 'user', id: user._id },
+      target: { type: 'user', id: user._id },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email address'
+    });
+  }
+};
+
+// POST /auth/resend-verification
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists or is already verified
+    if (user && user.isActive && !user.isEmailVerified()) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account needs verification, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+};
+
 module.exports = {
   signup,
   login,
+  verifyTwoFactorLogin,
   refreshToken,
   logout,
   logoutAll,
+  getSessions,
+  revokeSession,
   getProfile,
-  updateProfile
+  updateProfile,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 };
@@ -1,30 +1,50 @@
 const Device = require('../models/Device');
+const AuditEvent = require('../models/AuditEvent');
 const webSocketService = require('../services/websocketService');
+const webhookService = require('../services/webhookService');
+const { recordHeartbeat } = require('../services/ingestionService');
 
 // POST /devices - Create new device
 const createDevice = async (req, res) => {
   try {
-    const { name, type, status, location, description, metadata } = req.body;
+    const { name, type, status, location, group, description, metadata } = req.body;
     const userId = req.user._id;
+    const organizationId = req.organization._id;
 
     const device = new Device({
       name,
       type,
       status: status || 'active',
       owner_id: userId,
+      organization_id: organizationId,
       location,
+      group,
       description,
       metadata: metadata || {}
     });
 
+    // Issue the initial device API key (only returned once)
+    const { keyId, apiKey } = device.generateApiKey('default', userId);
+    device.recordAudit('device.created', { type: 'user', id: userId });
+    device.recordAudit('api_key.issued', { type: 'user', id: userId }, { keyId, name: 'default' });
+
     await device.save();
 
+    await AuditEvent.record({
+      action: 'device.created',
+      target: { type: 'device', id: device._id },
+      req,
+      after: device.toAuditSnapshot(),
+      details: { keyId }
+    });
+
     // Broadcast device creation to WebSocket subscribers
     webSocketService.broadcastDeviceStatusUpdate(
       device._id.toString(),
       device.status,
       { action: 'created', device: device.toJSON() }
     );
+    await webhookService.dispatch(organizationId, 'device.created', { device: device.toJSON() });
 
     res.status(201).json({
       success: true,
@@ -34,7 +54,12 @@ const createDevice = async (req, res) => {
         type: device.type,
         status: device.status,
         last_active_at: device.last_active_at,
-        owner_id: device.owner_id
+        owner_id: device.owner_id,
+        organization_id: device.organization_id
+      },
+      apiKey: {
+        keyId,
+        key: apiKey
       }
     });
   } catch (error) {
@@ -50,10 +75,9 @@ const createDevice = async (req, res) => {
 const getDevices = async (req, res) => {
   try {
     const { type, status, page = 1, limit = 10 } = req.query;
-    const userId = req.user._id;
 
     // Build query
-    const query = { owner_id: userId };
+    const query = { organization_id: req.organization._id };
     if (type) query.type = type;
     if (status) query.status = status;
 
@@ -90,11 +114,11 @@ const getDevices = async (req, res) => {
 const updateDevice = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const organizationId = req.organization._id;
     const updateData = req.body;
 
-    // Find device and ensure ownership
-    const device = await Device.findOne({ _id: id, owner_id: userId });
+    // Find device within the organization
+    const device = await Device.findOne({ _id: id, organization_id: organizationId });
     
     if (!device) {
       return res.status(404).json({
@@ -103,8 +127,9 @@ const updateDevice = async (req, res) => {
       });
     }
 
-    // Store old status for comparison
+    // Store old state for comparison
     const oldStatus = device.status;
+    const before = device.toAuditSnapshot();
 
     // Update device
     Object.keys(updateData).forEach(key => {
@@ -115,6 +140,14 @@ const updateDevice = async (req, res) => {
 
     await device.save();
 
+    await AuditEvent.record({
+      action: 'device.updated',
+      target: { type: 'device', id: device._id },
+      req,
+      before,
+      after: device.toAuditSnapshot()
+    });
+
     // Broadcast status change if status was updated
     if (oldStatus !== device.status) {
       webSocketService.broadcastDeviceStatusUpdate(
@@ -122,8 +155,19 @@ const updateDevice = async (req, res) => {
         device.status,
         { action: 'updated', oldStatus, newStatus: device.status }
       );
+      await webhookService.dispatch(organizationId, 'device.status_changed', {
+        device_id: device._id.toString(),
+        oldStatus,
+        newStatus: device.status,
+        reason: 'updated'
+      });
     }
 
+    await webhookService.dispatch(organizationId, 'device.updated', {
+      device: device.toJSON(),
+      changes: Object.keys(updateData)
+    });
+
     res.json({
       success: true,
       device
@@ -141,10 +185,10 @@ const updateDevice = async (req, res) => {
 const deleteDevice = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const organizationId = req.organization._id;
 
-    // Find device and ensure ownership
-    const device = await Device.findOne({ _id: id, owner_id: userId });
+    // Find device within the organization
+    const device = await Device.findOne({ _id: id, organization_id: organizationId });
     
     if (!device) {
       return res.status(404).json({
@@ -155,12 +199,20 @@ const deleteDevice = async (req, res) => {
 
     await Device.findByIdAndDelete(id);
 
+    await AuditEvent.record({
+      action: 'device.deleted',
+      target: { type: 'device', id: device._id },
+      req,
+      before: device.toAuditSnapshot()
+    });
+
     // Broadcast device deletion to WebSocket subscribers
     webSocketService.broadcastDeviceStatusUpdate(
       device._id.toString(),
       'deleted',
       { action: 'deleted', deviceId: device._id.toString() }
     );
+    await webhookService.dispatch(organizationId, 'device.deleted', { device: device.toJSON() });
 
     res.json({
       success: true,
@@ -180,10 +232,9 @@ const updateHeartbeat = async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
-    const userId = req.user._id;
 
-    // Find device and ensure ownership
-    const device = await Device.findOne({ _id: id, owner_id: userId });
+    // Device-key requests are already scoped to their device, users need it in their organization
+    const device = req.device || await Device.findOne({ _id: id, organization_id: req.organization._id });
     
     if (!device) {
       return res.status(404).json({
@@ -192,27 +243,8 @@ const updateHeartbeat = async (req, res) => {
       });
     }
 
-    // Store old status for comparison
-    const oldStatus = device.status;
-
-    // Update heartbeat
-    await device.updateHeartbeat(status);
-
-    // Broadcast heartbeat to WebSocket subscribers
-    webSocketService.broadcastDeviceHeartbeat(
-      device._id.toString(),
-      device.status,
-      device.last_active_at
-    );
-
-    // Broadcast status change if status was updated
-    if (oldStatus !== device.status) {
-      webSocketService.broadcastDeviceStatusUpdate(
-        device._id.toString(),
-        device.status,
-        { action: 'heartbeat', oldStatus, newStatus: device.status }
-      );
-    }
+    // Update heartbeat and broadcast to WebSocket subscribers
+    await recordHeartbeat(device, status, req);
 
     res.json({
       success: true,
@@ -0,0 +1,224 @@
+const Device = require('../models/Device');
+const AuditEvent = require('../models/AuditEvent');
+
+// Find a device in the organization, including key hashes so saves never drop them
+const findOrganizationDevice = (id, organizationId) => {
+  return Device.findOne({ _id: id, organization_id: organizationId }).select('+apiKeys.keyHash');
+};
+
+// Public view of an API key (never includes the hash)
+const toKeySummary = (key) => ({
+  keyId: key.keyId,
+  name: key.name,
+  createdAt: key.createdAt,
+  lastUsedAt: key.lastUsedAt,
+  lastUsedIp: key.lastUsedIp,
+  revokedAt: key.revokedAt,
+  active: !key.revokedAt
+});
+
+// GET /devices/:id/keys - List device API keys
+const listDeviceKeys = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const device = await findOrganizationDevice(id, req.organization._id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      keys: device.apiKeys.map(toKeySummary)
+    });
+  } catch (error) {
+    console.error('List device keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching device keys'
+    });
+  }
+};
+
+// POST /devices/:id/keys - Issue an additional device API key
+const createDeviceKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+    const userId = req.user._id;
+
+    const device = await findOrganizationDevice(id, req.organization._id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const { keyId, apiKey } = device.generateApiKey(name, userId);
+    device.recordAudit('api_key.issued', { type: 'user', id: userId }, { keyId, name: name || 'default' });
+    await device.save();
+
+    await AuditEvent.record({
+      action: 'device.api_key_issued',
+      target: { type: 'device', id: device._id },
+      req,
+      details: { keyId, name: name || 'default' }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device key issued. Store it now - it will not be shown again.',
+      key: {
+        ...toKeySummary(device.findApiKey(keyId)),
+        key: apiKey
+      }
+    });
+  } catch (error) {
+    console.error('Create device key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing device key'
+    });
+  }
+};
+
+// POST /devices/:id/keys/:keyId/rotate - Replace a key with a new one
+const rotateDeviceKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    const userId = req.user._id;
+
+    const device = await findOrganizationDevice(id, req.organization._id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const oldKey = device.findApiKey(keyId);
+    if (!oldKey || oldKey.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device key not found or already revoked'
+      });
+    }
+
+    device.revokeApiKey(keyId);
+    const { keyId: newKeyId, apiKey } = device.generateApiKey(oldKey.name, userId);
+    device.recordAudit('api_key.rotated', { type: 'user', id: userId }, {
+      keyId: newKeyId,
+      replacedKeyId: keyId,
+      name: oldKey.name
+    });
+    await device.save();
+
+    await AuditEvent.record({
+      action: 'device.api_key_rotated',
+      target: { type: 'device', id: device._id },
+      req,
+      details: { keyId: newKeyId, replacedKeyId: keyId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device key rotated. Store the new key now - it will not be shown again.',
+      key: {
+        ...toKeySummary(device.findApiKey(newKeyId)),
+        key: apiKey
+      },
+      revokedKeyId: keyId
+    });
+  } catch (error) {
+    console.error('Rotate device key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating device key'
+    });
+  }
+};
+
+// DELETE /devices/:id/keys/:keyId - Revoke a device API key
+const revokeDeviceKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    const userId = req.user._id;
+
+    const device = await findOrganizationDevice(id, req.organization._id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (!device.revokeApiKey(keyId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device key not found or already revoked'
+      });
+    }
+
+    device.recordAudit('api_key.revoked', { type: 'user', id: userId }, { keyId });
+    await device.save();
+
+    await AuditEvent.record({
+      action: 'device.api_key_revoked',
+      target: { type: 'device', id: device._id },
+      req,
+      details: { keyId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke device key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking device key'
+    });
+  }
+};
+
+// GET /devices/:id/audit - Get device audit trail
+const getDeviceAuditTrail = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const device = await Device.findOne({ _id: id, organization_id: req.organization._id });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      auditTrail: [...device.auditTrail].reverse()
+    });
+  } catch (error) {
+    console.error('Get device audit trail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching device audit trail'
+    });
+  }
+};
+
+module.exports = {
+  listDeviceKeys,
+  createDeviceKey,
+  rotateDeviceKey,
+  revokeDeviceKey,
+  getDeviceAuditTrail
+};
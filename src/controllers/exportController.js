@@ -1,15 +1,24 @@
 const path = require('path');
 const fs = require('fs').promises;
 const exportService = require('../services/exportService');
+const AuditEvent = require('../models/AuditEvent');
 
 // POST /exports/jobs - Create export job
 const createExportJob = async (req, res) => {
   try {
     const { type, options } = req.body;
-    const userId = req.user._id;
+    // Jobs created by API clients have no user (the audit event names the client)
+    const userId = req.user ? req.user._id : null;
 
     // Create export job
-    const jobId = await exportService.createExportJob(userId, type, options);
+    const jobId = await exportService.createExportJob(userId, req.organization._id, type, options);
+
+    await AuditEvent.record({
+      action: 'export.created',
+      target: { type: 'export', id: jobId },
+      req,
+      details: { type, options, organizationId: req.organization._id.toString() }
+    });
 
     res.status(202).json({
       success: true,
@@ -30,7 +39,7 @@ const createExportJob = async (req, res) => {
 const getExportJobStatus = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const userId = req.user._id;
+    const organizationId = req.organization._id.toString();
 
     const job = exportService.getJobStatus(jobId);
     
@@ -41,8 +50,8 @@ const getExportJobStatus = async (req, res) => {
       });
     }
 
-    // Ensure user can only access their own jobs
-    if (job.userId.toString() !== userId.toString()) {
+    // Jobs are shared within the organization that created them
+    if (!job.organizationId || job.organizationId.toString() !== organizationId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -53,6 +62,7 @@ const getExportJobStatus = async (req, res) => {
       success: true,
       jobId: job.id,
       type: job.type,
+      createdBy: job.userId,
       status: job.status,
       progress: job.progress,
       createdAt: job.createdAt,
@@ -89,12 +99,12 @@ const getExportJobStatus = async (req, res) => {
 // GET /exports/history - Get export history
 const getExportHistory = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const organizationId = req.organization._id.toString();
     const { page = 1, limit = 10 } = req.query;
 
-    // Get all jobs for the user
+    // Get all jobs for the organization
     const allJobs = Array.from(exportService.exportJobs.values())
-      .filter(job => job.userId.toString() === userId.toString())
+      .filter(job => job.organizationId && job.organizationId.toString() === organizationId)
       .sort((a, b) => b.createdAt - a.createdAt);
 
     // Pagination
@@ -105,6 +115,7 @@ const getExportHistory = async (req, res) => {
     const history = paginatedJobs.map(job => ({
       jobId: job.id,
       type: job.type,
+      createdBy: job.userId,
       status: job.status,
       progress: job.progress,
       createdAt: job.createdAt,
@@ -142,7 +153,7 @@ const getExportHistory = async (req, res) => {
 const downloadExport = async (req, res) => {
   try {
     const { fileName } = req.params;
-    const userId = req.user._id;
+    const organizationId = req.organization._id.toString();
 
     // Validate filename to prevent directory traversal
     if (!fileName || fileName.includes('..') || fileName.includes('/')) {
@@ -164,11 +175,11 @@ const downloadExport = async (req, res) => {
       });
     }
 
-    // Verify file belongs to user (check if it's in their job results)
-    const userJobs = Array.from(exportService.exportJobs.values())
-      .filter(job => job.userId.toString() === userId.toString());
+    // Verify file belongs to the organization (check if it's in its job results)
+    const organizationJobs = Array.from(exportService.exportJobs.values())
+      .filter(job => job.organizationId && job.organizationId.toString() === organizationId);
     
-    const hasAccess = userJobs.some(job => 
+    const hasAccess = organizationJobs.some(job => 
       job.result && job.result.fileName === fileName
     );
 
@@ -179,6 +190,13 @@ const downloadExport = async (req, res) => {
       });
     }
 
+    await AuditEvent.record({
+      action: 'export.downloaded',
+      target: { type: 'export', id: fileName },
+      req,
+      details: { organizationId }
+    });
+
     // Set headers for file download
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Content-Type', getContentType(fileName));
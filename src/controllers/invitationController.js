@@ -0,0 +1,246 @@
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const mailService = require('../services/mailService');
+const { getOrganizationPermissions, hasPermission } = require('../config/permissions');
+
+// POST /invitations - Invite someone to an account with a pre-assigned role
+const createInvitation = async (req, res) => {
+  try {
+    const { email, organization_id } = req.body;
+    const role = req.body.role || 'user';
+    const organizationRole = req.body.organizationRole || 'viewer';
+
+    let organization = null;
+    if (organization_id) {
+      organization = await Organization.findById(organization_id);
+      const membership = organization && organization.getMember(req.user._id);
+
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      // Inviting into an organization follows the same rules as adding a member
+      if (!hasPermission(getOrganizationPermissions(membership.role), 'members:manage') ||
+          !Organization.roleAtLeast(membership.role, organizationRole)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Cannot grant a role above your own'
+        });
+      }
+    }
+
+    const { invitation, token } = await Invitation.issue({
+      email,
+      role,
+      organization_id,
+      organizationRole,
+      expiresInHours: req.body.expiresInHours,
+      invitedBy: req.user._id
+    });
+
+    await mailService.sendSafely('invitation', invitation.email, {
+      role: invitation.role,
+      organizationName: organization ? organization.name : null,
+      organizationRole: invitation.organizationRole,
+      url: mailService.buildUrl('/accept-invitation', token),
+      token,
+      expiresAt: invitation.expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created - the token is only shown once',
+      invitation,
+      token
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invitation'
+    });
+  }
+};
+
+// GET /invitations - List invitations
+const getInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = Invitation.statusQuery(status);
+
+    const [invitations, total] = await Promise.all([
+      Invitation.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Invitation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      invitations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations'
+    });
+  }
+};
+
+// DELETE /invitations/:invitationId - Revoke a pending invitation
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      invitation
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation'
+    });
+  }
+};
+
+// POST /invitations/accept - Accept an invitation, creating or linking the account
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const invitation = await Invitation.findPendingByToken(token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    let user = await User.findOne({ email: invitation.email }).select('+password');
+    const created = !user;
+
+    if (user) {
+      // Linking an existing account requires its password
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
+    } else if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required to create an account'
+      });
+    }
+
+    // Claim the invitation first so a token cannot be accepted twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (created) {
+      user = await User.create({
+        name,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        // The token was delivered to this address
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+    } else if (invitation.role !== 'user' && user.role !== invitation.role) {
+      // Invitations only ever upgrade an existing account
+      user.role = invitation.role;
+      await user.save();
+    }
+
+    let organization = null;
+    if (invitation.organization_id) {
+      organization = await Organization.findById(invitation.organization_id);
+
+      if (organization && !organization.getMember(user._id)) {
+        organization.members.push({ user_id: user._id, role: invitation.organizationRole });
+        await organization.save();
+      }
+    }
+
+    claimed.acceptedBy = user._id;
+    await claimed.save();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Account created from invitation' : 'Invitation accepted',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      organization: organization ? {
+        id: organization._id,
+        name: organization.name,
+        role: organization.getMember(user._id).role
+      } : null
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting invitation'
+    });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation
+};
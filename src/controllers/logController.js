@@ -1,15 +1,64 @@
 const Log = require('../models/Log');
 const Device = require('../models/Device');
+const AuditEvent = require('../models/AuditEvent');
+const { createLogSchema, multiDeviceLogEventSchema } = require('../validations/log');
+const { ingestLog, ingestLogBatch } = require('../services/ingestionService');
+const { getMetricSeries } = require('../services/rollupService');
+
+// Audit log writes made by users and API clients. Device telemetry is
+// attributed through the device key and is not audited, it would drown out
+// everything else.
+const auditUserLogWrite = (req, action, target, details) => {
+  if (req.device) return null;
+
+  return AuditEvent.record({ action, target, req, details });
+};
+
+// Count batch results by status
+const summarizeBatch = (results) => {
+  const countStatus = (status) => results.filter(result => result.status === status).length;
+
+  return {
+    accepted: countStatus('accepted'),
+    duplicates: countStatus('duplicate'),
+    rejected: countStatus('rejected')
+  };
+};
+
+// Build the batch response (207 when only part of the batch was acknowledged)
+const sendBatchResponse = (res, results) => {
+  const { accepted, duplicates, rejected } = summarizeBatch(results);
+  const acknowledged = accepted + duplicates;
+
+  let statusCode = 201;
+  if (rejected > 0) statusCode = acknowledged > 0 ? 207 : 400;
+
+  res.status(statusCode).json({
+    success: acknowledged > 0,
+    accepted,
+    duplicates,
+    rejected,
+    results
+  });
+};
 
 // POST /devices/:id/logs - Create log entry
 const createLog = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
-    const { event, value, severity, source, metadata } = req.body;
+    const { event, value, severity, source, metadata, timestamp } = req.body;
+
+    // Either the body message_id or the Idempotency-Key header identifies retries
+    const messageId = req.body.message_id || req.headers['idempotency-key'];
+    if (messageId && messageId.length > 128) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message ID cannot exceed 128 characters'
+      });
+    }
 
-    // Verify device ownership
-    const device = await Device.findOne({ _id: id, owner_id: userId });
+    // Device-key requests are already scoped to their device, users need it in their organization
+    const device = req.device || await Device.findOne({ _id: id, organization_id: req.organization._id });
     if (!device) {
       return res.status(404).json({
         success: false,
@@ -17,21 +66,36 @@ const createLog = async (req, res) => {
       });
     }
 
-    // Create log entry
-    const log = new Log({
-      device_id: id,
+    // Create log entry (device-supplied timestamps are bounds-checked)
+    const { log, error, duplicate } = await ingestLog(device._id, {
       event,
       value,
-      severity: severity || 'info',
-      source: source || 'device',
-      metadata: metadata || {},
-      timestamp: new Date()
+      severity,
+      source,
+      metadata,
+      timestamp,
+      message_id: messageId
     });
 
-    await log.save();
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
-    res.status(201).json({
+    if (!duplicate) {
+      await auditUserLogWrite(req, 'log.created', { type: 'device', id: device._id }, {
+        logId: log._id.toString(),
+        event: log.event,
+        value: log.value
+      });
+    }
+
+    // Retried messages are acknowledged with the originally stored log
+    res.status(duplicate ? 200 : 201).json({
       success: true,
+      duplicate,
       log: log.toLogEntry()
     });
   } catch (error) {
@@ -43,11 +107,87 @@ const createLog = async (req, res) => {
   }
 };
 
+// POST /devices/:id/logs/batch - Create many log entries for one device
+const createLogBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { events } = req.body;
+
+    // Device-key requests are already scoped to their device, users need it in their organization
+    const device = req.device || await Device.findOne({ _id: id, organization_id: req.organization._id });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const results = await ingestLogBatch(
+      events.map(event => ({ deviceId: device._id, event })),
+      createLogSchema
+    );
+
+    await auditUserLogWrite(req, 'log.batch_created', { type: 'device', id: device._id }, summarizeBatch(results));
+
+    sendBatchResponse(res, results);
+  } catch (error) {
+    console.error('Create log batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating log entries'
+    });
+  }
+};
+
+// POST /devices/logs/batch - Create log entries across several devices
+const createMultiDeviceLogBatch = async (req, res) => {
+  try {
+    const { events } = req.body;
+
+    // Resolve organization access for all referenced devices in one query
+    const requestedIds = [...new Set(
+      events
+        .map(event => event.device_id)
+        .filter(deviceId => typeof deviceId === 'string' && /^[a-f0-9]{24}$/i.test(deviceId))
+    )];
+
+    // Device keys may only write their own device
+    const devices = req.device
+      ? requestedIds.filter(deviceId => deviceId === req.device._id.toString()).map(() => req.device)
+      : await Device.find({
+        _id: { $in: requestedIds },
+        organization_id: req.organization._id
+      }).select('_id');
+    const ownedIds = new Set(devices.map(device => device._id.toString()));
+
+    const results = await ingestLogBatch(
+      events.map(event => ({
+        deviceId: ownedIds.has(String(event.device_id)) ? event.device_id : null,
+        event
+      })),
+      multiDeviceLogEventSchema
+    );
+
+    await auditUserLogWrite(req, 'log.batch_created', { type: 'organization', id: req.organization?._id }, {
+      ...summarizeBatch(results),
+      deviceIds: [...ownedIds]
+    });
+
+    sendBatchResponse(res, results);
+  } catch (error) {
+    console.error('Create multi-device log batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating log entries'
+    });
+  }
+};
+
 // GET /devices/:id/logs - Get device logs
 const getLogs = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const organizationId = req.organization._id;
     const { 
       limit = 10, 
       page = 1, 
@@ -57,8 +197,8 @@ const getLogs = async (req, res) => {
       endDate 
     } = req.query;
 
-    // Verify device ownership
-    const device = await Device.findOne({ _id: id, owner_id: userId });
+    // Verify the device belongs to the organization
+    const device = await Device.findOne({ _id: id, organization_id: organizationId });
     if (!device) {
       return res.status(404).json({
         success: false,
@@ -114,11 +254,11 @@ const getLogs = async (req, res) => {
 const getUsage = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const organizationId = req.organization._id;
     const { range = '24h' } = req.query;
 
-    // Verify device ownership
-    const device = await Device.findOne({ _id: id, owner_id: userId });
+    // Verify the device belongs to the organization
+    const device = await Device.findOne({ _id: id, organization_id: organizationId });
     if (!device) {
       return res.status(404).json({
         success: false,
@@ -136,6 +276,7 @@ const getUsage = async (req, res) => {
       range: range,
       total_units: usageData.total_units,
       log_count: usageData.log_count,
+      resolution: usageData.resolution,
       start_date: usageData.start_date,
       end_date: usageData.end_date
     };
@@ -155,8 +296,73 @@ const getUsage = async (req, res) => {
   }
 };
 
+// GET /devices/:id/metrics - Bucketed time series for any numeric event
+const getMetrics = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organizationId = req.organization._id;
+    const { event, interval = '1h', functions = 'sum,avg,min,max,count' } = req.query;
+
+    // Verify the device belongs to the organization
+    const device = await Device.findOne({ _id: id, organization_id: organizationId });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const end = req.query.end ? new Date(req.query.end) : new Date();
+    const start = req.query.start ? new Date(req.query.start) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+
+    // Keep responses plottable
+    const bucket = Log.parseMetricInterval(interval);
+    const maxBuckets = parseInt(process.env.METRICS_MAX_BUCKETS) || 1000;
+    const bucketCount = Math.ceil((end.getTime() - start.getTime()) / bucket.ms);
+
+    if (bucketCount > maxBuckets) {
+      return res.status(400).json({
+        success: false,
+        message: `Requested range produces ${bucketCount} buckets (max ${maxBuckets}); use a larger interval`
+      });
+    }
+
+    // Served from rollups when possible, raw logs for percentiles
+    const functionList = [...new Set(functions.split(','))];
+    const { source, resolution, series } = await getMetricSeries(id, {
+      event,
+      start,
+      end,
+      interval,
+      functions: functionList
+    });
+
+    res.json({
+      success: true,
+      device_id: id,
+      event,
+      start,
+      end,
+      interval,
+      source,
+      resolution,
+      functions: functionList.map(fn => fn.replace('.', '_')),
+      series
+    });
+  } catch (error) {
+    console.error('Get metrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching metrics'
+    });
+  }
+};
+
 module.exports = {
   createLog,
+  createLogBatch,
+  createMultiDeviceLogBatch,
   getLogs,
-  getUsage
+  getUsage,
+  getMetrics
 };
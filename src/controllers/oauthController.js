@@ -0,0 +1,300 @@
+const jwt = require('jsonwebtoken');
+const ApiClient = require('../models/ApiClient');
+const Organization = require('../models/Organization');
+const AuditEvent = require('../models/AuditEvent');
+
+// Client credentials from HTTP Basic auth (preferred by RFC 6749) or the body.
+// Returns null when the Basic credentials are not valid form-encoding.
+const getClientCredentials = (req) => {
+  const authHeader = req.headers['authorization'];
+
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+
+    if (separator > 0) {
+      try {
+        return {
+          clientId: decodeURIComponent(decoded.slice(0, separator)),
+          clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+        };
+      } catch (error) {
+        if (error instanceof URIError) return null;
+        throw error;
+      }
+    }
+  }
+
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret
+  };
+};
+
+// Token endpoint errors use the RFC 6749 format so OAuth libraries understand them
+const sendOAuthError = (res, status, error, description) => {
+  res.set('Cache-Control', 'no-store');
+  return res.status(status).json({
+    error,
+    error_description: description
+  });
+};
+
+const clientNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'API client not found'
+  });
+};
+
+// POST /oauth/token - Client credentials grant
+const issueToken = async (req, res) => {
+  try {
+    if (req.body.grant_type !== 'client_credentials') {
+      return sendOAuthError(res, 400, 'unsupported_grant_type', 'Only the client_credentials grant is supported');
+    }
+
+    const credentials = getClientCredentials(req);
+    if (!credentials) {
+      return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    const { clientId, clientSecret } = credentials;
+    if (!clientId || !clientSecret) {
+      return sendOAuthError(res, 400, 'invalid_request', 'client_id and client_secret are required');
+    }
+
+    const client = await ApiClient.authenticate(clientId, clientSecret);
+    if (!client) {
+      await AuditEvent.record({
+        action: 'oauth.token_failed',
+        outcome: 'failure',
+        target: { type: 'api_client', id: String(clientId).slice(0, 100) },
+        req
+      });
+
+      return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    const scopes = client.resolveRequestedScopes(req.body.scope);
+    if (!scopes) {
+      return sendOAuthError(res, 400, 'invalid_scope', 'Requested scope exceeds the scopes granted to the client');
+    }
+
+    const accessToken = client.generateAccessToken(scopes);
+    const { iat, exp } = jwt.decode(accessToken);
+
+    client.lastTokenIssuedAt = new Date();
+    await client.save();
+
+    await AuditEvent.record({
+      action: 'oauth.token_issued',
+      actor: { type: 'client', id: client._id },
+      target: { type: 'api_client', id: client.clientId },
+      req,
+      details: { scopes }
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: exp - iat,
+      scope: scopes.join(' ')
+    });
+  } catch (error) {
+    console.error('Issue OAuth token error:', error);
+    sendOAuthError(res, 500, 'server_error', 'Error issuing token');
+  }
+};
+
+// POST /oauth/clients - Register an API client (returns the secret once)
+const createApiClient = async (req, res) => {
+  try {
+    const { name, description, scopes, organization_id } = req.body;
+
+    if (organization_id && !await Organization.exists({ _id: organization_id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const { client, clientSecret } = await ApiClient.issue({
+      name,
+      description,
+      scopes,
+      organization_id,
+      createdBy: req.user._id
+    });
+
+    await AuditEvent.record({
+      action: 'oauth.client_created',
+      target: { type: 'api_client', id: client.clientId },
+      req,
+      after: { name, scopes, organization_id: organization_id || null }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API client registered - the secret is only shown once',
+      client,
+      clientSecret
+    });
+  } catch (error) {
+    console.error('Create API client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering API client'
+    });
+  }
+};
+
+// GET /oauth/clients - List API clients
+const getApiClients = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status === 'active') query.revokedAt = null;
+    if (status === 'revoked') query.revokedAt = { $ne: null };
+
+    const [clients, total] = await Promise.all([
+      ApiClient.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ApiClient.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      clients,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get API clients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API clients'
+    });
+  }
+};
+
+// PATCH /oauth/clients/:clientId - Rename a client or change its scopes
+const updateApiClient = async (req, res) => {
+  try {
+    const client = await ApiClient.findOne({ clientId: req.params.clientId });
+    if (!client) return clientNotFound(res);
+
+    const before = { name: client.name, description: client.description, scopes: [...client.scopes] };
+
+    ['name', 'description', 'scopes'].forEach(field => {
+      if (req.body[field] !== undefined) client[field] = req.body[field];
+    });
+    await client.save();
+
+    await AuditEvent.record({
+      action: 'oauth.client_updated',
+      target: { type: 'api_client', id: client.clientId },
+      req,
+      before,
+      after: { name: client.name, description: client.description, scopes: [...client.scopes] }
+    });
+
+    res.json({
+      success: true,
+      message: 'API client updated',
+      client
+    });
+  } catch (error) {
+    console.error('Update API client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating API client'
+    });
+  }
+};
+
+// POST /oauth/clients/:clientId/rotate-secret - Replace the client secret
+const rotateApiClientSecret = async (req, res) => {
+  try {
+    const client = await ApiClient.findOne({ clientId: req.params.clientId, revokedAt: null });
+    if (!client) return clientNotFound(res);
+
+    const clientSecret = client.rotateSecret();
+    await client.save();
+
+    await AuditEvent.record({
+      action: 'oauth.client_secret_rotated',
+      target: { type: 'api_client', id: client.clientId },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Client secret rotated - the new secret is only shown once',
+      client,
+      clientSecret
+    });
+  } catch (error) {
+    console.error('Rotate API client secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating client secret'
+    });
+  }
+};
+
+// DELETE /oauth/clients/:clientId - Revoke a client and every token issued to it
+const revokeApiClient = async (req, res) => {
+  try {
+    const client = await ApiClient.findOne({ clientId: req.params.clientId });
+    if (!client) return clientNotFound(res);
+
+    if (client.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'API client is already revoked'
+      });
+    }
+
+    client.revokedAt = new Date();
+    await client.save();
+
+    await AuditEvent.record({
+      action: 'oauth.client_revoked',
+      target: { type: 'api_client', id: client.clientId },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'API client revoked',
+      client
+    });
+  } catch (error) {
+    console.error('Revoke API client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API client'
+    });
+  }
+};
+
+module.exports = {
+  issueToken,
+  createApiClient,
+  getApiClients,
+  updateApiClient,
+  rotateApiClientSecret,
+  revokeApiClient
+};
@@ -0,0 +1,358 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { hasPermission } = require('../config/permissions');
+
+// Organization summary with the requesting user's role
+const toOrganizationSummary = (organization, userId, defaultOrganizationId) => ({
+  id: organization._id,
+  name: organization.name,
+  personal: organization.personal,
+  role: organization.getMember(userId).role,
+  memberCount: organization.members.length,
+  twoFactorRequiredRoles: organization.twoFactorRequiredRoles,
+  isDefault: Boolean(defaultOrganizationId) && organization._id.toString() === defaultOrganizationId.toString(),
+  createdAt: organization.createdAt
+});
+
+// A member may only manage members whose role does not outrank their own,
+// and may not hand out a role above their own
+const canManageRole = (membership, role) => {
+  return Organization.roleAtLeast(membership.role, role);
+};
+
+// POST /organizations - Create organization (the creator becomes its owner)
+const createOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.create({
+      name: req.body.name,
+      createdBy: req.user._id,
+      members: [{ user_id: req.user._id, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      organization: toOrganizationSummary(organization, req.user._id, req.user.defaultOrganization)
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating organization'
+    });
+  }
+};
+
+// GET /organizations - List the user's organizations
+const getOrganizations = async (req, res) => {
+  try {
+    // Make sure the personal organization exists before listing
+    await Organization.ensurePersonal(req.user);
+
+    const organizations = await Organization.findForUser(req.user._id);
+
+    res.json({
+      success: true,
+      organizations: organizations.map(organization =>
+        toOrganizationSummary(organization, req.user._id, req.user.defaultOrganization)
+      )
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching organizations'
+    });
+  }
+};
+
+// GET /organizations/:orgId - Get organization with its members
+const getOrganization = async (req, res) => {
+  try {
+    const summary = toOrganizationSummary(req.organization, req.user._id, req.user.defaultOrganization);
+    const users = await User.find({ _id: { $in: req.organization.getMemberIds() } }).select('name email');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    res.json({
+      success: true,
+      organization: {
+        ...summary,
+        members: req.organization.members.map(member => {
+          const user = usersById.get(member.user_id.toString());
+          return {
+            userId: member.user_id,
+            name: user ? user.name : null,
+            email: user ? user.email : null,
+            role: member.role,
+            joinedAt: member.joinedAt
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching organization'
+    });
+  }
+};
+
+// PATCH /organizations/:orgId - Rename organization or set its two-factor policy
+const updateOrganization = async (req, res) => {
+  try {
+    const { name, twoFactorRequiredRoles } = req.body;
+    const organization = req.organization;
+
+    if (twoFactorRequiredRoles) {
+      // Requiring two-factor for your own role without it would lock you out
+      if (twoFactorRequiredRoles.includes(req.membership.role) && !req.user.isTwoFactorEnabled()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Enable two-factor authentication before requiring it for your own role'
+        });
+      }
+
+      organization.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    }
+
+    if (name) organization.name = name;
+    await organization.save();
+
+    res.json({
+      success: true,
+      organization: toOrganizationSummary(organization, req.user._id, req.user.defaultOrganization)
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating organization'
+    });
+  }
+};
+
+// DELETE /organizations/:orgId - Delete organization (must have no devices)
+const deleteOrganization = async (req, res) => {
+  try {
+    const organization = req.organization;
+
+    if (organization.personal) {
+      return res.status(409).json({
+        success: false,
+        message: 'Personal organizations cannot be deleted'
+      });
+    }
+
+    const deviceCount = await Device.countDocuments({ organization_id: organization._id });
+    if (deviceCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Organization still has ${deviceCount} device(s) - delete them first`
+      });
+    }
+
+    const scope = { organization_id: organization._id };
+    await Promise.all([
+      AlertRule.deleteMany(scope),
+      Alert.deleteMany(scope),
+      Webhook.deleteMany(scope),
+      WebhookDelivery.deleteMany(scope),
+      User.updateMany({ defaultOrganization: organization._id }, { defaultOrganization: null })
+    ]);
+    await Organization.findByIdAndDelete(organization._id);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting organization'
+    });
+  }
+};
+
+// POST /organizations/:orgId/members - Add an existing user as a member
+const addMember = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const role = req.body.role || 'viewer';
+    const organization = req.organization;
+
+    if (!canManageRole(req.membership, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot grant a role above your own'
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (organization.getMember(user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already a member of this organization'
+      });
+    }
+
+    organization.members.push({ user_id: user._id, role });
+    await organization.save();
+
+    res.status(201).json({
+      success: true,
+      member: {
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding organization member'
+    });
+  }
+};
+
+// PATCH /organizations/:orgId/members/:userId - Change a member's role
+const updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const organization = req.organization;
+    const member = organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!canManageRole(req.membership, member.role) || !canManageRole(req.membership, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot manage a member or grant a role above your own'
+      });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && organization.countRole('owner') === 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    member.role = role;
+    await organization.save();
+
+    res.json({
+      success: true,
+      member: {
+        userId: member.user_id,
+        role: member.role
+      }
+    });
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating organization member'
+    });
+  }
+};
+
+// DELETE /organizations/:orgId/members/:userId - Remove a member (or leave)
+const removeMember = async (req, res) => {
+  try {
+    const organization = req.organization;
+    const member = organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Anyone may leave; removing others needs members:manage and a role at least theirs
+    const leaving = member.user_id.toString() === req.user._id.toString();
+    if (!leaving && (!hasPermission(req.permissions, 'members:manage') || !canManageRole(req.membership, member.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot remove a member with a role above your own'
+      });
+    }
+
+    if (member.role === 'owner' && organization.countRole('owner') === 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    organization.members = organization.members.filter(existing =>
+      existing.user_id.toString() !== member.user_id.toString()
+    );
+    await organization.save();
+    await User.updateOne(
+      { _id: member.user_id, defaultOrganization: organization._id },
+      { defaultOrganization: null }
+    );
+
+    res.json({
+      success: true,
+      message: leaving ? 'You left the organization' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing organization member'
+    });
+  }
+};
+
+// POST /organizations/:orgId/select - Use organization by default
+const selectOrganization = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { defaultOrganization: req.organization._id });
+
+    res.json({
+      success: true,
+      organization: toOrganizationSummary(req.organization, req.user._id, req.organization._id)
+    });
+  } catch (error) {
+    console.error('Select organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error selecting organization'
+    });
+  }
+};
+
+module.exports = {
+  createOrganization,
+  getOrganizations,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  addMember,
+  updateMember,
+  removeMember,
+  selectOrganization
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AuditEvent = require('../models/AuditEvent');
+
+// GET /auth/tokens - List the user's personal access tokens (newest first)
+const getPersonalAccessTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ user_id: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      tokens
+    });
+  } catch (error) {
+    console.error('Get personal access tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching personal access tokens'
+    });
+  }
+};
+
+// POST /auth/tokens - Create a personal access token (returns the token once)
+const createPersonalAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { personalAccessToken, token } = await PersonalAccessToken.issue(req.user._id, {
+      name,
+      scopes,
+      expiresInDays
+    });
+
+    await AuditEvent.record({
+      action: 'auth.personal_token_created',
+      target: { type: 'personal_access_token', id: personalAccessToken._id },
+      req,
+      details: { name, scopes, expiresAt: personalAccessToken.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Personal access token created - copy it now, it will not be shown again',
+      token,
+      personalAccessToken
+    });
+  } catch (error) {
+    console.error('Create personal access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating personal access token'
+    });
+  }
+};
+
+// DELETE /auth/tokens/:tokenId - Revoke a personal access token
+const revokePersonalAccessToken = async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const personalAccessToken = mongoose.Types.ObjectId.isValid(tokenId)
+      ? await PersonalAccessToken.findOne({ _id: tokenId, user_id: req.user._id })
+      : null;
+
+    if (!personalAccessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Personal access token not found'
+      });
+    }
+
+    if (personalAccessToken.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Personal access token is already revoked'
+      });
+    }
+
+    personalAccessToken.revokedAt = new Date();
+    await personalAccessToken.save();
+
+    await AuditEvent.record({
+      action: 'auth.personal_token_revoked',
+      target: { type: 'personal_access_token', id: personalAccessToken._id },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Personal access token revoked',
+      personalAccessToken
+    });
+  } catch (error) {
+    console.error('Revoke personal access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking personal access token'
+    });
+  }
+};
+
+module.exports = {
+  getPersonalAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken
+};
@@ -0,0 +1,197 @@
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const AuditEvent = require('../models/AuditEvent');
+const totpService = require('../services/totpService');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// POST /auth/2fa/setup - Start enrollment with a new secret
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.isTwoFactorEnabled()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Starting again replaces any unconfirmed secret
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: totpService.buildOtpauthUrl(secret, user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup'
+    });
+  }
+};
+
+// POST /auth/2fa/confirm - Confirm enrollment with a first code
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.isTwoFactorEnabled()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totpService.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await AuditEvent.record({
+      action: 'auth.two_factor_enabled',
+      target: { type: 'user', id: user._id },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled - store the recovery codes somewhere safe, they are only shown once',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication'
+    });
+  }
+};
+
+// POST /auth/2fa/disable - Turn off two-factor (password and a current code)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.isTwoFactorEnabled()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    // Policies that require two-factor cannot be opted out of
+    const organizations = await Organization.findRequiringTwoFactor(user._id);
+    if (user.isTwoFactorRequiredByRole() || organizations.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account and cannot be disabled'
+      });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    await AuditEvent.record({
+      action: 'auth.two_factor_disabled',
+      target: { type: 'user', id: user._id },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication'
+    });
+  }
+};
+
+// POST /auth/2fa/recovery-codes - Replace the recovery codes (requires a current code)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.isTwoFactorEnabled()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    await AuditEvent.record({
+      action: 'auth.recovery_codes_regenerated',
+      target: { type: 'user', id: user._id },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated - previous codes no longer work',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes'
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,260 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+
+// Find a webhook in the organization
+const findOrganizationWebhook = (webhookId, organizationId) => {
+  return Webhook.findOne({ _id: webhookId, organization_id: organizationId });
+};
+
+// POST /webhooks - Register webhook endpoint
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description, enabled } = req.body;
+
+    const urlError = await webhookService.checkUrl(url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError
+      });
+    }
+
+    const secret = Webhook.generateSecret();
+
+    const webhook = await Webhook.create({
+      owner_id: req.user._id,
+      organization_id: req.organization._id,
+      url,
+      events,
+      description,
+      enabled: enabled !== undefined ? enabled : true,
+      secret
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered. Store the signing secret now - it will not be shown again.',
+      webhook,
+      secret
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering webhook'
+    });
+  }
+};
+
+// GET /webhooks - List webhook endpoints
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ organization_id: req.organization._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      webhooks,
+      eventTypes: Webhook.getEventTypes()
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks'
+    });
+  }
+};
+
+// PATCH /webhooks/:webhookId - Update webhook endpoint
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findOrganizationWebhook(req.params.webhookId, req.organization._id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { url, events, description, enabled } = req.body;
+
+    if (url !== undefined) {
+      const urlError = await webhookService.checkUrl(url);
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          message: urlError
+        });
+      }
+
+      webhook.url = url;
+    }
+
+    if (events !== undefined) webhook.events = events;
+    if (description !== undefined) webhook.description = description;
+    if (enabled !== undefined) webhook.enabled = enabled;
+
+    await webhook.save();
+
+    res.json({
+      success: true,
+      webhook
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook'
+    });
+  }
+};
+
+// DELETE /webhooks/:webhookId - Remove webhook endpoint and its delivery log
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findOrganizationWebhook(req.params.webhookId, req.organization._id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await Webhook.findByIdAndDelete(webhook._id);
+    await WebhookDelivery.deleteMany({ webhook_id: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook'
+    });
+  }
+};
+
+// GET /webhooks/:webhookId/deliveries - Delivery log
+const getDeliveries = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const webhook = await findOrganizationWebhook(req.params.webhookId, req.organization._id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const query = { webhook_id: webhook._id };
+    if (status) query.status = status;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      success: true,
+      deliveries: deliveries.map(delivery => delivery.toDeliveryEntry()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries'
+    });
+  }
+};
+
+// GET /webhooks/:webhookId/deliveries/:deliveryId - Delivery with payload and attempts
+const getDelivery = async (req, res) => {
+  try {
+    const { webhookId, deliveryId } = req.params;
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: deliveryId,
+      webhook_id: webhookId,
+      organization_id: req.organization._id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery: delivery.toDeliveryEntry(true)
+    });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook delivery'
+    });
+  }
+};
+
+// POST /webhooks/:webhookId/deliveries/:deliveryId/replay - Send a delivery again
+const replayDelivery = async (req, res) => {
+  try {
+    const { webhookId, deliveryId } = req.params;
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: deliveryId,
+      webhook_id: webhookId,
+      organization_id: req.organization._id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const replayed = await webhookService.replay(delivery);
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued for replay',
+      delivery: replayed.toDeliveryEntry()
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying webhook delivery'
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  getDelivery,
+  replayDelivery
+};
@@ -1,6 +1,91 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const TokenBlacklist = require('../models/TokenBlacklist');
+const Device = require('../models/Device');
+const ApiClient = require('../models/ApiClient');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AuditEvent = require('../models/AuditEvent');
+const mailService = require('../services/mailService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const keyStoreService = require('../services/keyStoreService');
+const webSocketService = require('../services/websocketService');
+const { createRateLimiter, principalRateLimit } = require('./rateLimit');
+const {
+  resolveTokenPermissions,
+  resolveClientScopes,
+  restrictToScopes,
+  hasPermission
+} = require('../config/permissions');
+
+// Client credentials tokens act as the API client: there is no req.user, and
+// the permissions are the token's scopes the client still holds.
+const authenticateClient = async (req, res, next, token, decoded) => {
+  const client = await ApiClient.findById(decoded.id);
+
+  if (!client || client.revokedAt) {
+    return res.status(401).json({
+      success: false,
+      message: 'API client has been revoked'
+    });
+  }
+
+  req.apiClient = client;
+  req.token = token;
+  req.permissions = resolveClientScopes(decoded.permissions, client.scopes);
+  req.withheldPermissions = [];
+  next();
+};
+
+// Reason a token's user may not authenticate, or null
+const getUserRejection = (user) => {
+  if (!user) return 'Invalid token - user not found';
+  if (!user.isActive) return 'User account is deactivated';
+  if (user.isLocked) return 'Account is temporarily locked due to multiple failed login attempts';
+  return null;
+};
+
+// Set the user's platform permissions on the request (limited to the token's
+// scopes, if any). Roles that require two-factor get none until it is enabled.
+const applyUserPermissions = (req, user, tokenPermissions, scopes = null) => {
+  const permissions = restrictToScopes(resolveTokenPermissions(tokenPermissions, user.role), scopes);
+
+  req.permissions = user.needsTwoFactorSetup() ? [] : permissions;
+  req.withheldPermissions = user.needsTwoFactorSetup() ? permissions : [];
+};
+
+// Personal access tokens act as their user, limited to the token's scopes.
+// They have no session, and organization permissions are limited to the
+// scopes as well (req.tokenScopes).
+const authenticatePersonalToken = async (req, res, next, token) => {
+  const personalAccessToken = await PersonalAccessToken.findActive(token);
+
+  if (!personalAccessToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked personal access token'
+    });
+  }
+
+  const user = await User.findById(personalAccessToken.user_id).select('-password');
+  const rejection = getUserRejection(user);
+
+  if (rejection) {
+    return res.status(401).json({
+      success: false,
+      message: rejection
+    });
+  }
+
+  await personalAccessToken.recordUse(req.ip);
+
+  req.user = user;
+  req.token = token;
+  req.sessionId = null;
+  req.impersonatedBy = null;
+  req.personalAccessToken = personalAccessToken;
+  req.tokenScopes = personalAccessToken.scopes;
+  applyUserPermissions(req, user, undefined, personalAccessToken.scopes);
+  return principalRateLimit(req, res, next);
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -14,16 +99,30 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Check if token is blacklisted
-    const isBlacklisted = await TokenBlacklist.isBlacklisted(token);
-    if (isBlacklisted) {
+    // Several routers share a mount path and each authenticates. The first run
+    // already checked this token (and audited impersonated requests).
+    if (req.token === token) {
+      return next();
+    }
+
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      return await authenticatePersonalToken(req, res, next, token);
+    }
+
+    // Check if token is blacklisted (Redis, falling back to Mongo)
+    const isRevoked = await tokenRevocationService.isRevoked(token);
+    if (isRevoked) {
       return res.status(401).json({
         success: false,
         message: 'Token has been revoked'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = keyStoreService.verify(token);
+
+    if (decoded.type === 'client') {
+      return await authenticateClient(req, res, next, token, decoded);
+    }
     
     // Verify token type
     if (decoded.type !== 'access') {
@@ -35,31 +134,49 @@ const authenticateToken = async (req, res, next) => {
     
     // Get user from database
     const user = await User.findById(decoded.id).select('-password');
+    const rejection = getUserRejection(user);
     
-    if (!user) {
+    if (rejection) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token - user not found'
+        message: rejection
       });
     }
 
-    if (!user.isActive) {
+    // Access tokens stop working once their session is revoked
+    if (decoded.sid && !user.getSession(decoded.sid)) {
       return res.status(401).json({
         success: false,
-        message: 'User account is deactivated'
+        message: 'Session has been revoked'
       });
     }
 
-    if (user.isLocked) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is temporarily locked due to multiple failed login attempts'
+    // Impersonation tokens are read-only and every request is audited
+    if (decoded.impersonatedBy) {
+      if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Impersonation sessions are read-only',
+          code: 'IMPERSONATION_READ_ONLY'
+        });
+      }
+
+      await AuditEvent.record({
+        action: 'admin.impersonated_request',
+        actor: { type: 'user', id: decoded.impersonatedBy },
+        target: { type: 'user', id: user._id },
+        req,
+        details: { method: req.method, path: req.originalUrl }
       });
     }
 
     req.user = user;
     req.token = token;
-    next();
+    req.sessionId = decoded.sid || null;
+    req.impersonatedBy = decoded.impersonatedBy || null;
+    // Platform permissions; organization middleware adds membership permissions
+    applyUserPermissions(req, user, decoded.permissions);
+    return principalRateLimit(req, res, next);
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
@@ -83,6 +200,55 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// A session is a refresh token family: every rotation keeps the session id
+// (sid claim). When an already-rotated token of a live session is presented,
+// either the client or an attacker holds a stolen copy, so the whole family is
+// revoked: the session (and with it its access tokens) is removed, its current
+// refresh token is blacklisted, and the user is notified.
+const revokeTokenFamily = async (user, session, req) => {
+  const detectedAt = new Date();
+  await user.revokeSession(session._id);
+
+  const decoded = jwt.decode(session.token);
+  if (decoded && decoded.exp) {
+    await tokenRevocationService.revoke(
+      session.token,
+      user._id,
+      'refresh',
+      new Date(decoded.exp * 1000),
+      'security'
+    );
+  }
+
+  await AuditEvent.record({
+    action: 'auth.refresh_token_reused',
+    actor: { type: 'user', id: user._id },
+    target: { type: 'session', id: session._id },
+    req,
+    details: {
+      sessionUserAgent: session.userAgent,
+      sessionIp: session.ip,
+      sessionCreatedAt: session.createdAt
+    }
+  });
+
+  webSocketService.sendNotification(user._id, {
+    type: 'session-revoked',
+    reason: 'refresh-token-reuse',
+    sessionId: session._id,
+    message: 'A session was signed out because an old refresh token was reused'
+  });
+
+  await mailService.sendSafely('refresh-token-reuse', user.email, {
+    name: user.name,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    detectedAt
+  });
+
+  console.warn(`🚨 Refresh token reuse detected for ${user.email} - session ${session._id} revoked`);
+};
+
 const authenticateRefreshToken = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
@@ -94,35 +260,47 @@ const authenticateRefreshToken = async (req, res, next) => {
       });
     }
 
-    // Check if refresh token is blacklisted
-    const isBlacklisted = await TokenBlacklist.isBlacklisted(refreshToken);
-    if (isBlacklisted) {
+    const decoded = keyStoreService.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    
+    // Verify token type
+    if (decoded.type !== 'refresh') {
       return res.status(401).json({
         success: false,
-        message: 'Refresh token has been revoked'
+        message: 'Invalid refresh token'
       });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    // Verify token type
-    if (decoded.type !== 'refresh') {
+    const user = await User.findById(decoded.id);
+    // Tokens issued before sessions had ids are looked up by value
+    const session = user && (decoded.sid ? user.getSession(decoded.sid) : user.getSessionByToken(refreshToken));
+
+    // The family is still live but has moved on to a newer token: reuse
+    if (session && session.token !== refreshToken) {
+      await revokeTokenFamily(user, session, req);
+
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'Refresh token reuse detected - the session has been revoked',
+        code: 'REFRESH_TOKEN_REUSED'
       });
     }
 
-    // Find user and verify refresh token exists
-    const user = await User.findByRefreshToken(refreshToken);
-    
-    if (!user) {
+    if (!session) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
+    // Check if refresh token is blacklisted
+    const isRevoked = await tokenRevocationService.isRevoked(refreshToken);
+    if (isRevoked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -139,6 +317,7 @@ const authenticateRefreshToken = async (req, res, next) => {
 
     req.user = user;
     req.refreshToken = refreshToken;
+    req.refreshSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -162,19 +341,73 @@ const authenticateRefreshToken = async (req, res, next) => {
   }
 };
 
-const authorizeRoles = (...roles) => {
+// Device API key authentication. Requests without an X-Device-Key header skip the
+// rest of the router so they fall through to the user-token routes.
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-device-key'];
+
+    if (!apiKey) {
+      return next('router');
+    }
+
+    const result = await Device.findByApiKey(apiKey);
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked device key'
+      });
+    }
+
+    const { device, key } = result;
+
+    // A device may only act on its own resources
+    if (req.params.id && req.params.id !== device._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Device key is not valid for this device'
+      });
+    }
+
+    // Track key usage (throttled) without rewriting the whole device document
+    await device.recordApiKeyUse(key, req.ip);
+
+    req.device = device;
+    req.deviceKeyId = key.keyId;
+    return principalRateLimit(req, res, next);
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+// Require a named permission (see config/permissions). Organization-scoped
+// permissions are only present once the organization has been resolved.
+const requirePermission = (permission) => {
   return (req, res, next) => {
-    if (!req.user) {
+    if (!req.user && !req.apiClient) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!hasPermission(req.permissions, permission)) {
+      if (hasPermission(req.withheldPermissions, permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Two-factor authentication is required for permission ${permission}`,
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
       return res.status(403).json({
         success: false,
-        message: 'Access denied - insufficient permissions'
+        message: `Access denied - missing permission ${permission}`
       });
     }
 
@@ -182,23 +415,41 @@ const authorizeRoles = (...roles) => {
   };
 };
 
-// Rate limiting middleware for authentication endpoints
-const authRateLimit = require('express-rate-limit');
+// Endpoints about the signed-in person (profile, sessions, tokens,
+// organizations) are closed to API client tokens and personal access tokens,
+// so a leaked token cannot take over the account or mint more tokens
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint requires a user token'
+    });
+  }
 
-const createAuthRateLimiter = () => {
-  return authRateLimit({
-    windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 5, // 5 attempts per window
+  if (req.personalAccessToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'Personal access tokens cannot be used for account endpoints'
+    });
+  }
+
+  next();
+};
+
+// Rate limiting for authentication endpoints (the auth policy). Each limiter
+// is named so limiters sharing the policy keep separate counters.
+const createAuthRateLimiter = (name, options = {}) => {
+  return createRateLimiter('auth', {
+    name,
     message: {
       success: false,
       message: 'Too many authentication attempts, please try again later.'
     },
-    standardHeaders: true,
-    legacyHeaders: false,
     skipSuccessfulRequests: true,
     keyGenerator: (req) => {
       return req.ip + ':' + (req.body.email || req.ip);
-    }
+    },
+    ...options
   });
 };
 
@@ -215,7 +466,7 @@ const logout = async (req, res, next) => {
       const decoded = jwt.decode(accessToken);
       if (decoded && decoded.exp) {
         promises.push(
-          TokenBlacklist.addToBlacklist(
+          tokenRevocationService.revoke(
             accessToken,
             userId,
             'access',
@@ -231,7 +482,7 @@ const logout = async (req, res, next) => {
       const decoded = jwt.decode(refreshToken);
       if (decoded && decoded.exp) {
         promises.push(
-          TokenBlacklist.addToBlacklist(
+          tokenRevocationService.revoke(
             refreshToken,
             userId,
             'refresh',
@@ -259,7 +510,9 @@ const logout = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   authenticateRefreshToken,
-  authorizeRoles,
+  authenticateDevice,
+  requirePermission,
+  requireUser,
   createAuthRateLimiter,
   logout
 };
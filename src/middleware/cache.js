@@ -135,13 +135,18 @@ const performanceMonitor = (req, res, next) => {
   next();
 };
 
+// Organization the request acts on. Device data is cached per organization so
+// a cached response is never served to someone outside the device's organization.
+const organizationKey = (req) => {
+  return req.organization ? req.organization._id : 'none';
+};
+
 // Cache key generators for specific endpoints
 const cacheKeys = {
   // Device listing cache key
   deviceList: (req) => {
     const { type, status, page = 1, limit = 10 } = req.query;
-    const userId = req.user ? req.user._id : 'anonymous';
-    return `devices:list:${userId}:${type || 'all'}:${status || 'all'}:${page}:${limit}`;
+    return `devices:list:${organizationKey(req)}:${type || 'all'}:${status || 'all'}:${page}:${limit}`;
   },
   
   // User profile cache key
@@ -160,14 +165,21 @@ const cacheKeys = {
   analytics: (req) => {
     const { id } = req.params;
     const { range = '24h' } = req.query;
-    return `analytics:device:${id}:${range}`;
+    return `analytics:device:${id}:${range}:${organizationKey(req)}`;
+  },
+  
+  // Metric series cache key (under analytics: so device invalidation clears it)
+  metrics: (req) => {
+    const { id } = req.params;
+    const { event, start = '', end = '', interval = '1h', functions = '' } = req.query;
+    return `analytics:device:${id}:metrics:${event}:${start}:${end}:${interval}:${functions}:${organizationKey(req)}`;
   },
   
   // Device logs cache key
   deviceLogs: (req) => {
     const { id } = req.params;
     const { limit = 10, page = 1, event, severity } = req.query;
-    return `logs:device:${id}:${limit}:${page}:${event || 'all'}:${severity || 'all'}`;
+    return `logs:device:${id}:${limit}:${page}:${event || 'all'}:${severity || 'all'}:${organizationKey(req)}`;
   }
 };
 
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+// Replays the stored response when a request is retried with the same
+// Idempotency-Key header. Only successful (2xx) responses are stored, so a
+// failed request can be retried with the same key. A request that never
+// answered (crash, timeout) holds the key for IDEMPOTENCY_LOCK_SECONDS only.
+const idempotency = (scope) => {
+  return async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 128) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency key cannot exceed 128 characters'
+      });
+    }
+
+    try {
+      let principal = `user:${req.user && req.user._id}`;
+      if (req.device) principal = `device:${req.device._id}`;
+      if (req.apiClient) principal = `client:${req.apiClient._id}`;
+      const requestHash = crypto
+        .createHash('sha256')
+        .update(`${req.method}:${req.originalUrl}:${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+
+      const { record, created } = await IdempotencyRecord.reserve(scope, principal, key, requestHash);
+
+      if (!created) {
+        // Record expired between the insert attempt and the lookup
+        if (!record) {
+          return next();
+        }
+
+        if (record.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency key was already used with a different request'
+          });
+        }
+
+        if (record.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this idempotency key is still being processed'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.statusCode).json(record.response);
+      }
+
+      // Capture the response of the first request
+      const originalJson = res.json;
+      res.json = function(data) {
+        res.json = originalJson;
+
+        const finish = res.statusCode >= 200 && res.statusCode < 300
+          ? record.complete(res.statusCode, data)
+          : record.deleteOne();
+
+        finish.catch(error => console.error('Idempotency record update error:', error));
+
+        return originalJson.call(this, data);
+      };
+
+      next();
+    } catch (error) {
+      console.error('Idempotency middleware error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  idempotency
+};
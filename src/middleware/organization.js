@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const { resolvePermissions, restrictToScopes } = require('../config/permissions');
+
+// Set the request's organization and add the membership permissions (only
+// those within the token's scopes for personal access tokens). When the
+// organization requires two-factor for the member's role and the user has not
+// enabled it, the membership permissions are withheld instead.
+const applyMembership = (req, organization, membership) => {
+  req.organization = organization;
+  req.membership = membership;
+
+  if (organization.requiresTwoFactor(membership.role) && !req.user.isTwoFactorEnabled()) {
+    req.withheldPermissions = restrictToScopes(resolvePermissions(req.withheldPermissions, membership), req.tokenScopes);
+    return;
+  }
+
+  req.permissions = restrictToScopes(resolvePermissions(req.permissions, membership), req.tokenScopes);
+};
+
+// Resolve the organization a user request acts on: the X-Organization-Id
+// header, else the user's default organization (their personal one unless
+// they picked another). Sets req.organization and req.membership and adds the
+// membership role's permissions to req.permissions.
+const resolveOrganization = async (req, res, next) => {
+  try {
+    // API clients act on the organization they were registered for, with
+    // their scopes only (there is no membership)
+    if (req.apiClient) {
+      const clientOrganizationId = req.apiClient.organization_id;
+      const requestedId = req.headers['x-organization-id'];
+
+      const organization = clientOrganizationId &&
+        (!requestedId || requestedId === clientOrganizationId.toString())
+        ? await Organization.findById(clientOrganizationId)
+        : null;
+
+      if (!organization) {
+        return res.status(403).json({
+          success: false,
+          message: 'API client is not registered for this organization'
+        });
+      }
+
+      req.organization = organization;
+      req.membership = null;
+      return next();
+    }
+
+    if (!req.user) {
+      return next();
+    }
+
+    // Already resolved by a router earlier in the chain
+    if (req.organization) {
+      return next();
+    }
+
+    const requestedId = req.headers['x-organization-id'];
+    let organization;
+
+    if (requestedId) {
+      if (!mongoose.Types.ObjectId.isValid(requestedId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid organization ID'
+        });
+      }
+
+      organization = await Organization.findById(requestedId);
+    } else if (req.user.defaultOrganization) {
+      organization = await Organization.findById(req.user.defaultOrganization);
+    }
+
+    let membership = organization ? organization.getMember(req.user._id) : null;
+
+    // No default, or one the user has since left: use the personal organization
+    // (impersonation is read-only, so it is never created then)
+    if (!membership && !requestedId) {
+      organization = req.impersonatedBy
+        ? await Organization.findOne({ createdBy: req.user._id, personal: true })
+        : await Organization.ensurePersonal(req.user);
+      membership = organization ? organization.getMember(req.user._id) : null;
+    }
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this organization'
+      });
+    }
+
+    applyMembership(req, organization, membership);
+    next();
+  } catch (error) {
+    console.error('Organization resolution error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error resolving organization'
+    });
+  }
+};
+
+// Load the organization named by the :orgId route parameter (members only)
+const loadOrganization = async (req, res, next) => {
+  try {
+    const { orgId } = req.params;
+    const organization = mongoose.Types.ObjectId.isValid(orgId)
+      ? await Organization.findById(orgId)
+      : null;
+    const membership = organization ? organization.getMember(req.user._id) : null;
+
+    // Non-members cannot tell whether the organization exists
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    applyMembership(req, organization, membership);
+    next();
+  } catch (error) {
+    console.error('Load organization error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error loading organization'
+    });
+  }
+};
+
+module.exports = {
+  resolveOrganization,
+  loadOrganization
+};
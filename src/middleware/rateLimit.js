@@ -0,0 +1,153 @@
+const rateLimit = require('express-rate-limit');
+const keyStoreService = require('../services/keyStoreService');
+const rateLimitService = require('../services/rateLimitService');
+const { getRateLimitPolicy } = require('../config/rateLimits');
+
+// Global rate limit subject: API clients are limited per client, everything
+// else per IP. The token is verified so a forged client id cannot buy a fresh
+// allowance.
+const getRateLimitKey = (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token) {
+    try {
+      const decoded = keyStoreService.verify(token);
+      if (decoded.type === 'client') {
+        return `client:${decoded.clientId}`;
+      }
+    } catch (error) {
+      // Invalid tokens are limited by IP
+    }
+  }
+
+  return `ip:${req.ip}`;
+};
+
+// Subject for route group limits: the authenticated caller, or the IP
+const getPrincipalSubject = (req) => {
+  if (req.apiClient) return `client:${req.apiClient.clientId}`;
+  if (req.device) return `device:${req.device._id}`;
+  if (req.user) return `user:${req.user._id}`;
+  return `ip:${req.ip}`;
+};
+
+// Create a limiter for a policy (see config/rateLimits). Counters are kept per
+// subject (keyGenerator) in Redis and the max is the subject's override or the
+// policy default. A limiter counts each request once, even when the
+// authentication that applies it runs in more than one router. The subject is
+// worked out once per request and reused for the max, so a token is only
+// verified once.
+const createRateLimiter = (policyName, options = {}) => {
+  const { name = null, ...limiterOptions } = options;
+  const getSubject = limiterOptions.keyGenerator || getRateLimitKey;
+  const limiterId = name ? `${policyName}:${name}` : policyName;
+
+  const keyGenerator = (req) => {
+    req.rateLimitSubjects = req.rateLimitSubjects || {};
+
+    if (!(limiterId in req.rateLimitSubjects)) {
+      req.rateLimitSubjects[limiterId] = getSubject(req);
+    }
+
+    return req.rateLimitSubjects[limiterId];
+  };
+
+  const limiter = rateLimit({
+    windowMs: getRateLimitPolicy(policyName).windowMs,
+    message: {
+      success: false,
+      message: 'Too many requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: rateLimitService.createStore(policyName, name),
+    ...limiterOptions,
+    keyGenerator,
+    max: (req) => rateLimitService.getLimit(policyName, keyGenerator(req))
+  });
+
+  return (req, res, next) => {
+    req.appliedRateLimits = req.appliedRateLimits || new Set();
+
+    if (req.appliedRateLimits.has(limiterId)) {
+      return next();
+    }
+
+    req.appliedRateLimits.add(limiterId);
+    return limiter(req, res, next);
+  };
+};
+
+const userLimiter = createRateLimiter('user', {
+  keyGenerator: (req) => `user:${req.user._id}`
+});
+
+const deviceLimiter = createRateLimiter('device', {
+  keyGenerator: (req) => `device:${req.device._id}`
+});
+
+const apiKeyLimiter = createRateLimiter('apiKey', {
+  keyGenerator: (req) => {
+    return req.personalAccessToken
+      ? `personal-token:${req.personalAccessToken._id}`
+      : `device-key:${req.deviceKeyId}`;
+  }
+});
+
+// Run limiters in order, stopping at the first that rejects
+const runLimiters = (limiters, req, res, next) => {
+  const [limiter, ...rest] = limiters;
+
+  if (!limiter) {
+    return next();
+  }
+
+  return limiter(req, res, (error) => {
+    if (error) return next(error);
+    return runLimiters(rest, req, res, next);
+  });
+};
+
+// Per-principal limits, applied once authentication has identified the
+// caller. The key limit runs last so the RateLimit-* headers show the
+// narrowest allowance. API clients are limited per client by the global
+// limiter.
+const principalRateLimit = (req, res, next) => {
+  const limiters = [];
+
+  if (req.device) {
+    limiters.push(deviceLimiter, apiKeyLimiter);
+  } else if (req.user) {
+    limiters.push(userLimiter);
+    if (req.personalAccessToken) limiters.push(apiKeyLimiter);
+  }
+
+  return runLimiters(limiters, req, res, next);
+};
+
+// Route group limits for expensive endpoints (after authentication)
+const exportRateLimit = createRateLimiter('exports', {
+  keyGenerator: getPrincipalSubject,
+  message: {
+    success: false,
+    message: 'Too many export jobs, please try again later.'
+  }
+});
+
+const auditExportRateLimit = createRateLimiter('auditExport', {
+  keyGenerator: getPrincipalSubject,
+  message: {
+    success: false,
+    message: 'Too many audit exports, please try again later.'
+  }
+});
+
+module.exports = {
+  createRateLimiter,
+  getRateLimitKey,
+  getPrincipalSubject,
+  principalRateLimit,
+  exportRateLimit,
+  auditExportRateLimit
+};
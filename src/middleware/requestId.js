@@ -0,0 +1,18 @@
+const { v4: uuidv4 } = require('uuid');
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Tags every request with an id (the caller's X-Request-Id when it is a sane
+// value) and echoes it in the response, so audit events can be traced back
+// to the request that caused them.
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  requestId
+};
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+
+// States an action may be applied from
+const ALLOWED_TRANSITIONS = {
+  acknowledge: ['firing', 'snoozed'],
+  snooze: ['firing', 'acknowledged', 'snoozed'],
+  unsnooze: ['snoozed'],
+  resolve: ['firing', 'acknowledged', 'snoozed']
+};
+
+const timelineEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  fromState: {
+    type: String,
+    default: null
+  },
+  toState: {
+    type: String,
+    required: true
+  },
+  actorType: {
+    type: String,
+    enum: ['user', 'system'],
+    default: 'system'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  comment: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const alertSchema = new mongoose.Schema({
+  rule_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: [true, 'Alert rule is required']
+  },
+  device_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device ID is required']
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Alert owner is required']
+  },
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  ruleName: {
+    type: String,
+    required: true
+  },
+  conditionType: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  state: {
+    type: String,
+    enum: ['firing', 'acknowledged', 'snoozed', 'resolved'],
+    default: 'firing'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    default: null
+  },
+  // Reading that fired the alert
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  firedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolution: {
+    type: String,
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  snoozedUntil: {
+    type: Date,
+    default: null
+  },
+  // Every state change, oldest first
+  timeline: {
+    type: [timelineEntrySchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Open alert lookup per rule and device, and listing by organization
+alertSchema.index({ rule_id: 1, device_id: 1, state: 1 });
+// At most one open alert per rule and device, even when evaluations race
+alertSchema.index(
+  { rule_id: 1, device_id: 1 },
+  { unique: true, partialFilterExpression: { state: { $in: ['firing', 'acknowledged', 'snoozed'] } } }
+);
+alertSchema.index({ organization_id: 1, state: 1, firedAt: -1 });
+alertSchema.index({ organization_id: 1, device_id: 1, firedAt: -1 });
+alertSchema.index({ state: 1, snoozedUntil: 1 });
+
+// Static method to find the open alert for a rule and device
+alertSchema.statics.findOpen = function(ruleId, deviceId) {
+  return this.findOne({ rule_id: ruleId, device_id: deviceId, state: { $ne: 'resolved' } });
+};
+
+// Static method to find open alerts for a device and a set of rules
+alertSchema.statics.findOpenForDevice = function(deviceId, ruleIds) {
+  return this.find({ device_id: deviceId, rule_id: { $in: ruleIds }, state: { $ne: 'resolved' } });
+};
+
+// Method to check whether an action is allowed in the current state
+alertSchema.methods.canTransition = function(action) {
+  return (ALLOWED_TRANSITIONS[action] || []).includes(this.state);
+};
+
+// Method to change state and record it on the timeline
+alertSchema.methods.recordTransition = function(action, toState, actor = {}, comment = null, details = {}) {
+  this.timeline.push({
+    action,
+    fromState: this.isNew ? null : this.state,
+    toState,
+    actorType: actor.type || 'system',
+    actorId: actor.id || null,
+    comment,
+    details
+  });
+  this.state = toState;
+  return this;
+};
+
+// Method to get alert summary
+alertSchema.methods.toAlertEntry = function() {
+  return {
+    id: this._id,
+    rule_id: this.rule_id,
+    device_id: this.device_id,
+    ruleName: this.ruleName,
+    conditionType: this.conditionType,
+    severity: this.severity,
+    state: this.state,
+    message: this.message,
+    event: this.event,
+    value: this.value,
+    firedAt: this.firedAt,
+    resolvedAt: this.resolvedAt,
+    resolution: this.resolution,
+    acknowledgedAt: this.acknowledgedAt,
+    acknowledgedBy: this.acknowledgedBy,
+    snoozedUntil: this.snoozedUntil
+  };
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
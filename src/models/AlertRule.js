@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+
+const CONDITION_TYPES = ['threshold', 'rate_of_change', 'missing_data', 'match'];
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'neq'];
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+const DEVICE_TYPES = ['light', 'thermostat', 'camera', 'sensor', 'smart_meter', 'switch', 'other'];
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Rule owner is required']
+  },
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Which devices the rule applies to
+  scope: {
+    type: {
+      type: String,
+      enum: ['device', 'device_type', 'group'],
+      required: [true, 'Scope type is required']
+    },
+    device_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      default: null
+    },
+    deviceType: {
+      type: String,
+      enum: [...DEVICE_TYPES, null],
+      default: null
+    },
+    group: {
+      type: String,
+      default: null
+    }
+  },
+  condition: {
+    type: {
+      type: String,
+      enum: CONDITION_TYPES,
+      required: [true, 'Condition type is required']
+    },
+    // Event the rule watches (any event when empty)
+    event: {
+      type: String,
+      default: null
+    },
+    operator: {
+      type: String,
+      enum: [...OPERATORS, null],
+      default: null
+    },
+    // Threshold for threshold rules, change per minute for rate_of_change rules
+    value: {
+      type: Number,
+      default: null
+    },
+    // Hysteresis: an open alert only resolves once the reading passes this value
+    clearValue: {
+      type: Number,
+      default: null
+    },
+    // Log severities matched by match rules
+    severities: {
+      type: [{ type: String, enum: SEVERITIES }],
+      default: undefined
+    }
+  },
+  // Seconds the condition must hold before firing (silence window for missing_data)
+  duration: {
+    type: Number,
+    default: 0,
+    min: [0, 'Duration cannot be negative']
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  // Per-device time the condition started holding, for duration tracking
+  pendingSince: {
+    type: Map,
+    of: Date,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+alertRuleSchema.index({ organization_id: 1, enabled: 1 });
+alertRuleSchema.index({ 'condition.type': 1, enabled: 1 });
+
+// Compare a reading against a value with a rule operator
+const compare = (operator, reading, value) => {
+  switch (operator) {
+    case 'gt': return reading > value;
+    case 'gte': return reading >= value;
+    case 'lt': return reading < value;
+    case 'lte': return reading <= value;
+    case 'eq': return reading === value;
+    case 'neq': return reading !== value;
+    default: return false;
+  }
+};
+
+// Records from before organizations existed are matched by owner until migrated
+const tenantQuery = (record) => {
+  return record.organization_id
+    ? { organization_id: record.organization_id }
+    : { organization_id: null, owner_id: record.owner_id };
+};
+
+// Static method to find enabled rules whose scope covers a device
+alertRuleSchema.statics.findForDevice = function(device, conditionTypes = null) {
+  const query = {
+    ...tenantQuery(device),
+    enabled: true,
+    $or: [
+      { 'scope.type': 'device', 'scope.device_id': device._id },
+      { 'scope.type': 'device_type', 'scope.deviceType': device.type }
+    ]
+  };
+
+  if (device.group) {
+    query.$or.push({ 'scope.type': 'group', 'scope.group': device.group });
+  }
+
+  if (conditionTypes) {
+    query['condition.type'] = { $in: conditionTypes };
+  }
+
+  return this.find(query);
+};
+
+// Method to check whether the rule watches an event
+alertRuleSchema.methods.watchesEvent = function(event) {
+  return !this.condition.event || this.condition.event === event;
+};
+
+// Method to check whether a reading breaches the rule. With an open alert the
+// breach holds until the reading passes clearValue (hysteresis).
+alertRuleSchema.methods.isBreached = function(reading, alertOpen = false) {
+  const { operator, value, clearValue } = this.condition;
+
+  if (alertOpen && clearValue !== null && clearValue !== undefined) {
+    return compare(operator, reading, clearValue);
+  }
+
+  return compare(operator, reading, value);
+};
+
+// Method to get the Device query for the devices in scope
+alertRuleSchema.methods.getDeviceQuery = function() {
+  const query = tenantQuery(this);
+
+  switch (this.scope.type) {
+    case 'device':
+      query._id = this.scope.device_id;
+      break;
+    case 'device_type':
+      query.type = this.scope.deviceType;
+      break;
+    case 'group':
+      query.group = this.scope.group;
+      break;
+  }
+
+  return query;
+};
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
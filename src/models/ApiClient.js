@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_CLIENT_SCOPES } = require('../config/permissions');
+const keyStoreService = require('../services/keyStoreService');
+
+const CLIENT_ID_PREFIX = 'cli';
+const CLIENT_SECRET_PREFIX = 'cs';
+
+const apiClientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxlength: [100, 'Client name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true,
+    select: false // The plaintext secret is only returned when issued or rotated
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_CLIENT_SCOPES
+    }],
+    default: []
+  },
+  // Organization whose devices, logs and exports the client acts on
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastTokenIssuedAt: {
+    type: Date,
+    default: null
+  },
+  secretRotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+const generateSecret = () => {
+  return `${CLIENT_SECRET_PREFIX}_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Client state derived from its timestamps
+apiClientSchema.virtual('status').get(function() {
+  return this.revokedAt ? 'revoked' : 'active';
+});
+
+// Static method to register a client - the plaintext secret is only returned here
+apiClientSchema.statics.issue = async function(fields) {
+  const clientSecret = generateSecret();
+
+  const client = await this.create({
+    name: fields.name,
+    description: fields.description,
+    clientId: `${CLIENT_ID_PREFIX}_${crypto.randomBytes(12).toString('hex')}`,
+    secretHash: hashSecret(clientSecret),
+    scopes: fields.scopes,
+    organization_id: fields.organization_id || null,
+    createdBy: fields.createdBy
+  });
+
+  return { client, clientSecret };
+};
+
+// Static method to find an active client by its credentials
+apiClientSchema.statics.authenticate = async function(clientId, clientSecret) {
+  if (typeof clientId !== 'string' || typeof clientSecret !== 'string') return null;
+
+  const client = await this.findOne({ clientId, revokedAt: null }).select('+secretHash');
+  if (!client) return null;
+
+  const expected = Buffer.from(client.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(clientSecret), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return client;
+};
+
+// Method to replace the secret - the caller saves the client. Tokens already
+// issued stay valid until they expire.
+apiClientSchema.methods.rotateSecret = function() {
+  const clientSecret = generateSecret();
+
+  this.secretHash = hashSecret(clientSecret);
+  this.secretRotatedAt = new Date();
+
+  return clientSecret;
+};
+
+// Method to resolve the scopes for a token request. Without a requested scope
+// the client gets all of its scopes; asking for one it lacks returns null.
+apiClientSchema.methods.resolveRequestedScopes = function(requested) {
+  if (!requested) return [...this.scopes];
+
+  const scopes = [...new Set(requested.split(' ').filter(Boolean))];
+  return scopes.every(scope => this.scopes.includes(scope)) ? scopes : null;
+};
+
+// Generate a client credentials access token
+apiClientSchema.methods.generateAccessToken = function(scopes) {
+  return keyStoreService.sign(
+    {
+      id: this._id,
+      clientId: this.clientId,
+      permissions: scopes,
+      type: 'client'
+    },
+    {
+      expiresIn: process.env.OAUTH_TOKEN_EXPIRES_IN || '1h',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+// Ensure virtual fields are serialized (never the secret hash)
+apiClientSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.secretHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiClient', apiClientSchema);
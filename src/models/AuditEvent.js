@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+// Security and device-control audit log. Events are append-only: updates and
+// deletes through the model are rejected.
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'device', 'client', 'system', 'anonymous'],
+      default: 'system'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  target: {
+    type: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: String,
+      default: null
+    }
+  },
+  // Changed fields only (a created or deleted target keeps its whole snapshot)
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  requestId: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+
+const MUTATING_QUERIES = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+const rejectMutation = function() {
+  throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre(MUTATING_QUERIES, rejectMutation);
+auditEventSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+auditEventSchema.pre('save', function() {
+  if (!this.isNew) rejectMutation();
+});
+
+// Fields that change on every save and say nothing about the change itself
+const IGNORED_DIFF_FIELDS = ['updatedAt', '__v'];
+
+// Keep only the fields that differ between two snapshots
+const diffSnapshots = (before, after) => {
+  if (!before || !after) {
+    return { before: before || null, after: after || null };
+  }
+
+  const changes = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (IGNORED_DIFF_FIELDS.includes(key)) return;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.before[key] = before[key];
+      changes.after[key] = after[key];
+    }
+  });
+
+  return changes;
+};
+
+// Actor of a request: the device for device-key requests, the API client for
+// client credentials tokens, otherwise the user
+const actorFromRequest = (req) => {
+  if (!req) return { type: 'system' };
+  if (req.device) return { type: 'device', id: req.device._id };
+  if (req.apiClient) return { type: 'client', id: req.apiClient._id };
+  if (req.user) return { type: 'user', id: req.user._id };
+  return { type: 'anonymous' };
+};
+
+// Static method to record an event. The actor defaults to whoever made the
+// request; IP, user agent and request id are taken from the request when one
+// is given. before/after snapshots are reduced to the changed fields. Failures
+// are logged and never thrown, so auditing cannot break the action being audited.
+auditEventSchema.statics.record = async function({
+  action,
+  actor = null,
+  target = {},
+  req = null,
+  outcome = 'success',
+  before = null,
+  after = null,
+  details = {}
+}) {
+  try {
+    const resolvedActor = actor || actorFromRequest(req);
+
+    return await this.create({
+      action,
+      outcome,
+      actor: {
+        type: resolvedActor.type || (resolvedActor.id ? 'user' : 'system'),
+        id: resolvedActor.id || null
+      },
+      target: {
+        type: target.type || null,
+        id: target.id ? target.id.toString() : null
+      },
+      changes: before || after ? diffSnapshots(before, after) : { before: null, after: null },
+      requestId: req ? req.id || null : null,
+      ip: req ? req.ip : null,
+      userAgent: req ? (req.get('User-Agent') || '').slice(0, 500) || null : null,
+      details
+    });
+  } catch (error) {
+    console.error('Error recording audit event:', error);
+    return null;
+  }
+};
+
+// Static method to build the query for the audit filters. An action ending in
+// ".*" matches every action with that prefix (e.g. "auth.*").
+auditEventSchema.statics.buildQuery = function(filters = {}) {
+  const query = {};
+
+  if (filters.action) {
+    if (filters.action.endsWith('.*')) {
+      const prefix = filters.action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.action = { $regex: `^${prefix}` };
+    } else {
+      query.action = filters.action;
+    }
+  }
+
+  if (filters.outcome) query.outcome = filters.outcome;
+  if (filters.actorType) query['actor.type'] = filters.actorType;
+  if (filters.actorId) query['actor.id'] = filters.actorId;
+  if (filters.targetType) query['target.type'] = filters.targetType;
+  if (filters.targetId) query['target.id'] = filters.targetId;
+  if (filters.requestId) query.requestId = filters.requestId;
+
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) query.createdAt.$lte = new Date(filters.to);
+  }
+
+  return query;
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -1,4 +1,74 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const API_KEY_PREFIX = 'sdk';
+const AUDIT_TRAIL_LIMIT = 200;
+
+// Only record key use once per minute so busy devices don't write on every request
+const KEY_LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters'],
+    default: 'default'
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false // Never return key hashes unless explicitly requested
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const auditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actorType: {
+    type: String,
+    enum: ['user', 'device', 'system'],
+    default: 'user'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
 
 const deviceSchema = new mongoose.Schema({
   name: {
@@ -23,6 +93,12 @@ const deviceSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Device owner is required']
   },
+  // Organization the device belongs to (owner_id is the user who registered it)
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   last_active_at: {
     type: Date,
     default: null
@@ -32,6 +108,12 @@ const deviceSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Location cannot exceed 200 characters']
   },
+  group: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Group cannot exceed 100 characters'],
+    default: null
+  },
   description: {
     type: String,
     trim: true,
@@ -45,6 +127,14 @@ const deviceSchema = new mongoose.Schema({
   isOnline: {
     type: Boolean,
     default: false
+  },
+  apiKeys: {
+    type: [apiKeySchema],
+    default: []
+  },
+  auditTrail: {
+    type: [auditEntrySchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -52,8 +142,11 @@ const deviceSchema = new mongoose.Schema({
 
 // Index for better query performance
 deviceSchema.index({ owner_id: 1, type: 1 });
+deviceSchema.index({ organization_id: 1, type: 1 });
+deviceSchema.index({ organization_id: 1, group: 1 });
 deviceSchema.index({ status: 1 });
 deviceSchema.index({ last_active_at: 1 });
+deviceSchema.index({ 'apiKeys.keyId': 1 });
 
 // Virtual for device age
 deviceSchema.virtual('age').get(function() {
@@ -76,8 +169,136 @@ deviceSchema.methods.isInactive = function() {
   return hoursSinceLastActive > parseInt(process.env.DEVICE_INACTIVITY_THRESHOLD || 24);
 };
 
-// Ensure virtual fields are serialized
-deviceSchema.set('toJSON', { virtuals: true });
+// Hash the secret part of a device API key
+const hashApiKeySecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Split a presented key ("sdk_<keyId>_<secret>") into its parts
+const parseApiKey = (apiKey) => {
+  if (typeof apiKey !== 'string') return null;
+
+  const [prefix, keyId, secret] = apiKey.split('_');
+  if (prefix !== API_KEY_PREFIX || !keyId || !secret) return null;
+
+  return { keyId, secret };
+};
+
+// Issue a new API key - the plaintext key is only returned here
+deviceSchema.methods.generateApiKey = function(name = 'default', createdBy = null) {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  this.apiKeys.push({
+    keyId,
+    name,
+    keyHash: hashApiKeySecret(secret),
+    createdBy
+  });
+
+  return {
+    keyId,
+    apiKey: `${API_KEY_PREFIX}_${keyId}_${secret}`
+  };
+};
+
+// Find an API key by id (revoked keys included)
+deviceSchema.methods.findApiKey = function(keyId) {
+  return this.apiKeys.find(key => key.keyId === keyId) || null;
+};
+
+// Revoke an API key
+deviceSchema.methods.revokeApiKey = function(keyId) {
+  const key = this.findApiKey(keyId);
+  if (!key || key.revokedAt) return false;
+
+  key.revokedAt = new Date();
+  return true;
+};
+
+// Record that an API key was used. The update only matches while the stored
+// time is older than the resolution, so concurrent requests write once.
+deviceSchema.methods.recordApiKeyUse = async function(key, ip) {
+  const cutoff = new Date(Date.now() - KEY_LAST_USED_RESOLUTION_MS);
+  if (key.lastUsedAt && key.lastUsedAt > cutoff) {
+    return;
+  }
+
+  const now = new Date();
+  await this.constructor.updateOne(
+    {
+      _id: this._id,
+      apiKeys: {
+        $elemMatch: {
+          keyId: key.keyId,
+          $or: [{ lastUsedAt: null }, { lastUsedAt: { $lte: cutoff } }]
+        }
+      }
+    },
+    { $set: { 'apiKeys.$.lastUsedAt': now, 'apiKeys.$.lastUsedIp': ip || null } }
+  );
+
+  key.lastUsedAt = now;
+  key.lastUsedIp = ip || null;
+};
+
+// Append an entry to the device audit trail (keeps the most recent entries only)
+deviceSchema.methods.recordAudit = function(action, actor = {}, details = {}) {
+  this.auditTrail.push({
+    action,
+    actorType: actor.type || 'user',
+    actorId: actor.id || null,
+    details
+  });
+
+  if (this.auditTrail.length > AUDIT_TRAIL_LIMIT) {
+    this.auditTrail = this.auditTrail.slice(-AUDIT_TRAIL_LIMIT);
+  }
+};
+
+// Method to get the device fields compared in audit log diffs
+deviceSchema.methods.toAuditSnapshot = function() {
+  return {
+    name: this.name,
+    type: this.type,
+    status: this.status,
+    location: this.location || null,
+    group: this.group || null,
+    description: this.description || null,
+    metadata: this.metadata ? Object.fromEntries(this.metadata) : {},
+    organization_id: this.organization_id ? this.organization_id.toString() : null
+  };
+};
+
+// Static method to resolve a device from a presented API key
+deviceSchema.statics.findByApiKey = async function(apiKey) {
+  const parsed = parseApiKey(apiKey);
+  if (!parsed) return null;
+
+  const device = await this.findOne({ 'apiKeys.keyId': parsed.keyId }).select('+apiKeys.keyHash');
+  if (!device) return null;
+
+  const key = device.findApiKey(parsed.keyId);
+  if (!key || key.revokedAt) return null;
+
+  const expected = Buffer.from(key.keyHash, 'hex');
+  const actual = Buffer.from(hashApiKeySecret(parsed.secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { device, key };
+};
+
+// Ensure virtual fields are serialized (API keys and audit trail have dedicated endpoints)
+deviceSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.apiKeys;
+    delete ret.auditTrail;
+    return ret;
+  }
+});
 deviceSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Device', deviceSchema);
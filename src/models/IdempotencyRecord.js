@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: [128, 'Idempotency key cannot exceed 128 characters']
+  },
+  scope: {
+    type: String,
+    required: true
+  },
+  principal: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // A processing record whose lease has passed belongs to a request that
+  // crashed or timed out, and a retry may take it over
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Automatically delete expired records
+  }
+}, {
+  timestamps: true
+});
+
+// One record per key for each endpoint and caller
+idempotencyRecordSchema.index({ scope: 1, principal: 1, key: 1 }, { unique: true });
+
+// Static method to reserve a key. Returns { record, created }; created is also
+// true when a retry took over a processing record whose lease expired.
+idempotencyRecordSchema.statics.reserve = async function(scope, principal, key, requestHash) {
+  const ttlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+  const lockSeconds = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + lockSeconds * 1000);
+
+  try {
+    const record = await this.create({
+      scope,
+      principal,
+      key,
+      requestHash,
+      lockedUntil,
+      expiresAt: new Date(now.getTime() + ttlHours * 60 * 60 * 1000)
+    });
+    return { record, created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Only one retry wins the takeover
+    const takenOver = await this.findOneAndUpdate(
+      { scope, principal, key, requestHash, status: 'processing', lockedUntil: { $lte: now } },
+      { $set: { lockedUntil } },
+      { new: true }
+    );
+    if (takenOver) {
+      return { record: takenOver, created: true };
+    }
+
+    const record = await this.findOne({ scope, principal, key });
+    return { record, created: false };
+  }
+};
+
+// Store the response so retries can be replayed
+idempotencyRecordSchema.methods.complete = function(statusCode, response) {
+  this.status = 'completed';
+  this.statusCode = statusCode;
+  this.response = response;
+  return this.save();
+};
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
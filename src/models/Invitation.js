@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PLATFORM_ROLES, ORGANIZATION_ROLES } = require('../config/permissions');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false // The plaintext token is only returned when the invitation is issued
+  },
+  // Platform role the invited account gets
+  role: {
+    type: String,
+    enum: Object.keys(PLATFORM_ROLES),
+    default: 'user'
+  },
+  // Optional organization the account joins on acceptance
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  organizationRole: {
+    type: String,
+    enum: Object.keys(ORGANIZATION_ROLES),
+    default: null
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+invitationSchema.index({ email: 1, createdAt: -1 });
+invitationSchema.index({ acceptedAt: 1, revokedAt: 1, expiresAt: 1 });
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Invitation state derived from its timestamps
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= Date.now()) return 'expired';
+  return 'pending';
+});
+
+// Static method to issue an invitation - the plaintext token is only returned here
+invitationSchema.statics.issue = async function(fields) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInHours = fields.expiresInHours || parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72;
+
+  const invitation = await this.create({
+    email: fields.email,
+    role: fields.role || 'user',
+    organization_id: fields.organization_id || null,
+    organizationRole: fields.organization_id ? (fields.organizationRole || 'viewer') : null,
+    invitedBy: fields.invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find a pending invitation by its token
+invitationSchema.statics.findPendingByToken = async function(token) {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const invitation = await this.findOne({ tokenHash: hashToken(token) });
+  return invitation && invitation.status === 'pending' ? invitation : null;
+};
+
+// Static method to build the query for a status filter
+invitationSchema.statics.statusQuery = function(status) {
+  const now = new Date();
+
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+// Ensure virtual fields are serialized (never the token hash)
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
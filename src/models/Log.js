@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const LogRollup = require('./LogRollup');
+
+const INTERVAL_UNITS = {
+  m: { unit: 'minute', ms: 60 * 1000 },
+  h: { unit: 'hour', ms: 60 * 60 * 1000 },
+  d: { unit: 'day', ms: 24 * 60 * 60 * 1000 },
+  w: { unit: 'week', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+
+const BASIC_METRIC_FUNCTIONS = ['sum', 'avg', 'min', 'max', 'count', 'last'];
 
 const logSchema = new mongoose.Schema({
   device_id: {
@@ -20,6 +30,19 @@ const logSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  late: {
+    type: Boolean,
+    default: false
+  },
+  message_id: {
+    type: String,
+    trim: true,
+    maxlength: [128, 'Message ID cannot exceed 128 characters']
+  },
   metadata: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -44,6 +67,13 @@ logSchema.index({ device_id: 1, timestamp: -1 });
 logSchema.index({ event: 1 });
 logSchema.index({ timestamp: -1 });
 logSchema.index({ severity: 1 });
+logSchema.index({ device_id: 1, late: 1, receivedAt: -1 });
+
+// Client message IDs are unique per device (logs without one are not constrained)
+logSchema.index(
+  { device_id: 1, message_id: 1 },
+  { unique: true, partialFilterExpression: { message_id: { $type: 'string' } } }
+);
 
 // Compound index for efficient range queries
 logSchema.index({ device_id: 1, event: 1, timestamp: -1 });
@@ -52,53 +82,143 @@ logSchema.index({ device_id: 1, event: 1, timestamp: -1 });
 logSchema.methods.toLogEntry = function() {
   return {
     id: this._id,
+    message_id: this.message_id,
     event: this.event,
     value: this.value,
     timestamp: this.timestamp,
+    receivedAt: this.receivedAt,
+    late: this.late,
     severity: this.severity,
     source: this.source,
     metadata: Object.fromEntries(this.metadata)
   };
 };
 
-// Static method to get aggregated usage data
-logSchema.statics.getAggregatedUsage = async function(deviceId, range = '24h') {
-  const now = new Date();
-  let startDate;
-
-  switch (range) {
-    case '1h':
-      startDate = new Date(now.getTime() - 60 * 60 * 1000);
-      break;
-    case '24h':
-      startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-      break;
-    case '7d':
-      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-      break;
-    case '30d':
-      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      break;
-    default:
-      startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000); // Default to 24h
+// Static method to insert many logs without aborting on individual failures.
+// Returns one entry per input: { log } when stored, { error } when rejected.
+logSchema.statics.insertBatch = async function(docs) {
+  if (docs.length === 0) return [];
+
+  let results;
+  try {
+    const res = await this.insertMany(docs, { ordered: false, rawResult: true });
+    results = res.mongoose.results;
+  } catch (error) {
+    // Unordered inserts report per-document write errors alongside the successes
+    if (!error.results) throw error;
+    results = error.results;
   }
 
-  const logs = await this.find({
-    device_id: deviceId,
-    event: 'units_consumed',
-    timestamp: { $gte: startDate }
+  return results.map(result => {
+    if (result instanceof this) {
+      return { log: result };
+    }
+    const message = result.message || (result.err && result.err.errmsg) || 'Insert failed';
+    const code = result.code || (result.err && result.err.code);
+    return { error: message, code };
+  });
+};
+
+// Static method to parse a bucket interval such as "5m", "1h" or "1d"
+logSchema.statics.parseMetricInterval = function(interval) {
+  const match = /^(\d+)([mhdw])$/.exec(interval || '');
+  if (!match) return null;
+
+  const binSize = parseInt(match[1]);
+  const { unit, ms } = INTERVAL_UNITS[match[2]];
+  if (binSize < 1) return null;
+
+  return { unit, binSize, ms: binSize * ms };
+};
+
+// Nearest-rank percentile over the bucket's collected values
+const percentileExpression = (percentile) => ({
+  $let: {
+    vars: { sorted: { $sortArray: { input: '$values', sortBy: 1 } } },
+    in: {
+      $arrayElemAt: [
+        '$$sorted',
+        {
+          $toInt: {
+            $max: [0, { $subtract: [{ $ceil: { $multiply: [percentile / 100, { $size: '$$sorted' }] } }, 1] }]
+          }
+        }
+      ]
+    }
+  }
+});
+
+// Static method to build a bucketed time series for a numeric event.
+// functions: any of sum, avg, min, max, count, last and percentiles like p95
+logSchema.statics.getMetricSeries = async function(deviceId, { event, start, end, interval, functions }) {
+  const bucket = this.parseMetricInterval(interval);
+  const percentiles = functions.filter(fn => /^p\d/.test(fn));
+
+  const group = { _id: { $dateTrunc: { date: '$timestamp', unit: bucket.unit, binSize: bucket.binSize } } };
+  if (functions.includes('sum')) group.sum = { $sum: '$numericValue' };
+  if (functions.includes('avg')) group.avg = { $avg: '$numericValue' };
+  if (functions.includes('min')) group.min = { $min: '$numericValue' };
+  if (functions.includes('max')) group.max = { $max: '$numericValue' };
+  if (functions.includes('count')) group.count = { $sum: 1 };
+  if (functions.includes('last')) group.last = { $last: '$numericValue' };
+  if (percentiles.length > 0) group.values = { $push: '$numericValue' };
+
+  const project = { _id: 0, timestamp: '$_id' };
+  BASIC_METRIC_FUNCTIONS
+    .filter(fn => functions.includes(fn))
+    .forEach(fn => { project[fn] = 1; });
+  percentiles.forEach(fn => {
+    // Field names cannot contain dots, so p99.9 is returned as p99_9
+    project[fn.replace('.', '_')] = percentileExpression(parseFloat(fn.slice(1)));
   });
 
-  const totalUnits = logs.reduce((sum, log) => {
-    const value = parseFloat(log.value) || 0;
-    return sum + value;
-  }, 0);
+  return this.aggregate([
+    {
+      $match: {
+        device_id: new mongoose.Types.ObjectId(deviceId),
+        event,
+        timestamp: { $gte: start, $lt: end }
+      }
+    },
+    {
+      $project: {
+        timestamp: 1,
+        numericValue: {
+          $convert: { input: '$value', to: 'double', onError: null, onNull: null }
+        }
+      }
+    },
+    { $match: { numericValue: { $ne: null } } },
+    { $sort: { timestamp: 1 } },
+    { $group: group },
+    { $sort: { _id: 1 } },
+    { $project: project }
+  ]);
+};
+
+// Rollup resolution used for each usage range
+const USAGE_RANGES = {
+  '1h': { ms: 60 * 60 * 1000, resolution: 'minute' },
+  '24h': { ms: 24 * 60 * 60 * 1000, resolution: 'minute' },
+  '7d': { ms: 7 * 24 * 60 * 60 * 1000, resolution: 'hour' },
+  '30d': { ms: 30 * 24 * 60 * 60 * 1000, resolution: 'hour' }
+};
+
+// Static method to get aggregated usage data (served from rollups; the start
+// date is aligned to the rollup resolution)
+logSchema.statics.getAggregatedUsage = async function(deviceId, range = '24h') {
+  const now = new Date();
+  const { ms, resolution } = USAGE_RANGES[range] || USAGE_RANGES['24h']; // Default to 24h
+  const startDate = LogRollup.bucketStart(new Date(now.getTime() - ms), resolution);
+
+  const totals = await LogRollup.getTotals(deviceId, 'units_consumed', resolution, startDate, now);
 
   return {
     device_id: deviceId,
     range: range,
-    total_units: totalUnits,
-    log_count: logs.length,
+    total_units: totals.sum,
+    log_count: totals.count,
+    resolution,
     start_date: startDate,
     end_date: now
   };
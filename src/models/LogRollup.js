@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Rollup resolutions, finest first
+const RESOLUTIONS = {
+  minute: { ms: 60 * 1000, retentionEnv: 'ROLLUP_RETENTION_MINUTE_DAYS', defaultRetentionDays: 7 },
+  hour: { ms: 60 * 60 * 1000, retentionEnv: 'ROLLUP_RETENTION_HOUR_DAYS', defaultRetentionDays: 90 },
+  day: { ms: 24 * 60 * 60 * 1000, retentionEnv: 'ROLLUP_RETENTION_DAY_DAYS', defaultRetentionDays: 730 }
+};
+
+const logRollupSchema = new mongoose.Schema({
+  device_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device ID is required']
+  },
+  event: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  resolution: {
+    type: String,
+    enum: Object.keys(RESOLUTIONS),
+    required: true
+  },
+  bucket: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  sum: {
+    type: Number,
+    default: 0
+  },
+  min: {
+    type: Number,
+    default: null
+  },
+  max: {
+    type: Number,
+    default: null
+  },
+  last: {
+    type: Number,
+    default: null
+  },
+  lastTimestamp: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Rollups expire per resolution retention
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One document per device, event, resolution and bucket (also the $merge key)
+logRollupSchema.index({ device_id: 1, event: 1, resolution: 1, bucket: 1 }, { unique: true });
+
+// Static method to get retention in milliseconds for a resolution
+logRollupSchema.statics.getRetentionMs = function(resolution) {
+  const config = RESOLUTIONS[resolution];
+  const days = parseInt(process.env[config.retentionEnv]) || config.defaultRetentionDays;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Static method to get the start of the (UTC) bucket containing a date
+logRollupSchema.statics.bucketStart = function(date, resolution) {
+  const { ms } = RESOLUTIONS[resolution];
+  return new Date(Math.floor(new Date(date).getTime() / ms) * ms);
+};
+
+// Static method to pick the coarsest resolution that evenly divides an interval
+logRollupSchema.statics.resolutionForInterval = function(intervalMs) {
+  const candidates = Object.keys(RESOLUTIONS).reverse();
+  return candidates.find(resolution => intervalMs % RESOLUTIONS[resolution].ms === 0) || null;
+};
+
+// Static method to build a bucketed series from rollups (same shape as Log.getMetricSeries)
+logRollupSchema.statics.getSeries = async function(deviceId, { event, start, end, bucket, resolution, functions }) {
+  const group = {
+    _id: { $dateTrunc: { date: '$bucket', unit: bucket.unit, binSize: bucket.binSize } },
+    sum: { $sum: '$sum' },
+    count: { $sum: '$count' },
+    min: { $min: '$min' },
+    max: { $max: '$max' },
+    last: { $last: '$last' }
+  };
+
+  const project = { _id: 0, timestamp: '$_id' };
+  if (functions.includes('sum')) project.sum = '$sum';
+  if (functions.includes('avg')) project.avg = { $cond: [{ $gt: ['$count', 0] }, { $divide: ['$sum', '$count'] }, null] };
+  if (functions.includes('min')) project.min = '$min';
+  if (functions.includes('max')) project.max = '$max';
+  if (functions.includes('count')) project.count = '$count';
+  if (functions.includes('last')) project.last = '$last';
+
+  return this.aggregate([
+    {
+      $match: {
+        device_id: new mongoose.Types.ObjectId(deviceId),
+        event,
+        resolution,
+        bucket: { $gte: start, $lt: end }
+      }
+    },
+    { $sort: { bucket: 1 } },
+    { $group: group },
+    { $sort: { _id: 1 } },
+    { $project: project }
+  ]);
+};
+
+// Static method to get totals for a range from rollups
+logRollupSchema.statics.getTotals = async function(deviceId, event, resolution, start, end) {
+  const [totals] = await this.aggregate([
+    {
+      $match: {
+        device_id: new mongoose.Types.ObjectId(deviceId),
+        event,
+        resolution,
+        bucket: { $gte: start, $lt: end }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        sum: { $sum: '$sum' },
+        count: { $sum: '$count' }
+      }
+    }
+  ]);
+
+  return {
+    sum: totals ? totals.sum : 0,
+    count: totals ? totals.count : 0
+  };
+};
+
+// Static method to list the supported resolutions, finest first
+logRollupSchema.statics.getResolutions = function() {
+  return Object.keys(RESOLUTIONS);
+};
+
+module.exports = mongoose.model('LogRollup', logRollupSchema);
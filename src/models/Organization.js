@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const Device = require('./Device');
+const AlertRule = require('./AlertRule');
+const Alert = require('./Alert');
+const Webhook = require('./Webhook');
+const WebhookDelivery = require('./WebhookDelivery');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+
+// Roles in increasing order of privilege (each bundles the permissions in config/permissions)
+const ROLES = Object.keys(ORGANIZATION_ROLES);
+
+const membershipSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  // Every user gets a personal organization for the devices they register alone
+  personal: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [membershipSchema],
+    default: []
+  },
+  // Members with these roles must enable two-factor authentication before
+  // their membership permissions apply
+  twoFactorRequiredRoles: {
+    type: [{ type: String, enum: ROLES }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+organizationSchema.index({ 'members.user_id': 1 });
+organizationSchema.index(
+  { createdBy: 1 },
+  { unique: true, partialFilterExpression: { personal: true } }
+);
+
+// Static method to list the membership roles (lowest privilege first)
+organizationSchema.statics.getRoles = function() {
+  return [...ROLES];
+};
+
+// Static method to check whether a role grants at least another role
+organizationSchema.statics.roleAtLeast = function(role, minimumRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+};
+
+// Static method to list the organizations a user belongs to
+organizationSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user_id': userId }).sort({ personal: -1, createdAt: 1 });
+};
+
+// Static method to get (or create) a user's personal organization. Devices,
+// rules, alerts and webhooks created before organizations existed are moved
+// into it on first use.
+organizationSchema.statics.ensurePersonal = async function(user) {
+  let organization = await this.findOne({ createdBy: user._id, personal: true });
+
+  if (!organization) {
+    try {
+      organization = await this.create({
+        name: `${user.name}'s Organization`,
+        personal: true,
+        createdBy: user._id,
+        members: [{ user_id: user._id, role: 'owner' }]
+      });
+    } catch (error) {
+      // Created concurrently by another request
+      if (error.code !== 11000) throw error;
+      return this.findOne({ createdBy: user._id, personal: true });
+    }
+
+    const legacy = { owner_id: user._id, organization_id: null };
+    const scope = { $set: { organization_id: organization._id } };
+    await Promise.all(
+      [Device, AlertRule, Alert, Webhook, WebhookDelivery].map(Model => Model.updateMany(legacy, scope))
+    );
+  }
+
+  if (!user.defaultOrganization) {
+    await User.updateOne(
+      { _id: user._id },
+      { defaultOrganization: organization._id }
+    );
+    user.defaultOrganization = organization._id;
+  }
+
+  return organization;
+};
+
+// Static method to list the organizations whose policy requires two-factor for the user's role
+organizationSchema.statics.findRequiringTwoFactor = async function(userId) {
+  const organizations = await this.find({
+    'members.user_id': userId,
+    'twoFactorRequiredRoles.0': { $exists: true }
+  });
+
+  return organizations.filter(organization => organization.requiresTwoFactor(organization.getMember(userId).role));
+};
+
+// Method to get a user's membership
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user_id.toString() === userId.toString()) || null;
+};
+
+// Method to count members holding a role
+organizationSchema.methods.countRole = function(role) {
+  return this.members.filter(member => member.role === role).length;
+};
+
+// Method to check whether a membership role must use two-factor authentication
+organizationSchema.methods.requiresTwoFactor = function(role) {
+  return (this.twoFactorRequiredRoles || []).includes(role);
+};
+
+// Method to get the user ids of every member (notification fan-out)
+organizationSchema.methods.getMemberIds = function() {
+  return this.members.map(member => member.user_id);
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../config/permissions');
+
+const TOKEN_PREFIX = 'pat';
+
+// Only record use once per minute so busy scripts don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Long-lived user tokens for scripts and CI. Only the SHA-256 hash is stored;
+// the plaintext token is returned once when it is created.
+const personalAccessTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Start of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+personalAccessTokenSchema.index({ user_id: 1, createdAt: -1 });
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Token state derived from its timestamps
+personalAccessTokenSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Static method to tell personal access tokens apart from JWTs
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(`${TOKEN_PREFIX}_`);
+};
+
+// Static method to create a token - the plaintext token is only returned here
+personalAccessTokenSchema.statics.issue = async function(userId, { name, scopes, expiresInDays }) {
+  const token = `${TOKEN_PREFIX}_${crypto.randomBytes(32).toString('hex')}`;
+
+  const personalAccessToken = await this.create({
+    user_id: userId,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 9),
+    scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { personalAccessToken, token };
+};
+
+// Static method to find the active (unrevoked, unexpired) token record for a plaintext token
+personalAccessTokenSchema.statics.findActive = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke every active token of a user
+personalAccessTokenSchema.statics.revokeAllForUser = async function(userId) {
+  const result = await this.updateMany(
+    { user_id: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+// Method to record that the token was used
+personalAccessTokenSchema.methods.recordUse = async function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip || null;
+  await this.save();
+};
+
+// Ensure virtual fields are serialized (never the token hash)
+personalAccessTokenSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
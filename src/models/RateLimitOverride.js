@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { RATE_LIMIT_POLICY_NAMES } = require('../config/rateLimits');
+
+// Admin override of a rate limit policy's max for one subject, e.g. a higher
+// allowance for `user:<id>` or a lower one for `ip:<ip>` (0 lifts the limit).
+// Expired overrides are removed and the policy's default applies again.
+const rateLimitOverrideSchema = new mongoose.Schema({
+  policy: {
+    type: String,
+    enum: RATE_LIMIT_POLICY_NAMES,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  max: {
+    type: Number,
+    required: true,
+    min: [0, 'Max cannot be negative']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One override per policy and subject
+rateLimitOverrideSchema.index({ policy: 1, subject: 1 }, { unique: true });
+
+// Remove overrides once they expire
+rateLimitOverrideSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find the overrides in effect
+rateLimitOverrideSchema.statics.findActive = function() {
+  return this.find({
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+module.exports = mongoose.model('RateLimitOverride', rateLimitOverrideSchema);
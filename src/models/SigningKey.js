@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const ALGORITHMS = ['RS256', 'ES256'];
+
+// Asymmetric keys for signing tokens, identified by kid. Several keys are
+// valid at once: the newest activated key signs, and every unexpired key
+// verifies and is published in the JWKS. A key gets an expiry once it is
+// superseded and is removed when no token signed with it can still be valid.
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ALGORITHMS,
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  privateKey: {
+    type: String,
+    required: true,
+    select: false // PKCS#8 PEM, encrypted with JWT_KEY_PASSPHRASE when set
+  },
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  // Published in the JWKS right away, used for signing from this time on
+  activatesAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+signingKeySchema.index({ activatesAt: -1 });
+
+// Remove keys once they expire
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const generateKeyPair = (algorithm, passphrase) => {
+  const privateKeyEncoding = passphrase
+    ? { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase }
+    : { type: 'pkcs8', format: 'pem' };
+
+  const options = algorithm === 'ES256'
+    ? { namedCurve: 'P-256' }
+    : { modulusLength: 2048 };
+
+  return crypto.generateKeyPairSync(algorithm === 'ES256' ? 'ec' : 'rsa', {
+    ...options,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding
+  });
+};
+
+// Static method to generate and store a new key pair
+signingKeySchema.statics.generate = function(algorithm, activatesAt = new Date()) {
+  const passphrase = process.env.JWT_KEY_PASSPHRASE || null;
+  const { publicKey, privateKey } = generateKeyPair(algorithm, passphrase);
+
+  return this.create({
+    kid: crypto.randomBytes(12).toString('hex'),
+    algorithm,
+    publicKey,
+    privateKey,
+    encrypted: !!passphrase,
+    activatesAt
+  });
+};
+
+// Static method to find the keys that can still verify tokens (with private keys)
+signingKeySchema.statics.findUnexpired = function() {
+  return this.find({
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  })
+    .select('+privateKey')
+    .sort({ activatesAt: -1 });
+};
+
+// Method to export the public key as a JWK
+signingKeySchema.methods.toJwk = function() {
+  return {
+    ...crypto.createPublicKey(this.publicKey).export({ format: 'jwk' }),
+    kid: this.kid,
+    alg: this.algorithm,
+    use: 'sig'
+  };
+};
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
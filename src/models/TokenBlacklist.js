@@ -1,11 +1,19 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
+// Durable record of revoked tokens. Revocation checks go through
+// tokenRevocationService, which caches these entries in Redis by jti.
 const tokenBlacklistSchema = new mongoose.Schema({
   token: {
     type: String,
     required: true,
     unique: true
   },
+  jti: {
+    type: String,
+    default: null
+  },
   type: {
     type: String,
     enum: ['access', 'refresh'],
@@ -36,12 +44,25 @@ const tokenBlacklistSchema = new mongoose.Schema({
 
 // Index for better query performance
 tokenBlacklistSchema.index({ token: 1 });
+tokenBlacklistSchema.index({ jti: 1 });
 tokenBlacklistSchema.index({ userId: 1 });
 tokenBlacklistSchema.index({ type: 1 });
 
-// Static method to check if token is blacklisted
+// Static method to get the id a token is revoked by: its jti claim, or a hash
+// of the token for tokens issued without one
+tokenBlacklistSchema.statics.getRevocationId = function(token) {
+  const decoded = jwt.decode(token);
+  if (decoded && decoded.jti) return decoded.jti;
+
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to check if token is blacklisted (entries written before jti
+// was recorded are matched by the token itself)
 tokenBlacklistSchema.statics.isBlacklisted = async function(token) {
-  const blacklistedToken = await this.findOne({ token });
+  const blacklistedToken = await this.findOne({
+    $or: [{ jti: this.getRevocationId(token) }, { token }]
+  });
   return !!blacklistedToken;
 };
 
@@ -50,6 +71,7 @@ tokenBlacklistSchema.statics.addToBlacklist = async function(token, userId, type
   try {
     await this.create({
       token,
+      jti: this.getRevocationId(token),
       userId,
       type,
       expiresAt,
@@ -1,6 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { PLATFORM_ROLES, getPlatformPermissions } = require('../config/permissions');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const keyStoreService = require('../services/keyStoreService');
+const totpService = require('../services/totpService');
+
+// Platform roles that must enable two-factor authentication before their
+// platform permissions apply (comma-separated, e.g. "admin")
+const getTwoFactorRequiredRoles = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,21 +37,45 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Platform role - bundles account-wide permissions (see config/permissions)
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: Object.keys(PLATFORM_ROLES),
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set to false at signup until the emailed link is used. Accounts created
+  // before email verification existed have no value and count as verified.
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Sessions - one per login, holding its current refresh token. The entry's
+  // _id is the session id carried by access tokens (sid claim).
   refreshTokens: [{
     token: String,
+    userAgent: {
+      type: String,
+      default: null
+    },
+    ip: {
+      type: String,
+      default: null
+    },
     createdAt: {
       type: Date,
       default: Date.now,
       expires: 7 * 24 * 60 * 60 // 7 days
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
     }
   }],
   lastLogin: {
@@ -51,6 +89,43 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date,
     default: null
+  },
+  // TOTP two-factor authentication. Secrets and recovery code hashes are never
+  // loaded unless explicitly selected.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Organization used when a request has no X-Organization-Id header
+  defaultOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
   }
 }, {
   timestamps: true
@@ -80,40 +155,107 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate access token (short-lived)
-userSchema.methods.generateAccessToken = function() {
-  return jwt.sign(
+// Platform permissions granted by the user's role
+userSchema.methods.getPermissions = function() {
+  return getPlatformPermissions(this.role);
+};
+
+// Generate access token (short-lived), bound to the session it was issued from
+userSchema.methods.generateAccessToken = function(sessionId = null) {
+  return keyStoreService.sign(
     { 
       id: this._id,
       email: this.email,
       role: this.role,
+      permissions: this.getPermissions(),
+      ...(sessionId && { sid: sessionId.toString() }),
       type: 'access'
     },
-    process.env.JWT_SECRET,
     { 
-      expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+      jwtid: crypto.randomBytes(16).toString('hex')
     }
   );
 };
 
-// Generate refresh token (long-lived)
-userSchema.methods.generateRefreshToken = function() {
-  const refreshToken = jwt.sign(
+// Generate a read-only access token an admin uses to act as this user. It
+// carries no session or platform permissions, so it cannot be refreshed and
+// never grants admin access even when the user is an admin.
+userSchema.methods.generateImpersonationToken = function(adminId, expiresIn) {
+  return keyStoreService.sign(
+    {
+      id: this._id,
+      email: this.email,
+      role: this.role,
+      permissions: [],
+      impersonatedBy: adminId.toString(),
+      readOnly: true,
+      type: 'access'
+    },
+    {
+      expiresIn,
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+// Generate refresh token (long-lived) for a session
+userSchema.methods.generateRefreshToken = function(sessionId) {
+  return keyStoreService.sign(
     { 
       id: this._id,
+      sid: sessionId.toString(),
       type: 'refresh'
     },
-    process.env.JWT_REFRESH_SECRET,
     { 
-      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
-    }
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+      jwtid: crypto.randomBytes(16).toString('hex')
+    },
+    process.env.JWT_REFRESH_SECRET
   );
+};
+
+// Method to start a session - the caller saves the user. Sessions whose
+// refresh token has expired are dropped at the same time.
+userSchema.methods.createSession = function({ userAgent = null, ip = null } = {}) {
+  const now = Date.now();
+  this.refreshTokens = this.refreshTokens.filter(session => {
+    const decoded = jwt.decode(session.token);
+    return decoded && decoded.exp && decoded.exp * 1000 > now;
+  });
+
+  this.refreshTokens.push({ userAgent, ip, lastUsedAt: new Date(now) });
+  const session = this.refreshTokens[this.refreshTokens.length - 1];
+  session.token = this.generateRefreshToken(session._id);
+
+  return session;
+};
 
-  // Store refresh token in user document
-  this.refreshTokens.push({ token: refreshToken });
-  this.save();
+// Method to replace a session's refresh token (refresh rotation) - the caller saves the user
+userSchema.methods.rotateSession = function(session, { userAgent = null, ip = null } = {}) {
+  session.token = this.generateRefreshToken(session._id);
+  session.lastUsedAt = new Date();
+  if (userAgent) session.userAgent = userAgent;
+  if (ip) session.ip = ip;
 
-  return refreshToken;
+  return session.token;
+};
+
+// Method to find a session by id
+userSchema.methods.getSession = function(sessionId) {
+  return this.refreshTokens.find(session => session._id.toString() === String(sessionId)) || null;
+};
+
+// Method to find the session holding a refresh token
+userSchema.methods.getSessionByToken = function(token) {
+  return this.refreshTokens.find(session => session.token === token) || null;
+};
+
+// Method to end a session (its access tokens stop working too)
+userSchema.methods.revokeSession = async function(sessionId) {
+  this.refreshTokens = this.refreshTokens.filter(session => session._id.toString() !== String(sessionId));
+  await this.save();
+  await tokenRevocationService.endSession(sessionId);
 };
 
 // Add refresh token to user
@@ -123,9 +265,15 @@ userSchema.methods.addRefreshToken = function(token) {
 };
 
 // Remove refresh token from user
-userSchema.methods.removeRefreshToken = function(token) {
+userSchema.methods.removeRefreshToken = async function(token) {
+  const session = this.getSessionByToken(token);
+
   this.refreshTokens = this.refreshTokens.filter(rt => rt.token !== token);
-  return this.save();
+  await this.save();
+
+  if (session) {
+    await tokenRevocationService.endSession(session._id);
+  }
 };
 
 // Check if refresh token exists
@@ -133,6 +281,34 @@ userSchema.methods.hasRefreshToken = function(token) {
   return this.refreshTokens.some(rt => rt.token === token);
 };
 
+// Method to end every session except keepSessionId and blacklist their
+// refresh tokens. Returns the number of sessions ended.
+userSchema.methods.endSessions = async function(reason, keepSessionId = null) {
+  const ended = this.refreshTokens.filter(session =>
+    !keepSessionId || session._id.toString() !== keepSessionId.toString()
+  );
+
+  this.refreshTokens = this.refreshTokens.filter(session => !ended.includes(session));
+  await this.save();
+
+  await Promise.all(ended.map(async session => {
+    await tokenRevocationService.endSession(session._id);
+
+    const decoded = jwt.decode(session.token);
+    if (!decoded || !decoded.exp) return null;
+
+    return tokenRevocationService.revoke(
+      session.token,
+      this._id,
+      'refresh',
+      new Date(decoded.exp * 1000),
+      reason
+    );
+  }));
+
+  return ended.length;
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -153,6 +329,55 @@ userSchema.methods.incLoginAttempts = function() {
   return this.save();
 };
 
+// Check if the email address has been verified
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
+// Mark the email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  return this.save();
+};
+
+// Check if two-factor authentication is enabled
+userSchema.methods.isTwoFactorEnabled = function() {
+  return Boolean(this.twoFactor && this.twoFactor.enabled);
+};
+
+// Check if the platform role requires two-factor authentication
+userSchema.methods.isTwoFactorRequiredByRole = function() {
+  return getTwoFactorRequiredRoles().includes(this.role);
+};
+
+// Check if platform permissions are withheld until two-factor is enabled
+userSchema.methods.needsTwoFactorSetup = function() {
+  return this.isTwoFactorRequiredByRole() && !this.isTwoFactorEnabled();
+};
+
+// Method to verify a TOTP or recovery code (requires the twoFactor secret,
+// recoveryCodes and lastUsedStep to be selected). Used recovery codes are
+// removed; the caller saves the user. Returns 'totp', 'recovery' or null.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.isTwoFactorEnabled()) return null;
+
+  const step = totpService.verifyCode(this.twoFactor.secret, code, this.twoFactor.lastUsedStep);
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = totpService.hashRecoveryCode(code);
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (index !== -1) {
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
 // Check if account is locked
 userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -163,6 +388,12 @@ userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.refreshTokens;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
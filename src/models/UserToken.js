@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PURPOSES = ['password-reset', 'email-verification'];
+
+// Single-use account tokens (password reset, email verification). Only the
+// SHA-256 hash is stored; the plaintext token is emailed to the user.
+const userTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+userTokenSchema.index({ user_id: 1, purpose: 1 });
+
+// Remove tokens once they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to issue a token, invalidating earlier unused tokens for the same purpose
+userTokenSchema.statics.issue = async function(userId, purpose, expiresInMinutes) {
+  await this.deleteMany({ user_id: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user_id: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Static method to consume a token - returns the token record only on its first valid use
+userTokenSchema.statics.consume = function(token, purpose) {
+  if (typeof token !== 'string' || token.length === 0) return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
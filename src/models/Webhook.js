@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = [
+  'device.created',
+  'device.updated',
+  'device.deleted',
+  'device.status_changed',
+  'device.heartbeat_missed',
+  'alert.fired',
+  'export.completed'
+];
+
+const webhookSchema = new mongoose.Schema({
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Webhook owner is required']
+  },
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2048, 'Webhook URL cannot exceed 2048 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'At least one event type is required']
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false // Only returned when the webhook is created
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Subscribed endpoints lookup when an event is dispatched
+webhookSchema.index({ organization_id: 1, enabled: 1, events: 1 });
+
+// Static method to generate a signing secret
+webhookSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Static method to list the supported event types
+webhookSchema.statics.getEventTypes = function() {
+  return [...WEBHOOK_EVENTS];
+};
+
+// Static method to find an organization's enabled webhooks subscribed to an event
+webhookSchema.statics.findSubscribed = function(organizationId, event) {
+  return this.find({ organization_id: organizationId, enabled: true, events: event });
+};
+
+// Method to sign a payload: HMAC-SHA256 over "<timestamp>.<body>"
+webhookSchema.methods.sign = function(timestamp, body) {
+  return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Remove the secret from JSON output
+webhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject();
+  delete webhook.secret;
+  return webhook;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact body sent to the endpoint
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'retrying', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Original delivery when this one is a manual replay
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Delivery log retention
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook_id: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhook_id: 1, status: 1 });
+
+// Static method to create a pending delivery for a webhook
+webhookDeliverySchema.statics.createFor = function(webhook, event, payload, replayOf = null) {
+  const retentionDays = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+  return this.create({
+    webhook_id: webhook._id,
+    owner_id: webhook.owner_id,
+    organization_id: webhook.organization_id,
+    event,
+    payload,
+    replayOf,
+    expiresAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000)
+  });
+};
+
+// Method to get delivery summary (attempt details only on request)
+webhookDeliverySchema.methods.toDeliveryEntry = function(includeAttempts = false) {
+  const entry = {
+    id: this._id,
+    webhook_id: this.webhook_id,
+    event: this.event,
+    status: this.status,
+    attemptCount: this.attempts.length,
+    responseStatus: this.responseStatus,
+    replayOf: this.replayOf,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt
+  };
+
+  if (includeAttempts) {
+    entry.payload = this.payload;
+    entry.attempts = this.attempts;
+  }
+
+  return entry;
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
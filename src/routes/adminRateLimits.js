@@ -0,0 +1,41 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validate');
+const {
+  rateLimitSubjectSchema,
+  rateLimitOverrideSchema,
+  rateLimitOverrideQuerySchema
+} = require('../validations/rateLimit');
+const {
+  getPolicies,
+  getRateLimitOverrides,
+  setRateLimitOverride,
+  deleteRateLimitOverride,
+  getRateLimitUsage,
+  resetRateLimit
+} = require('../controllers/adminRateLimitController');
+
+const router = express.Router();
+
+// All admin rate limit routes require users:manage
+router.use(authenticateToken, requirePermission('users:manage'));
+
+// GET /admin/rate-limits - Policies and their defaults
+router.get('/', getPolicies);
+
+// GET /admin/rate-limits/overrides - List overrides
+router.get('/overrides', validateQuery(rateLimitOverrideQuerySchema), getRateLimitOverrides);
+
+// PUT /admin/rate-limits/overrides - Create or replace an override
+router.put('/overrides', validate(rateLimitOverrideSchema), setRateLimitOverride);
+
+// DELETE /admin/rate-limits/overrides/:overrideId - Remove an override
+router.delete('/overrides/:overrideId', deleteRateLimitOverride);
+
+// GET /admin/rate-limits/usage - Current counters of a subject
+router.get('/usage', validateQuery(rateLimitSubjectSchema), getRateLimitUsage);
+
+// POST /admin/rate-limits/reset - Clear a subject's counters
+router.post('/reset', validate(rateLimitSubjectSchema), resetRateLimit);
+
+module.exports = router;
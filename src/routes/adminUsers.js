@@ -0,0 +1,57 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validate');
+const {
+  adminUserQuerySchema,
+  adminUserDevicesQuerySchema,
+  changeRoleSchema
+} = require('../validations/adminUser');
+const {
+  getUsers,
+  getUser,
+  getUserDevices,
+  getUserSessions,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  forceLogoutUser,
+  changeUserRole,
+  impersonateUser
+} = require('../controllers/adminUserController');
+
+const router = express.Router();
+
+// All admin user routes require users:manage
+router.use(authenticateToken, requirePermission('users:manage'));
+
+// GET /admin/users - Search users
+router.get('/', validateQuery(adminUserQuerySchema), getUsers);
+
+// GET /admin/users/:userId - User details
+router.get('/:userId', getUser);
+
+// GET /admin/users/:userId/devices - User's devices
+router.get('/:userId/devices', validateQuery(adminUserDevicesQuerySchema), getUserDevices);
+
+// GET /admin/users/:userId/sessions - User's sessions
+router.get('/:userId/sessions', getUserSessions);
+
+// POST /admin/users/:userId/activate - Activate account
+router.post('/:userId/activate', activateUser);
+
+// POST /admin/users/:userId/deactivate - Deactivate account and end its sessions
+router.post('/:userId/deactivate', deactivateUser);
+
+// POST /admin/users/:userId/unlock - Clear login lockout
+router.post('/:userId/unlock', unlockUser);
+
+// POST /admin/users/:userId/logout - Force logout from all sessions
+router.post('/:userId/logout', forceLogoutUser);
+
+// PATCH /admin/users/:userId/role - Change platform role
+router.patch('/:userId/role', validate(changeRoleSchema), changeUserRole);
+
+// POST /admin/users/:userId/impersonate - Issue read-only impersonation token
+router.post('/:userId/impersonate', impersonateUser);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveOrganization } = require('../middleware/organization');
+const { validate, validateQuery } = require('../middleware/validate');
+const {
+  createAlertRuleSchema,
+  updateAlertRuleSchema,
+  alertQuerySchema,
+  acknowledgeAlertSchema,
+  snoozeAlertSchema,
+  resolveAlertSchema
+} = require('../validations/alert');
+const {
+  createAlertRule,
+  getAlertRules,
+  updateAlertRule,
+  deleteAlertRule,
+  getAlerts,
+  getAlert,
+  acknowledgeAlert,
+  snoozeAlert,
+  resolveAlert
+} = require('../controllers/alertController');
+
+const router = express.Router();
+
+// Apply authentication and organization scoping to all alert routes
+router.use(authenticateToken, resolveOrganization);
+
+// POST /alerts/rules - Create alert rule
+router.post('/rules', requirePermission('alert-rules:manage'), validate(createAlertRuleSchema), createAlertRule);
+
+// GET /alerts/rules - List alert rules
+router.get('/rules', requirePermission('alerts:read'), getAlertRules);
+
+// PATCH /alerts/rules/:ruleId - Update alert rule (open alerts resolve on definition changes)
+router.patch('/rules/:ruleId', requirePermission('alert-rules:manage'), validate(updateAlertRuleSchema), updateAlertRule);
+
+// DELETE /alerts/rules/:ruleId - Delete alert rule
+router.delete('/rules/:ruleId', requirePermission('alert-rules:manage'), deleteAlertRule);
+
+// GET /alerts - List alerts (filter by device_id, severity, state)
+router.get('/', requirePermission('alerts:read'), validateQuery(alertQuerySchema), getAlerts);
+
+// GET /alerts/:alertId - Alert details with state-change timeline
+router.get('/:alertId', requirePermission('alerts:read'), getAlert);
+
+// POST /alerts/:alertId/acknowledge - Acknowledge alert
+router.post('/:alertId/acknowledge', requirePermission('alerts:respond'), validate(acknowledgeAlertSchema), acknowledgeAlert);
+
+// POST /alerts/:alertId/snooze - Snooze alert until a time
+router.post('/:alertId/snooze', requirePermission('alerts:respond'), validate(snoozeAlertSchema), snoozeAlert);
+
+// POST /alerts/:alertId/resolve - Manually resolve alert
+router.post('/:alertId/resolve', requirePermission('alerts:respond'), validate(resolveAlertSchema), resolveAlert);
+
+module.exports = router;
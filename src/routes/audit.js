@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuery } = require('../middleware/validate');
+const { auditExportRateLimit } = require('../middleware/rateLimit');
+const { auditQuerySchema, auditExportQuerySchema } = require('../validations/audit');
+const {
+  getAuditEvents,
+  exportAuditEvents
+} = require('../controllers/auditController');
+
+const router = express.Router();
+
+// The audit log requires audit:read
+router.use(authenticateToken, requirePermission('audit:read'));
+
+// GET /audit - Query audit events
+router.get('/', validateQuery(auditQuerySchema), getAuditEvents);
+
+// GET /audit/export - Download matching audit events as CSV
+router.get('/export', auditExportRateLimit, validateQuery(auditExportQuerySchema), exportAuditEvents);
+
+module.exports = router;
@@ -1,25 +1,61 @@
 const express = require('express');
-const { signupSchema, loginSchema } = require('../validations/auth');
+const {
+  signupSchema,
+  loginSchema,
+  refreshTokenSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  emailSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  createPersonalAccessTokenSchema
+} = require('../validations/auth');
 const { validate } = require('../middleware/validate');
 const { 
   signup, 
   login, 
+  verifyTwoFactorLogin,
   refreshToken, 
   logout, 
   logoutAll, 
+  getSessions,
+  revokeSession,
   getProfile, 
-  updateProfile 
+  updateProfile,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+  getPersonalAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken
+} = require('../controllers/personalAccessTokenController');
 const { 
   authenticateToken, 
   authenticateRefreshToken, 
+  requireUser,
   createAuthRateLimiter 
 } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Rate limiting for authentication endpoints
-const authLimiter = createAuthRateLimiter();
+const authLimiter = createAuthRateLimiter('login');
+
+// Endpoints that always answer 200 also count successful requests
+const emailLimiter = createAuthRateLimiter('email', { skipSuccessfulRequests: false });
 
 // POST /auth/signup - Create new user account
 router.post('/signup', validate(signupSchema), signup);
@@ -27,19 +63,64 @@ router.post('/signup', validate(signupSchema), signup);
 // POST /auth/login - Login user (with rate limiting)
 router.post('/login', authLimiter, validate(loginSchema), login);
 
+// POST /auth/login/2fa - Second login step: exchange challenge token and code for tokens
+router.post('/login/2fa', authLimiter, validate(twoFactorLoginSchema), verifyTwoFactorLogin);
+
 // POST /auth/refresh - Refresh access token
-router.post('/refresh', validate(loginSchema), authenticateRefreshToken, refreshToken);
+router.post('/refresh', validate(refreshTokenSchema), authenticateRefreshToken, refreshToken);
 
 // POST /auth/logout - Logout user
-router.post('/logout', authenticateToken, logout);
+router.post('/logout', authenticateToken, requireUser, logout);
 
 // POST /auth/logout-all - Logout from all devices
-router.post('/logout-all', authenticateToken, logoutAll);
+router.post('/logout-all', authenticateToken, requireUser, logoutAll);
+
+// GET /auth/sessions - List active sessions
+router.get('/sessions', authenticateToken, requireUser, getSessions);
+
+// DELETE /auth/sessions/:sessionId - Revoke a session and its access tokens
+router.delete('/sessions/:sessionId', authenticateToken, requireUser, revokeSession);
 
 // GET /auth/profile - Get user profile
-router.get('/profile', authenticateToken, getProfile);
+router.get('/profile', authenticateToken, requireUser, getProfile);
 
 // PUT /auth/profile - Update user profile
-router.put('/profile', authenticateToken, updateProfile);
+router.put('/profile', authenticateToken, requireUser, validate(updateProfileSchema), updateProfile);
+
+// POST /auth/change-password - Change password (signs out other sessions)
+router.post('/change-password', authenticateToken, requireUser, authLimiter, validate(changePasswordSchema), changePassword);
+
+// POST /auth/2fa/setup - Start TOTP enrollment (secret and otpauth URI)
+router.post('/2fa/setup', authenticateToken, requireUser, setupTwoFactor);
+
+// POST /auth/2fa/confirm - Enable 2FA with a first code (returns recovery codes)
+router.post('/2fa/confirm', authenticateToken, requireUser, validate(twoFactorCodeSchema), confirmTwoFactor);
+
+// POST /auth/2fa/disable - Disable 2FA (password and code)
+router.post('/2fa/disable', authenticateToken, requireUser, authLimiter, validate(disableTwoFactorSchema), disableTwoFactor);
+
+// POST /auth/2fa/recovery-codes - Replace recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, requireUser, authLimiter, validate(twoFactorCodeSchema), regenerateRecoveryCodes);
+
+// GET /auth/tokens - List personal access tokens
+router.get('/tokens', authenticateToken, requireUser, getPersonalAccessTokens);
+
+// POST /auth/tokens - Create a personal access token (returns the token once)
+router.post('/tokens', authenticateToken, requireUser, validate(createPersonalAccessTokenSchema), createPersonalAccessToken);
+
+// DELETE /auth/tokens/:tokenId - Revoke a personal access token
+router.delete('/tokens/:tokenId', authenticateToken, requireUser, revokePersonalAccessToken);
+
+// POST /auth/forgot-password - Email a password reset link
+router.post('/forgot-password', emailLimiter, validate(emailSchema), forgotPassword);
+
+// POST /auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', authLimiter, validate(resetPasswordSchema), resetPassword);
+
+// POST /auth/verify-email - Verify email address with the emailed token
+router.post('/verify-email', authLimiter, validate(verifyEmailSchema), verifyEmail);
+
+// POST /auth/resend-verification - Email a new verification link
+router.post('/resend-verification', emailLimiter, validate(emailSchema), resendVerification);
 
 module.exports = router;
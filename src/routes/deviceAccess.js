@@ -0,0 +1,36 @@
+const express = require('express');
+const { authenticateDevice } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const { invalidateDeviceCache } = require('../middleware/cache');
+const { heartbeatSchema } = require('../validations/device');
+const { createLogSchema, logBatchSchema } = require('../validations/log');
+const { updateHeartbeat } = require('../controllers/deviceController');
+const { createLog, createLogBatch, createMultiDeviceLogBatch } = require('../controllers/logController');
+
+// Routes callable by physical devices with an X-Device-Key header.
+// Requests without a device key fall through to the user-token routers.
+const router = express.Router();
+
+// POST /devices/logs/batch - Device batch upload (events for other devices are rejected)
+router.post('/logs/batch', authenticateDevice, validate(logBatchSchema), createMultiDeviceLogBatch);
+
+// Authenticate the device key and restrict it to its own device (ObjectId
+// paths only, so /devices/logs/... is not taken for a device id)
+router.use('/:id([a-fA-F0-9]{24})', authenticateDevice);
+
+// POST /devices/:id/heartbeat - Device heartbeat
+router.post('/:id/heartbeat', 
+  validate(heartbeatSchema), 
+  idempotency('device-heartbeat'),
+  invalidateDeviceCache,
+  updateHeartbeat
+);
+
+// POST /devices/:id/logs - Device log entry
+router.post('/:id/logs', validate(createLogSchema), createLog);
+
+// POST /devices/:id/logs/batch - Device batch upload
+router.post('/:id/logs/batch', validate(logBatchSchema), createLogBatch);
+
+module.exports = router;
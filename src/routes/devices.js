@@ -1,12 +1,15 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveOrganization } = require('../middleware/organization');
 const { validate, validateQuery } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
 const { cacheMiddleware, invalidateDeviceCache, cacheKeys } = require('../middleware/cache');
 const { 
   createDeviceSchema, 
   updateDeviceSchema, 
   heartbeatSchema, 
-  deviceQuerySchema 
+  deviceQuerySchema,
+  createDeviceKeySchema
 } = require('../validations/device');
 const {
   createDevice,
@@ -15,17 +18,25 @@ const {
   deleteDevice,
   updateHeartbeat
 } = require('../controllers/deviceController');
+const {
+  listDeviceKeys,
+  createDeviceKey,
+  rotateDeviceKey,
+  revokeDeviceKey,
+  getDeviceAuditTrail
+} = require('../controllers/deviceKeyController');
 
 const router = express.Router();
 
-// Apply authentication to all device routes
-router.use(authenticateToken);
+// Apply authentication and organization scoping to all device routes
+router.use(authenticateToken, resolveOrganization);
 
 // POST /devices - Register new device
-router.post('/', validate(createDeviceSchema), createDevice);
+router.post('/', requirePermission('devices:write'), validate(createDeviceSchema), createDevice);
 
 // GET /devices - List devices with filtering (cached for 30 minutes)
 router.get('/', 
+  requirePermission('devices:read'),
   validateQuery(deviceQuerySchema), 
   cacheMiddleware(parseInt(process.env.CACHE_TTL_DEVICES) || 1800, cacheKeys.deviceList),
   getDevices
@@ -33,19 +44,37 @@ router.get('/',
 
 // PATCH /devices/:id - Update device details (invalidates cache)
 router.patch('/:id', 
+  requirePermission('devices:write'),
   validate(updateDeviceSchema), 
   invalidateDeviceCache,
   updateDevice
 );
 
 // DELETE /devices/:id - Remove device (invalidates cache)
-router.delete('/:id', invalidateDeviceCache, deleteDevice);
+router.delete('/:id', requirePermission('devices:write'), invalidateDeviceCache, deleteDevice);
 
 // POST /devices/:id/heartbeat - Update device heartbeat (invalidates cache)
 router.post('/:id/heartbeat', 
+  requirePermission('devices:heartbeat'),
   validate(heartbeatSchema), 
+  idempotency('device-heartbeat'),
   invalidateDeviceCache,
   updateHeartbeat
 );
 
+// GET /devices/:id/keys - List device API keys
+router.get('/:id/keys', requirePermission('device-keys:manage'), listDeviceKeys);
+
+// POST /devices/:id/keys - Issue a new device API key
+router.post('/:id/keys', requirePermission('device-keys:manage'), validate(createDeviceKeySchema), createDeviceKey);
+
+// POST /devices/:id/keys/:keyId/rotate - Rotate a device API key
+router.post('/:id/keys/:keyId/rotate', requirePermission('device-keys:manage'), rotateDeviceKey);
+
+// DELETE /devices/:id/keys/:keyId - Revoke a device API key
+router.delete('/:id/keys/:keyId', requirePermission('device-keys:manage'), revokeDeviceKey);
+
+// GET /devices/:id/audit - Device audit trail
+router.get('/:id/audit', requirePermission('devices:read'), getDeviceAuditTrail);
+
 module.exports = router;
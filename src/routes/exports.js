@@ -1,7 +1,10 @@
 const express = require('express');
 const path = require('path');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveOrganization } = require('../middleware/organization');
 const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const { exportRateLimit } = require('../middleware/rateLimit');
 const { exportJobSchema, exportOptionsSchema } = require('../validations/export');
 const {
   createExportJob,
@@ -12,19 +15,19 @@ const {
 
 const router = express.Router();
 
-// Apply authentication to all export routes
-router.use(authenticateToken);
+// Apply authentication and organization scoping to all export routes
+router.use(authenticateToken, resolveOrganization);
 
 // POST /exports/jobs - Create export job
-router.post('/jobs', validate(exportJobSchema), createExportJob);
+router.post('/jobs', requirePermission('exports:create'), exportRateLimit, validate(exportJobSchema), idempotency('export-job'), createExportJob);
 
 // GET /exports/jobs/:jobId - Get export job status
-router.get('/jobs/:jobId', getExportJobStatus);
+router.get('/jobs/:jobId', requirePermission('exports:read'), getExportJobStatus);
 
 // GET /exports/history - Get export history
-router.get('/history', getExportHistory);
+router.get('/history', requirePermission('exports:read'), getExportHistory);
 
 // GET /exports/download/:fileName - Download export file
-router.get('/download/:fileName', downloadExport);
+router.get('/download/:fileName', requirePermission('exports:read'), downloadExport);
 
 module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { authenticateToken, requirePermission, createAuthRateLimiter } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validate');
+const {
+  createInvitationSchema,
+  invitationQuerySchema,
+  acceptInvitationSchema
+} = require('../validations/invitation');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation
+} = require('../controllers/invitationController');
+
+const router = express.Router();
+
+// Rate limiting for invitation acceptance (it checks passwords of existing accounts)
+const acceptLimiter = createAuthRateLimiter('invitation-accept');
+
+// POST /invitations/accept - Accept invitation (public, authenticated by the invitation token)
+router.post('/accept', acceptLimiter, validate(acceptInvitationSchema), acceptInvitation);
+
+// Managing invitations requires users:manage
+router.use(authenticateToken, requirePermission('users:manage'));
+
+// POST /invitations - Create invitation (returns the token once)
+router.post('/', validate(createInvitationSchema), createInvitation);
+
+// GET /invitations - List invitations
+router.get('/', validateQuery(invitationQuerySchema), getInvitations);
+
+// DELETE /invitations/:invitationId - Revoke pending invitation
+router.delete('/:invitationId', revokeInvitation);
+
+module.exports = router;
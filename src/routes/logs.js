@@ -1,28 +1,41 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveOrganization } = require('../middleware/organization');
 const { validate, validateQuery } = require('../middleware/validate');
 const { cacheMiddleware, cacheKeys } = require('../middleware/cache');
 const { 
   createLogSchema, 
+  logBatchSchema,
   logQuerySchema, 
-  usageQuerySchema 
+  usageQuerySchema,
+  metricsQuerySchema
 } = require('../validations/log');
 const {
   createLog,
+  createLogBatch,
+  createMultiDeviceLogBatch,
   getLogs,
-  getUsage
+  getUsage,
+  getMetrics
 } = require('../controllers/logController');
 
 const router = express.Router();
 
-// Apply authentication to all log routes
-router.use(authenticateToken);
+// Apply authentication and organization scoping to all log routes
+router.use(authenticateToken, resolveOrganization);
 
 // POST /devices/:id/logs - Create log entry
-router.post('/:id/logs', validate(createLogSchema), createLog);
+router.post('/:id/logs', requirePermission('logs:write'), validate(createLogSchema), createLog);
+
+// POST /devices/logs/batch - Create log entries for several devices at once
+router.post('/logs/batch', requirePermission('logs:write'), validate(logBatchSchema), createMultiDeviceLogBatch);
+
+// POST /devices/:id/logs/batch - Create many log entries for one device
+router.post('/:id/logs/batch', requirePermission('logs:write'), validate(logBatchSchema), createLogBatch);
 
 // GET /devices/:id/logs - Fetch device logs (cached for 5 minutes)
 router.get('/:id/logs', 
+  requirePermission('logs:read'),
   validateQuery(logQuerySchema), 
   cacheMiddleware(300, cacheKeys.deviceLogs),
   getLogs
@@ -30,9 +43,18 @@ router.get('/:id/logs',
 
 // GET /devices/:id/usage - Get aggregated usage (cached for 5 minutes)
 router.get('/:id/usage', 
+  requirePermission('logs:read'),
   validateQuery(usageQuerySchema), 
   cacheMiddleware(parseInt(process.env.CACHE_TTL_ANALYTICS) || 300, cacheKeys.analytics),
   getUsage
 );
 
+// GET /devices/:id/metrics - Bucketed metric series (cached for 5 minutes)
+router.get('/:id/metrics', 
+  requirePermission('logs:read'),
+  validateQuery(metricsQuerySchema), 
+  cacheMiddleware(parseInt(process.env.CACHE_TTL_ANALYTICS) || 300, cacheKeys.metrics),
+  getMetrics
+);
+
 module.exports = router;
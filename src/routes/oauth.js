@@ -0,0 +1,52 @@
+const express = require('express');
+const { authenticateToken, requireUser, requirePermission, createAuthRateLimiter } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validate');
+const {
+  createApiClientSchema,
+  updateApiClientSchema,
+  apiClientQuerySchema
+} = require('../validations/oauth');
+const {
+  issueToken,
+  createApiClient,
+  getApiClients,
+  updateApiClient,
+  rotateApiClientSecret,
+  revokeApiClient
+} = require('../controllers/oauthController');
+
+const router = express.Router();
+
+// Rate limiting for the token endpoint (failed client authentications only)
+const tokenLimiter = createAuthRateLimiter('oauth-token', {
+  message: {
+    error: 'invalid_request',
+    error_description: 'Too many token requests, please try again later.'
+  },
+  keyGenerator: (req) => {
+    return req.ip + ':' + (req.body.client_id || req.ip);
+  }
+});
+
+// POST /oauth/token - Client credentials grant (public, authenticated by client id and secret)
+router.post('/token', tokenLimiter, issueToken);
+
+// Managing API clients requires a user with users:manage
+router.use('/clients', authenticateToken, requireUser, requirePermission('users:manage'));
+
+// POST /oauth/clients - Register API client (returns the secret once)
+router.post('/clients', validate(createApiClientSchema), createApiClient);
+
+// GET /oauth/clients - List API clients
+router.get('/clients', validateQuery(apiClientQuerySchema), getApiClients);
+
+// PATCH /oauth/clients/:clientId - Update API client
+router.patch('/clients/:clientId', validate(updateApiClientSchema), updateApiClient);
+
+// POST /oauth/clients/:clientId/rotate-secret - Rotate client secret
+router.post('/clients/:clientId/rotate-secret', rotateApiClientSecret);
+
+// DELETE /oauth/clients/:clientId - Revoke API client
+router.delete('/clients/:clientId', revokeApiClient);
+
+module.exports = router;
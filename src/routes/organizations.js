@@ -0,0 +1,58 @@
+const express = require('express');
+const { authenticateToken, requirePermission, requireUser } = require('../middleware/auth');
+const { loadOrganization } = require('../middleware/organization');
+const { validate } = require('../middleware/validate');
+const {
+  createOrganizationSchema,
+  updateOrganizationSchema,
+  addMemberSchema,
+  updateMemberSchema
+} = require('../validations/organization');
+const {
+  createOrganization,
+  getOrganizations,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  addMember,
+  updateMember,
+  removeMember,
+  selectOrganization
+} = require('../controllers/organizationController');
+
+const router = express.Router();
+
+// Apply authentication to all organization routes (memberships belong to users)
+router.use(authenticateToken, requireUser);
+
+// Every /:orgId route is restricted to members of that organization
+router.use('/:orgId', loadOrganization);
+
+// POST /organizations - Create organization
+router.post('/', validate(createOrganizationSchema), createOrganization);
+
+// GET /organizations - List the user's organizations and roles
+router.get('/', getOrganizations);
+
+// GET /organizations/:orgId - Organization details and members
+router.get('/:orgId', getOrganization);
+
+// PATCH /organizations/:orgId - Rename organization or set its two-factor policy
+router.patch('/:orgId', requirePermission('organization:manage'), validate(updateOrganizationSchema), updateOrganization);
+
+// DELETE /organizations/:orgId - Delete organization (no devices left)
+router.delete('/:orgId', requirePermission('organization:delete'), deleteOrganization);
+
+// POST /organizations/:orgId/members - Add member by email
+router.post('/:orgId/members', requirePermission('members:manage'), validate(addMemberSchema), addMember);
+
+// PATCH /organizations/:orgId/members/:userId - Change member role
+router.patch('/:orgId/members/:userId', requirePermission('members:manage'), validate(updateMemberSchema), updateMember);
+
+// DELETE /organizations/:orgId/members/:userId - Remove member (members:manage) or leave
+router.delete('/:orgId/members/:userId', removeMember);
+
+// POST /organizations/:orgId/select - Make organization the default for requests
+router.post('/:orgId/select', selectOrganization);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveOrganization } = require('../middleware/organization');
+const { validate, validateQuery } = require('../middleware/validate');
+const {
+  createWebhookSchema,
+  updateWebhookSchema,
+  deliveryQuerySchema
+} = require('../validations/webhook');
+const {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  getDelivery,
+  replayDelivery
+} = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// Apply authentication and organization scoping to all webhook routes.
+// Webhooks carry signing secrets and event payloads, so every route needs webhooks:manage.
+router.use(authenticateToken, resolveOrganization, requirePermission('webhooks:manage'));
+
+// POST /webhooks - Register webhook endpoint (returns the signing secret once)
+router.post('/', validate(createWebhookSchema), createWebhook);
+
+// GET /webhooks - List webhook endpoints
+router.get('/', getWebhooks);
+
+// PATCH /webhooks/:webhookId - Update URL, events or enabled flag
+router.patch('/:webhookId', validate(updateWebhookSchema), updateWebhook);
+
+// DELETE /webhooks/:webhookId - Remove webhook endpoint
+router.delete('/:webhookId', deleteWebhook);
+
+// GET /webhooks/:webhookId/deliveries - Delivery log
+router.get('/:webhookId/deliveries', validateQuery(deliveryQuerySchema), getDeliveries);
+
+// GET /webhooks/:webhookId/deliveries/:deliveryId - Delivery details and attempts
+router.get('/:webhookId/deliveries/:deliveryId', getDelivery);
+
+// POST /webhooks/:webhookId/deliveries/:deliveryId/replay - Replay a delivery
+router.post('/:webhookId/deliveries/:deliveryId/replay', replayDelivery);
+
+module.exports = router;
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const http = require('http');
 require('dotenv').config();
@@ -9,13 +8,30 @@ require('dotenv').config();
 const connectDB = require('./config/database');
 const redisClient = require('./config/redis');
 const authRoutes = require('./routes/auth');
+const deviceAccessRoutes = require('./routes/deviceAccess');
 const deviceRoutes = require('./routes/devices');
 const logRoutes = require('./routes/logs');
 const exportRoutes = require('./routes/exports');
+const alertRoutes = require('./routes/alerts');
+const webhookRoutes = require('./routes/webhooks');
+const organizationRoutes = require('./routes/organizations');
+const invitationRoutes = require('./routes/invitations');
+const auditRoutes = require('./routes/audit');
+const oauthRoutes = require('./routes/oauth');
+const adminUserRoutes = require('./routes/adminUsers');
+const adminRateLimitRoutes = require('./routes/adminRateLimits');
 const { errorHandler } = require('./middleware/errorHandler');
 const { performanceMonitor } = require('./middleware/cache');
+const { requestId } = require('./middleware/requestId');
+const { createRateLimiter } = require('./middleware/rateLimit');
 const { setupCronJobs } = require('./services/cronService');
 const webSocketService = require('./services/websocketService');
+const tokenRevocationService = require('./services/tokenRevocationService');
+const keyStoreService = require('./services/keyStoreService');
+const rateLimitService = require('./services/rateLimitService');
+const mqttService = require('./services/mqttService');
+const webhookService = require('./services/webhookService');
+const { backfillRollups } = require('./services/rollupService');
 
 const app = express();
 const server = http.createServer(app);
@@ -39,25 +55,26 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Key', 'Idempotency-Key', 'X-Organization-Id', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
+// Request ids for audit events
+app.use(requestId);
+
 // Compression middleware
 app.use(compression());
 
 // Performance monitoring
 app.use(performanceMonitor);
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
+// Rate limiting (global policy; counters are shared through Redis). API
+// clients get their own allowance instead of sharing their IP's.
+const limiter = createRateLimiter('global', {
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again later.'
   },
-  standardHeaders: true,
-  legacyHeaders: false,
   skip: (req) => req.path.startsWith('/health') || req.path.startsWith('/metrics')
 });
 app.use(limiter);
@@ -79,7 +96,8 @@ app.get('/health', async (req, res) => {
       services: {
         database: 'unknown',
         redis: 'unknown',
-        websocket: 'unknown'
+        websocket: 'unknown',
+        mqtt: 'unknown'
       }
     };
 
@@ -109,6 +127,16 @@ app.get('/health', async (req, res) => {
       healthStatus.services.websocket = 'error';
     }
 
+    // Check MQTT broker status
+    try {
+      healthStatus.services.mqtt = mqttService.server ? 'running' : 'stopped';
+      healthStatus.mqtt = {
+        connectedDevices: mqttService.getConnectedDevicesCount()
+      };
+    } catch (error) {
+      healthStatus.services.mqtt = 'error';
+    }
+
     res.json(healthStatus);
   } catch (error) {
     res.status(500).json({
@@ -119,6 +147,12 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Public keys for verifying our tokens (selected by the token's kid)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(keyStoreService.getJwks());
+});
+
 // Metrics endpoint
 app.get('/metrics', (req, res) => {
   const metrics = {
@@ -143,9 +177,18 @@ app.get('/metrics', (req, res) => {
 
 // API routes
 app.use('/auth', authRoutes);
+app.use('/devices', deviceAccessRoutes);
 app.use('/devices', deviceRoutes);
 app.use('/devices', logRoutes);
 app.use('/exports', exportRoutes);
+app.use('/alerts', alertRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/organizations', organizationRoutes);
+app.use('/invitations', invitationRoutes);
+app.use('/admin/users', adminUserRoutes);
+app.use('/admin/rate-limits', adminRateLimitRoutes);
+app.use('/audit', auditRoutes);
+app.use('/oauth', oauthRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -165,14 +208,44 @@ const startServer = async () => {
     await connectDB();
     console.log('✅ Connected to MongoDB');
 
+    // Load token signing keys (creates the first one on a fresh database)
+    await keyStoreService.initialize();
+    console.log('✅ Token signing keys loaded');
+
+    // Roll up raw logs stored before rollups existed (no-op once done)
+    const backfilledFrom = await backfillRollups();
+    if (backfilledFrom) {
+      console.log(`✅ Log rollups backfilled since ${backfilledFrom.toISOString()}`);
+    }
+
+    // Load admin rate limit overrides
+    await rateLimitService.initialize();
+    console.log('✅ Rate limit overrides loaded');
+
     // Connect to Redis
     await redisClient.connect();
     console.log('✅ Connected to Redis');
 
+    // Load revoked tokens from MongoDB into Redis
+    await tokenRevocationService.initialize();
+    console.log('✅ Token revocation cache initialized');
+
     // Initialize WebSocket service
     webSocketService.initialize(server);
     console.log('✅ WebSocket service initialized');
 
+    // Durable webhook delivery queue (deliveries are attempted inline without Redis)
+    if (redisClient.isConnected) {
+      webhookService.initialize();
+      console.log('✅ Webhook delivery queue initialized');
+    }
+
+    // Start MQTT broker for device telemetry
+    if (process.env.MQTT_ENABLED === 'true') {
+      await mqttService.listen();
+      console.log('✅ MQTT broker initialized');
+    }
+
     // Setup cron jobs
     setupCronJobs();
     console.log('✅ Cron jobs initialized');
@@ -183,6 +256,9 @@ const startServer = async () => {
       console.log(`📚 API Documentation: http://localhost:${PORT}/health`);
       console.log(`📊 Metrics: http://localhost:${PORT}/metrics`);
       console.log(`🔌 WebSocket: ws://localhost:${PORT}`);
+      if (process.env.MQTT_ENABLED === 'true') {
+        console.log(`📶 MQTT: mqtt://localhost:${process.env.MQTT_PORT || 1883}`);
+      }
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -195,6 +271,16 @@ process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
   
   try {
+    await mqttService.close();
+    console.log('✅ MQTT broker closed');
+
+    await webhookService.close();
+    console.log('✅ Webhook queue closed');
+
+    await tokenRevocationService.close();
+    keyStoreService.close();
+    rateLimitService.close();
+
     await redisClient.disconnect();
     console.log('✅ Redis disconnected');
     
@@ -216,6 +302,16 @@ process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
   
   try {
+    await mqttService.close();
+    console.log('✅ MQTT broker closed');
+
+    await webhookService.close();
+    console.log('✅ Webhook queue closed');
+
+    await tokenRevocationService.close();
+    keyStoreService.close();
+    rateLimitService.close();
+
     await redisClient.disconnect();
     console.log('✅ Redis disconnected');
     
@@ -0,0 +1,352 @@
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const Device = require('../models/Device');
+const Log = require('../models/Log');
+const webSocketService = require('./websocketService');
+const webhookService = require('./webhookService');
+const { toNumber } = require('./rollupService');
+
+const OPERATOR_LABELS = { gt: '>', gte: '>=', lt: '<', lte: '<=', eq: '=', neq: '!=' };
+
+// Human readable description of why a rule fired
+const describeBreach = (rule, { event, value, severity }) => {
+  const { type, operator } = rule.condition;
+  const label = OPERATOR_LABELS[operator];
+
+  switch (type) {
+    case 'threshold':
+      return `${rule.name}: ${event} is ${value} (${label} ${rule.condition.value})`;
+    case 'rate_of_change':
+      return `${rule.name}: ${event} changing ${value.toFixed(2)}/min (${label} ${rule.condition.value}/min)`;
+    case 'match':
+      return `${rule.name}: ${severity} ${event} event received`;
+    case 'missing_data':
+      return `${rule.name}: no ${rule.condition.event || 'data'} received for ${rule.duration}s`;
+    default:
+      return rule.name;
+  }
+};
+
+// Push an alert state change to the organization's members on the notification channel
+const notifyTransition = async (alert, action) => {
+  const notification = {
+    type: `alert-${action}`,
+    alert: alert.toAlertEntry(),
+    transition: alert.timeline[alert.timeline.length - 1]
+  };
+
+  // Alerts from before organizations existed only reach the rule owner
+  if (!alert.organization_id) {
+    webSocketService.sendNotification(alert.owner_id, notification);
+    return;
+  }
+
+  await webSocketService.sendOrganizationNotification(alert.organization_id, notification);
+};
+
+// Create a firing alert and push it to the rule's organization. When another
+// evaluation opened one first, that alert is returned without notifying again.
+const fireAlert = async (rule, device, context) => {
+  const alert = new Alert({
+    rule_id: rule._id,
+    device_id: device._id,
+    owner_id: rule.owner_id,
+    organization_id: rule.organization_id,
+    ruleName: rule.name,
+    conditionType: rule.condition.type,
+    severity: rule.severity,
+    message: describeBreach(rule, context),
+    event: context.event || null,
+    value: context.value === undefined ? null : context.value,
+    firedAt: context.at || new Date()
+  });
+
+  alert.recordTransition('fired', 'firing', { type: 'system' }, null, { value: alert.value });
+
+  try {
+    await alert.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Alert.findOpen(rule._id, device._id);
+  }
+
+  await notifyTransition(alert, 'fired');
+  await webhookService.dispatch(rule.organization_id, 'alert.fired', { alert: alert.toAlertEntry() });
+
+  console.log(`🚨 Alert fired for device ${device._id}: ${alert.message}`);
+  return alert;
+};
+
+// Resolve an open alert (by the system or an operator) and push the resolution
+const resolveAlert = async (alert, resolution, actor = { type: 'system' }, comment = null) => {
+  alert.recordTransition('resolved', 'resolved', actor, comment, { resolution });
+  alert.resolvedAt = new Date();
+  alert.resolution = resolution;
+  alert.snoozedUntil = null;
+  await alert.save();
+  await notifyTransition(alert, 'resolved');
+
+  console.log(`✅ Alert resolved for device ${alert.device_id}: ${alert.ruleName} (${resolution})`);
+  return alert;
+};
+
+// Operator acknowledges an alert (ends any snooze)
+const acknowledgeAlert = async (alert, userId, comment = null) => {
+  alert.recordTransition('acknowledged', 'acknowledged', { type: 'user', id: userId }, comment);
+  alert.acknowledgedAt = new Date();
+  alert.acknowledgedBy = userId;
+  alert.snoozedUntil = null;
+  await alert.save();
+  await notifyTransition(alert, 'acknowledged');
+
+  return alert;
+};
+
+// Operator silences an alert until a given time
+const snoozeAlert = async (alert, userId, until, comment = null) => {
+  alert.recordTransition('snoozed', 'snoozed', { type: 'user', id: userId }, comment, { until });
+  alert.snoozedUntil = until;
+  await alert.save();
+  await notifyTransition(alert, 'snoozed');
+
+  return alert;
+};
+
+// Return alerts whose snooze expired to firing (run periodically)
+const wakeSnoozedAlerts = async () => {
+  const alerts = await Alert.find({ state: 'snoozed', snoozedUntil: { $lte: new Date() } });
+
+  for (const alert of alerts) {
+    alert.recordTransition('unsnoozed', 'firing', { type: 'system' });
+    alert.snoozedUntil = null;
+    await alert.save();
+    await notifyTransition(alert, 'unsnoozed');
+  }
+
+  return alerts.length;
+};
+
+// Track when a condition started holding for a device (duration support)
+const setPending = async (rule, deviceId, since) => {
+  rule.pendingSince.set(deviceId, since);
+  await AlertRule.updateOne({ _id: rule._id }, { $set: { [`pendingSince.${deviceId}`]: since } });
+};
+
+const clearPending = async (rule, deviceId) => {
+  if (!rule.pendingSince.has(deviceId)) return;
+
+  rule.pendingSince.delete(deviceId);
+  await AlertRule.updateOne({ _id: rule._id }, { $unset: { [`pendingSince.${deviceId}`]: 1 } });
+};
+
+// Fire, resolve or keep waiting based on whether the condition holds.
+// Returns the open alert for the rule and device afterwards (or null).
+const applyResult = async (rule, device, openAlert, breached, context) => {
+  const deviceId = device._id.toString();
+
+  if (!breached) {
+    await clearPending(rule, deviceId);
+    if (openAlert) await resolveAlert(openAlert, 'condition_cleared');
+    return null;
+  }
+
+  if (openAlert) return openAlert;
+
+  const since = rule.pendingSince.get(deviceId) || context.at;
+  if (context.at.getTime() - since.getTime() >= rule.duration * 1000) {
+    await clearPending(rule, deviceId);
+    return fireAlert(rule, device, context);
+  }
+
+  if (!rule.pendingSince.has(deviceId)) {
+    await setPending(rule, deviceId, since);
+  }
+
+  return null;
+};
+
+// Evaluate a rule against a log. Returns { breached, value } or null when
+// the rule does not apply to the log.
+const evaluateRule = async (rule, log, alertOpen) => {
+  const { type, severities } = rule.condition;
+  if (!rule.watchesEvent(log.event)) return null;
+
+  if (type === 'match') {
+    const breached = !severities || severities.length === 0 || severities.includes(log.severity);
+    return { breached, value: log.value };
+  }
+
+  const reading = toNumber(log.value);
+  if (reading === null) return null;
+
+  if (type === 'threshold') {
+    return { breached: rule.isBreached(reading, alertOpen), value: reading };
+  }
+
+  if (type === 'rate_of_change') {
+    const previous = await Log.findOne({
+      device_id: log.device_id,
+      event: log.event,
+      timestamp: { $lt: log.timestamp }
+    }).sort({ timestamp: -1 });
+
+    const previousReading = previous ? toNumber(previous.value) : null;
+    if (previousReading === null) return null;
+
+    const minutes = (log.timestamp.getTime() - previous.timestamp.getTime()) / 60000;
+    const ratePerMinute = (reading - previousReading) / minutes;
+
+    return { breached: rule.isBreached(ratePerMinute, alertOpen), value: ratePerMinute };
+  }
+
+  return null;
+};
+
+// Evaluate the rules covering a device against its newly stored logs
+const evaluateDeviceLogs = async (device, logs) => {
+  const rules = await AlertRule.findForDevice(device);
+  if (rules.length === 0) return;
+
+  const openAlerts = new Map(
+    (await Alert.findOpenForDevice(device._id, rules.map(rule => rule._id)))
+      .map(alert => [alert.rule_id.toString(), alert])
+  );
+
+  const ordered = [...logs].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const log of ordered) {
+    for (const rule of rules) {
+      const ruleId = rule._id.toString();
+      const openAlert = openAlerts.get(ruleId) || null;
+
+      // Fresh data ends a missing-data alert
+      if (rule.condition.type === 'missing_data') {
+        if (openAlert && rule.watchesEvent(log.event)) {
+          await resolveAlert(openAlert, 'data_received');
+          openAlerts.delete(ruleId);
+        }
+        continue;
+      }
+
+      const result = await evaluateRule(rule, log, Boolean(openAlert));
+      if (!result) continue;
+
+      const alert = await applyResult(rule, device, openAlert, result.breached, {
+        event: log.event,
+        value: result.value,
+        severity: log.severity,
+        at: log.timestamp
+      });
+
+      if (alert) {
+        openAlerts.set(ruleId, alert);
+      } else {
+        openAlerts.delete(ruleId);
+      }
+    }
+  }
+};
+
+// Evaluate alert rules for newly stored logs (any mix of devices).
+// Evaluation errors are logged and never fail ingestion.
+const evaluateLogs = async (logs) => {
+  try {
+    if (logs.length === 0) return;
+
+    const logsByDevice = new Map();
+    logs.forEach(log => {
+      const deviceId = log.device_id.toString();
+      if (!logsByDevice.has(deviceId)) logsByDevice.set(deviceId, []);
+      logsByDevice.get(deviceId).push(log);
+    });
+
+    const devices = await Device.find({ _id: { $in: Array.from(logsByDevice.keys()) } });
+
+    for (const device of devices) {
+      await evaluateDeviceLogs(device, logsByDevice.get(device._id.toString()));
+    }
+  } catch (error) {
+    console.error('❌ Error evaluating alert rules:', error);
+  }
+};
+
+// A heartbeat is data: resolve missing-data alerts that watch any event
+const evaluateHeartbeat = async (device) => {
+  try {
+    const rules = await AlertRule.findForDevice(device, ['missing_data']);
+    const anyDataRules = rules.filter(rule => !rule.condition.event);
+    if (anyDataRules.length === 0) return;
+
+    const openAlerts = await Alert.findOpenForDevice(device._id, anyDataRules.map(rule => rule._id));
+    for (const alert of openAlerts) {
+      await resolveAlert(alert, 'data_received');
+    }
+  } catch (error) {
+    console.error('❌ Error evaluating heartbeat alert rules:', error);
+  }
+};
+
+// Time of the latest data a missing-data rule cares about
+const getLastDataTime = async (rule, device) => {
+  const query = { device_id: device._id };
+  if (rule.condition.event) query.event = rule.condition.event;
+
+  const latestLog = await Log.findOne(query).sort({ timestamp: -1 }).select('timestamp');
+  const times = [latestLog && latestLog.timestamp];
+
+  // Heartbeats count as data for rules watching any event
+  if (!rule.condition.event) times.push(device.last_active_at);
+
+  const known = times.filter(Boolean).map(time => time.getTime());
+  return known.length > 0 ? new Date(Math.max(...known)) : null;
+};
+
+// Fire missing-data alerts for devices that have been silent longer than the
+// rule duration (run periodically)
+const checkMissingData = async () => {
+  const rules = await AlertRule.find({ enabled: true, 'condition.type': 'missing_data' });
+  const now = new Date();
+  let fired = 0;
+
+  for (const rule of rules) {
+    const devices = await Device.find(rule.getDeviceQuery());
+
+    for (const device of devices) {
+      const lastData = (await getLastDataTime(rule, device)) || device.createdAt;
+      const silent = now.getTime() - lastData.getTime() >= rule.duration * 1000;
+      const openAlert = await Alert.findOpen(rule._id, device._id);
+
+      if (silent && !openAlert) {
+        await fireAlert(rule, device, { event: rule.condition.event, value: null, at: now });
+        fired++;
+      } else if (!silent && openAlert) {
+        await resolveAlert(openAlert, 'data_received');
+      }
+    }
+  }
+
+  return fired;
+};
+
+// Resolve every open alert of a rule (rule disabled, changed or deleted)
+const resolveRuleAlerts = async (rule, resolution) => {
+  const openAlerts = await Alert.find({ rule_id: rule._id, state: { $ne: 'resolved' } });
+
+  for (const alert of openAlerts) {
+    await resolveAlert(alert, resolution);
+  }
+
+  return openAlerts.length;
+};
+
+module.exports = {
+  evaluateLogs,
+  evaluateHeartbeat,
+  checkMissingData,
+  resolveRuleAlerts,
+  fireAlert,
+  resolveAlert,
+  acknowledgeAlert,
+  snoozeAlert,
+  wakeSnoozedAlerts
+};
@@ -1,6 +1,28 @@
 const cron = require('node-cron');
 const Device = require('../models/Device');
+const AuditEvent = require('../models/AuditEvent');
 const moment = require('moment');
+const { rebuildRollups, getRawRetentionCutoff } = require('./rollupService');
+const { checkMissingData, wakeSnoozedAlerts } = require('./alertService');
+const webhookService = require('./webhookService');
+const keyStoreService = require('./keyStoreService');
+
+// Tell webhook subscribers a device went offline for missing heartbeats
+const notifyHeartbeatMissed = async (device, oldStatus) => {
+  const data = {
+    device_id: device._id.toString(),
+    name: device.name,
+    last_active_at: device.last_active_at
+  };
+
+  await webhookService.dispatch(device.organization_id, 'device.heartbeat_missed', data);
+  await webhookService.dispatch(device.organization_id, 'device.status_changed', {
+    ...data,
+    oldStatus,
+    newStatus: 'offline',
+    reason: 'heartbeat_missed'
+  });
+};
 
 // Auto-deactivate devices that haven't sent heartbeat for more than 24 hours
 const deactivateInactiveDevices = async () => {
@@ -24,6 +46,17 @@ const deactivateInactiveDevices = async () => {
         }
       );
 
+      for (const device of inactiveDevices) {
+        await AuditEvent.record({
+          action: 'device.status_changed',
+          target: { type: 'device', id: device._id },
+          before: { status: device.status },
+          after: { status: 'offline' },
+          details: { reason: 'heartbeat_missed' }
+        });
+        await notifyHeartbeatMissed(device, device.status);
+      }
+
       console.log(`🔄 Auto-deactivated ${inactiveDevices.length} inactive devices`);
     }
   } catch (error) {
@@ -31,10 +64,10 @@ const deactivateInactiveDevices = async () => {
   }
 };
 
-// Clean up old logs (older than 30 days)
+// Clean up raw logs older than LOG_RETENTION_DAYS (rollups have their own TTLs)
 const cleanupOldLogs = async () => {
   try {
-    const cutoffDate = moment().subtract(30, 'days').toDate();
+    const cutoffDate = getRawRetentionCutoff();
     
     const result = await require('../models/Log').deleteMany({
       timestamp: { $lt: cutoffDate }
@@ -48,6 +81,45 @@ const cleanupOldLogs = async () => {
   }
 };
 
+// Recompute yesterday's and today's rollups from raw logs to repair any
+// increments lost to failed rollup writes
+const rebuildRecentRollups = async () => {
+  try {
+    const start = moment.utc().subtract(1, 'day').startOf('day').toDate();
+    await rebuildRollups({ start, end: new Date() });
+
+    console.log(`📊 Rebuilt log rollups since ${start.toISOString()}`);
+  } catch (error) {
+    console.error('❌ Error in rebuildRecentRollups:', error);
+  }
+};
+
+// Fire alerts for devices that stopped sending data
+const checkMissingDataAlerts = async () => {
+  try {
+    const fired = await checkMissingData();
+
+    if (fired > 0) {
+      console.log(`🚨 Fired ${fired} missing-data alerts`);
+    }
+  } catch (error) {
+    console.error('❌ Error in checkMissingDataAlerts:', error);
+  }
+};
+
+// Return alerts to firing once their snooze expires
+const wakeSnoozedAlertsJob = async () => {
+  try {
+    const woken = await wakeSnoozedAlerts();
+
+    if (woken > 0) {
+      console.log(`⏰ ${woken} snoozed alerts are firing again`);
+    }
+  } catch (error) {
+    console.error('❌ Error in wakeSnoozedAlertsJob:', error);
+  }
+};
+
 // Health check for all devices
 const deviceHealthCheck = async () => {
   try {
@@ -55,9 +127,11 @@ const deviceHealthCheck = async () => {
     
     for (const device of devices) {
       if (device.isInactive()) {
+        const oldStatus = device.status;
         device.status = 'offline';
         device.isOnline = false;
         await device.save();
+        await notifyHeartbeatMissed(device, oldStatus);
         console.log(`⚠️ Device ${device.name} (${device._id}) marked as offline due to inactivity`);
       }
     }
@@ -66,6 +140,15 @@ const deviceHealthCheck = async () => {
   }
 };
 
+// Rotate the token signing key when it is due
+const rotateSigningKeys = async () => {
+  try {
+    await keyStoreService.rotateIfDue();
+  } catch (error) {
+    console.error('❌ Error in rotateSigningKeys:', error);
+  }
+};
+
 // Setup all cron jobs
 const setupCronJobs = () => {
   // Run every hour - deactivate inactive devices
@@ -74,6 +157,16 @@ const setupCronJobs = () => {
     deactivateInactiveDevices();
   });
 
+  // Run every minute - missing-data alert rules
+  cron.schedule('* * * * *', () => {
+    checkMissingDataAlerts();
+  });
+
+  // Run every minute - expire alert snoozes
+  cron.schedule('* * * * *', () => {
+    wakeSnoozedAlertsJob();
+  });
+
   // Run every 6 hours - device health check
   cron.schedule('0 */6 * * *', () => {
     console.log('🕐 Running device health check...');
@@ -86,6 +179,17 @@ const setupCronJobs = () => {
     cleanupOldLogs();
   });
 
+  // Run daily at 1:30 AM - rebuild recent rollups
+  cron.schedule('30 1 * * *', () => {
+    console.log('🕐 Running rollup rebuild...');
+    rebuildRecentRollups();
+  });
+
+  // Run every hour - signing key rotation (JWT_KEY_ROTATION_DAYS)
+  cron.schedule('15 * * * *', () => {
+    rotateSigningKeys();
+  });
+
   console.log('✅ Cron jobs scheduled successfully');
 };
 
@@ -93,5 +197,9 @@ module.exports = {
   setupCronJobs,
   deactivateInactiveDevices,
   cleanupOldLogs,
-  deviceHealthCheck
+  rebuildRecentRollups,
+  checkMissingDataAlerts,
+  wakeSnoozedAlertsJob,
+  deviceHealthCheck,
+  rotateSigningKeys
 };
@@ -5,6 +5,8 @@ const path = require('path');
 const moment = require('moment');
 const Device = require('../models/Device');
 const Log = require('../models/Log');
+const LogRollup = require('../models/LogRollup');
+const webhookService = require('./webhookService');
 const { v4: uuidv4 } = require('uuid');
 
 class ExportService {
@@ -22,12 +24,13 @@ class ExportService {
     }
   }
 
-  // Create export job
-  async createExportJob(userId, type, options) {
+  // Create export job (visible to every member of the organization)
+  async createExportJob(userId, organizationId, type, options) {
     const jobId = uuidv4();
     const job = {
       id: jobId,
       userId,
+      organizationId,
       type,
       status: 'pending',
       progress: 0,
@@ -57,16 +60,16 @@ class ExportService {
       let result;
       switch (job.type) {
         case 'device-logs-csv':
-          result = await this.exportDeviceLogsCSV(job.userId, job.options);
+          result = await this.exportDeviceLogsCSV(job.organizationId, job.options);
           break;
         case 'device-logs-json':
-          result = await this.exportDeviceLogsJSON(job.userId, job.options);
+          result = await this.exportDeviceLogsJSON(job.organizationId, job.options);
           break;
         case 'usage-report':
-          result = await this.generateUsageReport(job.userId, job.options);
+          result = await this.generateUsageReport(job.organizationId, job.options);
           break;
         case 'device-summary':
-          result = await this.generateDeviceSummary(job.userId, job.options);
+          result = await this.generateDeviceSummary(job.organizationId, job.options);
           break;
         default:
           throw new Error(`Unknown export type: ${job.type}`);
@@ -80,6 +83,13 @@ class ExportService {
       console.log(`📧 Export completed for user ${job.userId}: ${job.type}`);
       console.log(`📁 File available at: ${result.filePath}`);
 
+      await webhookService.dispatch(job.organizationId, 'export.completed', {
+        jobId: job.id,
+        type: job.type,
+        fileName: result.fileName,
+        downloadUrl: result.downloadUrl
+      });
+
     } catch (error) {
       console.error('Export job error:', error);
       job.status = 'failed';
@@ -93,11 +103,11 @@ class ExportService {
   }
 
   // Export device logs as CSV
-  async exportDeviceLogsCSV(userId, options) {
+  async exportDeviceLogsCSV(organizationId, options) {
     const { deviceId, startDate, endDate, format = 'csv' } = options;
     
-    // Verify device ownership
-    const device = await Device.findOne({ _id: deviceId, owner_id: userId });
+    // Verify the device belongs to the organization
+    const device = await Device.findOne({ _id: deviceId, organization_id: organizationId });
     if (!device) {
       throw new Error('Device not found or access denied');
     }
@@ -147,11 +157,11 @@ class ExportService {
   }
 
   // Export device logs as JSON
-  async exportDeviceLogsJSON(userId, options) {
+  async exportDeviceLogsJSON(organizationId, options) {
     const { deviceId, startDate, endDate } = options;
     
-    // Verify device ownership
-    const device = await Device.findOne({ _id: deviceId, owner_id: userId });
+    // Verify the device belongs to the organization
+    const device = await Device.findOne({ _id: deviceId, organization_id: organizationId });
     if (!device) {
       throw new Error('Device not found or access denied');
     }
@@ -196,18 +206,15 @@ class ExportService {
   }
 
   // Generate usage report
-  async generateUsageReport(userId, options) {
+  async generateUsageReport(organizationId, options) {
     const { deviceId, range = '24h' } = options;
     
-    // Verify device ownership
-    const device = await Device.findOne({ _id: deviceId, owner_id: userId });
+    // Verify the device belongs to the organization
+    const device = await Device.findOne({ _id: deviceId, organization_id: organizationId });
     if (!device) {
       throw new Error('Device not found or access denied');
     }
 
-    // Get usage data
-    const usageData = await Log.getAggregatedUsage(deviceId, range);
-    
     // Get detailed logs for the period
     const now = new Date();
     let startDate;
@@ -234,8 +241,21 @@ class ExportService {
       timestamp: { $gte: startDate }
     }).sort({ timestamp: 1 });
 
+    // Chart from pre-computed rollups at the resolution matching the range
+    const resolution = this.getIntervalForRange(range);
+    const chartStart = LogRollup.bucketStart(startDate, resolution);
+    const rollups = await LogRollup.find({
+      device_id: deviceId,
+      event: 'units_consumed',
+      resolution,
+      bucket: { $gte: chartStart, $lte: now }
+    }).sort({ bucket: 1 });
+
+    // Summary totals from the same rollups as the chart, so the two agree
+    const totals = await LogRollup.getTotals(deviceId, 'units_consumed', resolution, chartStart, now);
+
     // Generate chart data
-    const chartData = this.generateChartData(logs, range);
+    const chartData = this.generateChartData(rollups, range);
 
     // Create report file
     const fileName = `usage-report-${deviceId}-${range}-${moment().format('YYYY-MM-DD-HH-mm-ss')}.json`;
@@ -250,13 +270,14 @@ class ExportService {
       reportInfo: {
         generatedAt: new Date().toISOString(),
         range,
+        resolution,
         startDate,
         endDate: now
       },
       summary: {
-        totalUnits: usageData.total_units,
-        logCount: usageData.log_count,
-        averagePerHour: usageData.total_units / (usageData.log_count || 1)
+        totalUnits: totals.sum,
+        logCount: totals.count,
+        averagePerHour: totals.sum / (totals.count || 1)
       },
       chartData,
       logs: logs.map(log => log.toLogEntry())
@@ -275,11 +296,11 @@ class ExportService {
   }
 
   // Generate device summary
-  async generateDeviceSummary(userId, options) {
+  async generateDeviceSummary(organizationId, options) {
     const { deviceId } = options;
     
-    // Verify device ownership
-    const device = await Device.findOne({ _id: deviceId, owner_id: userId });
+    // Verify the device belongs to the organization
+    const device = await Device.findOne({ _id: deviceId, organization_id: organizationId });
     if (!device) {
       throw new Error('Device not found or access denied');
     }
@@ -322,8 +343,8 @@ class ExportService {
     };
   }
 
-  // Generate chart data for usage reports
-  generateChartData(logs, range) {
+  // Generate chart data for usage reports from rollup buckets
+  generateChartData(rollups, range) {
     const chartData = {
       labels: [],
       datasets: [{
@@ -335,21 +356,20 @@ class ExportService {
       }]
     };
 
-    if (logs.length === 0) return chartData;
+    if (rollups.length === 0) return chartData;
 
-    // Group logs by time intervals
+    // Group rollup buckets by time intervals
     const groupedData = {};
     const interval = this.getIntervalForRange(range);
 
-    logs.forEach(log => {
-      const timestamp = new Date(log.timestamp);
-      const key = this.getTimeKey(timestamp, interval);
+    rollups.forEach(rollup => {
+      const key = this.getTimeKey(rollup.bucket, interval);
       
       if (!groupedData[key]) {
         groupedData[key] = 0;
       }
       
-      groupedData[key] += parseFloat(log.value) || 0;
+      groupedData[key] += rollup.sum;
     });
 
     // Sort by time and create chart data
@@ -0,0 +1,340 @@
+const Log = require('../models/Log');
+const AuditEvent = require('../models/AuditEvent');
+const redisClient = require('../config/redis');
+const webSocketService = require('./websocketService');
+const { recordRollupsSafely } = require('./rollupService');
+const { evaluateLogs, evaluateHeartbeat } = require('./alertService');
+const webhookService = require('./webhookService');
+
+// Timestamp bounds for device-supplied event times
+const getTimestampPolicy = () => ({
+  maxClockSkewMs: (parseInt(process.env.LOG_MAX_CLOCK_SKEW_SECONDS) || 300) * 1000,
+  maxBackfillMs: (parseInt(process.env.LOG_MAX_BACKFILL_HOURS) || 168) * 60 * 60 * 1000,
+  lateThresholdMs: (parseInt(process.env.LOG_LATE_THRESHOLD_SECONDS) || 300) * 1000
+});
+
+// Resolve the event time against the server receive time.
+// Returns { timestamp, late } or { error } when the time is out of bounds.
+const resolveEventTime = (timestamp, receivedAt = new Date()) => {
+  if (!timestamp) {
+    return { timestamp: receivedAt, late: false };
+  }
+
+  const eventTime = new Date(timestamp);
+  const { maxClockSkewMs, maxBackfillMs, lateThresholdMs } = getTimestampPolicy();
+  const lagMs = receivedAt.getTime() - eventTime.getTime();
+
+  if (lagMs < -maxClockSkewMs) {
+    return { error: 'Timestamp is too far in the future' };
+  }
+
+  if (lagMs > maxBackfillMs) {
+    return { error: 'Timestamp is older than the maximum backfill age' };
+  }
+
+  return { timestamp: eventTime, late: lagMs > lateThresholdMs };
+};
+
+// Build an unsaved Log document from a validated event
+const buildLog = (deviceId, event, receivedAt = new Date()) => {
+  const resolved = resolveEventTime(event.timestamp, receivedAt);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  const log = new Log({
+    device_id: deviceId,
+    event: event.event,
+    value: event.value,
+    severity: event.severity || 'info',
+    source: event.source || 'device',
+    metadata: event.metadata || {},
+    message_id: event.message_id,
+    timestamp: resolved.timestamp,
+    receivedAt,
+    late: resolved.late
+  });
+
+  return { log };
+};
+
+// Late data changes windows that may already be cached, so drop the cached
+// aggregates and log pages for the device (rollups are updated in place as
+// logs are stored). Returns the affected window.
+const handleLateData = async (deviceId, logs) => {
+  const lateLogs = logs.filter(log => log.late);
+  if (lateLogs.length === 0) return null;
+
+  const times = lateLogs.map(log => log.timestamp.getTime());
+  const window = {
+    start: new Date(Math.min(...times)),
+    end: new Date(Math.max(...times))
+  };
+
+  await redisClient.invalidatePattern(`analytics:device:${deviceId}:*`);
+  await redisClient.invalidatePattern(`logs:device:${deviceId}:*`);
+
+  console.log(`⏪ Late data for device ${deviceId}: ${lateLogs.length} events between ${window.start.toISOString()} and ${window.end.toISOString()}`);
+
+  return window;
+};
+
+// Find the log previously stored for a client message ID
+const findByMessageId = (deviceId, messageId) => {
+  return Log.findOne({ device_id: deviceId, message_id: messageId });
+};
+
+// Store a single validated event for a device. Retries carrying an already
+// stored message_id return the original log with duplicate: true.
+const ingestLog = async (deviceId, event) => {
+  if (event.message_id) {
+    const existing = await findByMessageId(deviceId, event.message_id);
+    if (existing) {
+      return { log: existing, duplicate: true };
+    }
+  }
+
+  const { log, error } = buildLog(deviceId, event);
+  if (error) {
+    return { error };
+  }
+
+  try {
+    await log.save();
+  } catch (saveError) {
+    // A concurrent retry stored the same message first
+    if (saveError.code === 11000 && event.message_id) {
+      const existing = await findByMessageId(deviceId, event.message_id);
+      if (existing) {
+        return { log: existing, duplicate: true };
+      }
+    }
+    throw saveError;
+  }
+
+  await recordRollupsSafely([log]);
+  await handleLateData(deviceId.toString(), [log]);
+  await evaluateLogs([log]);
+
+  return { log, duplicate: false };
+};
+
+// Look up already stored message IDs for a set of logs: "deviceId:messageId" -> log id
+const findExistingMessageIds = async (logs) => {
+  const idsByDevice = new Map();
+
+  logs.filter(log => log.message_id).forEach(log => {
+    const deviceId = log.device_id.toString();
+    if (!idsByDevice.has(deviceId)) idsByDevice.set(deviceId, []);
+    idsByDevice.get(deviceId).push(log.message_id);
+  });
+
+  if (idsByDevice.size === 0) return new Map();
+
+  const existing = await Log.find({
+    $or: Array.from(idsByDevice.entries()).map(([deviceId, messageIds]) => ({
+      device_id: deviceId,
+      message_id: { $in: messageIds }
+    }))
+  }).select('_id device_id message_id');
+
+  return new Map(existing.map(log => [`${log.device_id}:${log.message_id}`, log._id]));
+};
+
+// Validate each batch item and store the valid ones in a single insertMany.
+// items: [{ deviceId, event }] - deviceId is null when the device is not accessible.
+// Items whose message_id was already stored (or repeats earlier in the batch)
+// are acknowledged as duplicates instead of being stored again.
+const ingestLogBatch = async (items, schema) => {
+  const receivedAt = new Date();
+  const results = new Array(items.length);
+  const candidates = [];
+
+  items.forEach(({ deviceId, event }, index) => {
+    const { error, value } = schema.validate(event, { abortEarly: false });
+
+    if (error) {
+      results[index] = {
+        index,
+        status: 'rejected',
+        error: error.details.map(detail => detail.message).join(', ')
+      };
+      return;
+    }
+
+    if (!deviceId) {
+      results[index] = { index, status: 'rejected', error: 'Device not found' };
+      return;
+    }
+
+    const built = buildLog(deviceId, value, receivedAt);
+    if (built.error) {
+      results[index] = { index, status: 'rejected', error: built.error };
+      return;
+    }
+
+    candidates.push({ index, log: built.log });
+  });
+
+  const existing = await findExistingMessageIds(candidates.map(candidate => candidate.log));
+  const firstIndexByMessage = new Map();
+  const inBatchDuplicates = [];
+  const docs = [];
+  const docIndexes = [];
+
+  candidates.forEach(({ index, log }) => {
+    const messageKey = log.message_id ? `${log.device_id}:${log.message_id}` : null;
+
+    if (messageKey && existing.has(messageKey)) {
+      results[index] = { index, status: 'duplicate', id: existing.get(messageKey) };
+      return;
+    }
+
+    if (messageKey && firstIndexByMessage.has(messageKey)) {
+      inBatchDuplicates.push({ index, firstIndex: firstIndexByMessage.get(messageKey) });
+      return;
+    }
+
+    if (messageKey) firstIndexByMessage.set(messageKey, index);
+    docs.push(log);
+    docIndexes.push(index);
+  });
+
+  const inserted = await Log.insertBatch(docs);
+  const storedByDevice = new Map();
+
+  for (let i = 0; i < inserted.length; i++) {
+    const result = inserted[i];
+    const index = docIndexes[i];
+
+    if (!result.log) {
+      // Lost a race with a concurrent retry of the same message
+      const doc = docs[i];
+      if (result.code === 11000 && doc.message_id) {
+        const original = await findByMessageId(doc.device_id, doc.message_id);
+        if (original) {
+          results[index] = { index, status: 'duplicate', id: original._id };
+          continue;
+        }
+      }
+
+      results[index] = { index, status: 'rejected', error: result.error };
+      continue;
+    }
+
+    results[index] = {
+      index,
+      status: 'accepted',
+      id: result.log._id,
+      late: result.log.late
+    };
+
+    const deviceId = result.log.device_id.toString();
+    if (!storedByDevice.has(deviceId)) storedByDevice.set(deviceId, []);
+    storedByDevice.get(deviceId).push(result.log);
+  }
+
+  // Repeats within the batch share the outcome of their first occurrence
+  inBatchDuplicates.forEach(({ index, firstIndex }) => {
+    const first = results[firstIndex];
+    results[index] = first.status === 'rejected'
+      ? { index, status: 'rejected', error: first.error }
+      : { index, status: 'duplicate', id: first.id };
+  });
+
+  const storedLogs = Array.from(storedByDevice.values()).flat();
+  await recordRollupsSafely(storedLogs);
+
+  for (const [deviceId, logs] of storedByDevice.entries()) {
+    await handleLateData(deviceId, logs);
+  }
+
+  await evaluateLogs(storedLogs);
+
+  return results;
+};
+
+// Audit a status change (the device is the actor when there is no request, e.g. MQTT)
+const auditStatusChange = (device, oldStatus, reason, req = null) => {
+  return AuditEvent.record({
+    action: 'device.status_changed',
+    actor: req ? null : { type: 'device', id: device._id },
+    target: { type: 'device', id: device._id },
+    req,
+    before: { status: oldStatus },
+    after: { status: device.status },
+    details: { reason }
+  });
+};
+
+// Record a device heartbeat and broadcast it (and any status change)
+const recordHeartbeat = async (device, status, req = null) => {
+  const oldStatus = device.status;
+
+  await device.updateHeartbeat(status);
+
+  webSocketService.broadcastDeviceHeartbeat(
+    device._id.toString(),
+    device.status,
+    device.last_active_at
+  );
+
+  if (oldStatus !== device.status) {
+    webSocketService.broadcastDeviceStatusUpdate(
+      device._id.toString(),
+      device.status,
+      { action: 'heartbeat', oldStatus, newStatus: device.status }
+    );
+
+    await auditStatusChange(device, oldStatus, 'heartbeat', req);
+
+    await webhookService.dispatch(device.organization_id, 'device.status_changed', {
+      device_id: device._id.toString(),
+      oldStatus,
+      newStatus: device.status,
+      reason: 'heartbeat'
+    });
+  }
+
+  await evaluateHeartbeat(device);
+
+  return device;
+};
+
+// Record a device-reported status change without touching last_active_at
+const recordStatus = async (device, status, action = 'status') => {
+  const oldStatus = device.status;
+
+  device.status = status;
+  device.isOnline = status === 'active';
+  await device.save();
+
+  if (oldStatus !== device.status) {
+    webSocketService.broadcastDeviceStatusUpdate(
+      device._id.toString(),
+      device.status,
+      { action, oldStatus, newStatus: device.status }
+    );
+
+    await auditStatusChange(device, oldStatus, action);
+
+    await webhookService.dispatch(device.organization_id, 'device.status_changed', {
+      device_id: device._id.toString(),
+      oldStatus,
+      newStatus: device.status,
+      reason: action
+    });
+  }
+
+  return device;
+};
+
+module.exports = {
+  resolveEventTime,
+  buildLog,
+  handleLateData,
+  ingestLog,
+  ingestLogBatch,
+  recordHeartbeat,
+  recordStatus
+};
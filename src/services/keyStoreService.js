@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SigningKey = require('../models/SigningKey');
+const AuditEvent = require('../models/AuditEvent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Token signing keys. Keys live in MongoDB and are cached in memory so signing
+// and verification stay synchronous; the cache is reloaded on an interval so
+// every instance picks up keys created by the others. A new key is published
+// (JWKS, verification) straight away but only signs after an activation delay
+// longer than the reload interval, so no instance sees a kid it cannot verify.
+//
+// Tokens without a kid were signed with the shared secret before asymmetric
+// keys were introduced. They are only accepted (and the secret only signs when
+// no key has been loaded yet) until the JWT_LEGACY_SECRETS_UNTIL cutoff, so a
+// leaked secret cannot mint tokens once the migration is over.
+class KeyStoreService {
+  constructor() {
+    this.keys = [];
+    this.refreshTimer = null;
+  }
+
+  getOptions() {
+    return {
+      algorithm: process.env.JWT_SIGNING_ALGORITHM || 'RS256',
+      rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+      activationDelaySeconds: parseInt(process.env.JWT_KEY_ACTIVATION_DELAY_SECONDS) || 300,
+      refreshIntervalSeconds: parseInt(process.env.JWT_KEY_REFRESH_INTERVAL_SECONDS) || 60
+    };
+  }
+
+  async initialize() {
+    await this.load();
+
+    // First start: sign with a new key right away
+    if (!this.getSigningKey()) {
+      await SigningKey.generate(this.getOptions().algorithm);
+      await this.load();
+      console.log('🔑 Generated the first token signing key');
+    }
+
+    this.refreshTimer = setInterval(() => {
+      this.load().catch(error => console.error('Signing key reload error:', error));
+    }, this.getOptions().refreshIntervalSeconds * 1000);
+    this.refreshTimer.unref();
+  }
+
+  close() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  // Reload unexpired keys from MongoDB. Keys whose private key cannot be
+  // decrypted still verify but never sign.
+  async load() {
+    const documents = await SigningKey.findUnexpired();
+
+    this.keys = documents.map(document => {
+      let privateKey = null;
+
+      try {
+        privateKey = crypto.createPrivateKey({
+          key: document.privateKey,
+          format: 'pem',
+          passphrase: document.encrypted ? process.env.JWT_KEY_PASSPHRASE : undefined
+        });
+      } catch (error) {
+        console.error(`Signing key ${document.kid} cannot be decrypted:`, error.message);
+      }
+
+      return {
+        document,
+        kid: document.kid,
+        algorithm: document.algorithm,
+        publicKey: crypto.createPublicKey(document.publicKey),
+        privateKey,
+        activatesAt: document.activatesAt,
+        expiresAt: document.expiresAt
+      };
+    });
+
+    return this.keys.length;
+  }
+
+  // Whether the shared secrets may still sign and verify tokens without a kid
+  isLegacySecretAllowed() {
+    const until = Date.parse(process.env.JWT_LEGACY_SECRETS_UNTIL);
+    return !Number.isNaN(until) && Date.now() < until;
+  }
+
+  isUnexpired(key) {
+    return !key.expiresAt || key.expiresAt > new Date();
+  }
+
+  // Newest activated key that can sign
+  getSigningKey() {
+    const now = new Date();
+
+    return this.keys.find(key =>
+      key.privateKey && key.activatesAt <= now && this.isUnexpired(key)
+    ) || null;
+  }
+
+  getVerificationKey(kid) {
+    return this.keys.find(key => key.kid === kid && this.isUnexpired(key)) || null;
+  }
+
+  // Sign a token with the current key (legacySecret before any key is loaded)
+  sign(payload, options = {}, legacySecret = process.env.JWT_SECRET) {
+    const key = this.getSigningKey();
+
+    if (!key) {
+      if (!legacySecret || !this.isLegacySecretAllowed()) {
+        throw new Error('No token signing key available');
+      }
+
+      return jwt.sign(payload, legacySecret, options);
+    }
+
+    return jwt.sign(payload, key.privateKey, {
+      ...options,
+      algorithm: key.algorithm,
+      keyid: key.kid
+    });
+  }
+
+  // Verify a token with the key named by its kid. Each key only accepts its own
+  // algorithm, so a token cannot pick a weaker one.
+  verify(token, legacySecret = process.env.JWT_SECRET) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { kid } = decoded.header;
+
+    if (!kid) {
+      if (!legacySecret || !this.isLegacySecretAllowed()) {
+        throw new jwt.JsonWebTokenError('Token has no key id');
+      }
+
+      return jwt.verify(token, legacySecret, { algorithms: ['HS256'] });
+    }
+
+    const key = this.getVerificationKey(kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  }
+
+  // Public keys of every unexpired key (including keys not yet signing)
+  getJwks() {
+    return {
+      keys: this.keys
+        .filter(key => this.isUnexpired(key))
+        .map(key => key.document.toJwk())
+    };
+  }
+
+  // Longest token lifetime in seconds (jsonwebtoken parses expiresIn the same
+  // way when signing)
+  getMaxTokenLifetime() {
+    const lifetimes = [
+      process.env.JWT_EXPIRES_IN || '15m',
+      process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+      process.env.OAUTH_TOKEN_EXPIRES_IN || '1h',
+      process.env.IMPERSONATION_EXPIRES_IN || '15m'
+    ].map(expiresIn => {
+      const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn }));
+      return exp - iat;
+    });
+
+    return Math.max(...lifetimes);
+  }
+
+  // Create a new key that signs after the activation delay and retire the
+  // current key: it expires once every token it could have signed has
+  // expired. Retiring is a conditional update on the current key, so when
+  // several instances rotate at once only one creates a key (the others get
+  // null).
+  async rotate(current = null) {
+    const { algorithm, activationDelaySeconds } = this.getOptions();
+    const activatesAt = new Date(Date.now() + activationDelaySeconds * 1000);
+    const expiresAt = new Date(activatesAt.getTime() + this.getMaxTokenLifetime() * 1000);
+
+    current = current || await SigningKey.findOne({ expiresAt: null }).sort({ activatesAt: -1 });
+
+    if (current) {
+      const claimed = await SigningKey.updateOne({ _id: current._id, expiresAt: null }, { expiresAt });
+      if (claimed.modifiedCount === 0) {
+        return null;
+      }
+    }
+
+    let key;
+    try {
+      key = await SigningKey.generate(algorithm, activatesAt);
+    } catch (error) {
+      if (current) {
+        await SigningKey.updateOne({ _id: current._id }, { expiresAt: null });
+      }
+      throw error;
+    }
+
+    await this.load();
+
+    await AuditEvent.record({
+      action: 'auth.signing_key_rotated',
+      target: { type: 'signing_key', id: key.kid },
+      details: {
+        algorithm,
+        activatesAt,
+        retiredKey: current ? current.kid : null,
+        retiredKeyExpiresAt: current ? expiresAt : null
+      }
+    });
+
+    console.log(`🔑 Signing key ${key.kid} created, signing from ${activatesAt.toISOString()}`);
+    return key;
+  }
+
+  // Rotate when the newest key is older than JWT_KEY_ROTATION_DAYS
+  async rotateIfDue() {
+    const newest = await SigningKey.findOne().sort({ activatesAt: -1 });
+    const maxAgeMs = this.getOptions().rotationDays * DAY_MS;
+
+    if (newest && Date.now() - newest.activatesAt.getTime() < maxAgeMs) {
+      return null;
+    }
+
+    return this.rotate(newest);
+  }
+}
+
+const keyStoreService = new KeyStoreService();
+
+module.exports = keyStoreService;
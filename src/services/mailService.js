@@ -0,0 +1,106 @@
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('../templates/email');
+
+const OUTBOX_LIMIT = 50;
+
+// Transactional email. Uses SMTP (EMAIL_HOST/EMAIL_PORT/EMAIL_USER/EMAIL_PASS,
+// e.g. a local Mailpit/MailHog stand-in in development) or nodemailer's JSON
+// transport, which sends nothing and keeps messages in an in-memory outbox.
+// The JSON transport is the default in tests and when no EMAIL_HOST is set.
+class MailService {
+  constructor() {
+    this.transporter = null;
+    this.transportType = null;
+    this.outbox = [];
+  }
+
+  getTransportType() {
+    if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+    if (process.env.NODE_ENV === 'test' || !process.env.EMAIL_HOST) return 'json';
+    return 'smtp';
+  }
+
+  getTransporter() {
+    const transportType = this.getTransportType();
+    if (this.transporter && this.transportType === transportType) {
+      return this.transporter;
+    }
+
+    if (transportType === 'json') {
+      this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    } else {
+      const port = parseInt(process.env.EMAIL_PORT) || 587;
+
+      this.transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST || 'localhost',
+        port,
+        secure: process.env.EMAIL_SECURE === 'true' || port === 465,
+        auth: process.env.EMAIL_USER
+          ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+          : undefined
+      });
+    }
+
+    this.transportType = transportType;
+    return this.transporter;
+  }
+
+  // Absolute link to a client page carrying a token
+  buildUrl(path, token) {
+    const baseUrl = (process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    return `${baseUrl}${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  // Render a template and send it
+  async send(template, to, data = {}) {
+    const { subject, text, html } = renderTemplate(template, data);
+    const message = {
+      from: process.env.EMAIL_FROM || 'noreply@smartdeviceplatform.com',
+      to,
+      subject,
+      text,
+      html
+    };
+
+    const info = await this.getTransporter().sendMail(message);
+
+    if (this.transportType === 'json') {
+      this.outbox.push({ ...message, template, data, sentAt: new Date() });
+      if (this.outbox.length > OUTBOX_LIMIT) {
+        this.outbox.shift();
+      }
+    }
+
+    return info;
+  }
+
+  // Send without failing the caller - mail problems are logged, not surfaced
+  async sendSafely(template, to, data = {}) {
+    try {
+      await this.send(template, to, data);
+      return true;
+    } catch (error) {
+      console.error(`Error sending ${template} email:`, error);
+      return false;
+    }
+  }
+
+  // Latest message sent to an address with the JSON transport (used by tests)
+  getLastMessage(to, template = null) {
+    for (let i = this.outbox.length - 1; i >= 0; i--) {
+      const message = this.outbox[i];
+      if (message.to === to && (!template || message.template === template)) {
+        return message;
+      }
+    }
+    return null;
+  }
+
+  clearOutbox() {
+    this.outbox = [];
+  }
+}
+
+const mailService = new MailService();
+
+module.exports = mailService;
@@ -0,0 +1,269 @@
+const net = require('net');
+const Aedes = require('aedes');
+const Device = require('../models/Device');
+const redisClient = require('../config/redis');
+const { createLogSchema, logBatchSchema } = require('../validations/log');
+const { heartbeatSchema } = require('../validations/device');
+const {
+  ingestLog,
+  ingestLogBatch,
+  recordHeartbeat,
+  recordStatus
+} = require('./ingestionService');
+
+const TOPIC_PATTERN = /^devices\/([a-f0-9]{24})\/(telemetry|heartbeat|status)$/i;
+
+// Embedded MQTT broker bridging device topics onto the REST ingestion logic.
+// Devices connect with username = device id and password = device API key.
+class MqttService {
+  constructor() {
+    this.broker = null;
+    this.server = null;
+    this.connectedDevices = new Map(); // deviceId -> client id
+  }
+
+  initialize() {
+    this.broker = Aedes();
+
+    this.broker.authenticate = this.authenticate.bind(this);
+    this.broker.authorizePublish = this.authorizePublish.bind(this);
+    this.broker.authorizeSubscribe = this.authorizeSubscribe.bind(this);
+
+    this.broker.on('publish', (packet, client) => {
+      // Ignore broker-originated messages ($SYS, acks)
+      if (!client || !client.device) return;
+
+      this.handlePublish(packet, client).catch(error => {
+        console.error('MQTT publish handling error:', error);
+      });
+    });
+
+    this.broker.on('clientReady', (client) => {
+      if (client.device) {
+        this.connectedDevices.set(client.device._id.toString(), client.id);
+        console.log(`📶 MQTT device connected: ${client.device.name} (${client.device._id})`);
+      }
+    });
+
+    this.broker.on('clientDisconnect', (client) => {
+      if (client.device) {
+        this.connectedDevices.delete(client.device._id.toString());
+        console.log(`📶 MQTT device disconnected: ${client.device.name} (${client.device._id})`);
+      }
+    });
+
+    return this.broker;
+  }
+
+  // Start accepting TCP connections (not needed for in-process use)
+  listen(port = parseInt(process.env.MQTT_PORT) || 1883) {
+    if (!this.broker) this.initialize();
+
+    this.server = net.createServer(this.broker.handle);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => {
+        console.log(`✅ MQTT broker listening on port ${port}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+
+    if (this.broker) {
+      await new Promise(resolve => this.broker.close(() => resolve()));
+      this.broker = null;
+    }
+
+    this.connectedDevices.clear();
+  }
+
+  // CONNECT: username must be the device id, password its API key
+  authenticate(client, username, password, callback) {
+    const reject = (returnCode) => {
+      const error = new Error('Authentication failed');
+      error.returnCode = returnCode;
+      callback(error, false);
+    };
+
+    if (!username || !password) {
+      return reject(4); // Bad username or password
+    }
+
+    Device.findByApiKey(password.toString())
+      .then(result => {
+        if (!result || result.device._id.toString() !== username) {
+          return reject(4);
+        }
+
+        client.device = result.device;
+        client.deviceKeyId = result.key.keyId;
+        callback(null, true);
+      })
+      .catch(error => {
+        console.error('MQTT authentication error:', error);
+        reject(3); // Server unavailable
+      });
+  }
+
+  // Devices may only publish to their own telemetry/heartbeat/status topics
+  authorizePublish(client, packet, callback) {
+    const parsed = this.parseTopic(packet.topic);
+
+    if (!client.device || !parsed || parsed.deviceId !== client.device._id.toString()) {
+      return callback(new Error('Publishing to this topic is not allowed'));
+    }
+
+    callback(null);
+  }
+
+  // Devices may only subscribe below their own topic tree (e.g. devices/{id}/ack)
+  authorizeSubscribe(client, subscription, callback) {
+    const ownPrefix = client.device ? `devices/${client.device._id}/` : null;
+
+    if (!ownPrefix || !subscription.topic.startsWith(ownPrefix)) {
+      return callback(new Error('Subscribing to this topic is not allowed'));
+    }
+
+    callback(null, subscription);
+  }
+
+  parseTopic(topic) {
+    const match = TOPIC_PATTERN.exec(topic || '');
+    if (!match) return null;
+
+    return { deviceId: match[1].toLowerCase(), channel: match[2].toLowerCase() };
+  }
+
+  parsePayload(payload) {
+    const text = payload ? payload.toString().trim() : '';
+    if (!text) return {};
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Plain-text payloads are accepted for status values ("offline")
+      return text;
+    }
+  }
+
+  // Route a device message to the matching ingestion handler
+  async handlePublish(packet, client) {
+    const parsed = this.parseTopic(packet.topic);
+    if (!parsed) return;
+
+    // Reload the device so status changes and key revocations are respected
+    const device = await Device.findById(parsed.deviceId);
+    const key = device && device.findApiKey(client.deviceKeyId);
+
+    if (!key || key.revokedAt) {
+      console.warn(`🚫 MQTT key revoked for device ${parsed.deviceId}, disconnecting`);
+      client.close();
+      return;
+    }
+
+    const payload = this.parsePayload(packet.payload);
+
+    switch (parsed.channel) {
+      case 'telemetry':
+        return this.handleTelemetry(device, payload);
+      case 'heartbeat':
+        return this.handleHeartbeat(device, payload);
+      case 'status':
+        return this.handleStatus(device, payload);
+      default:
+        return null;
+    }
+  }
+
+  // devices/{id}/telemetry - a single event, an array or { events: [...] }
+  async handleTelemetry(device, payload) {
+    const deviceId = device._id.toString();
+
+    if (Array.isArray(payload) || (payload && Array.isArray(payload.events))) {
+      const events = Array.isArray(payload) ? payload : payload.events;
+      const { error } = logBatchSchema.validate({ events });
+
+      if (error) {
+        return this.publishAck(deviceId, { success: false, message: error.message });
+      }
+
+      const results = await ingestLogBatch(
+        events.map(event => ({ deviceId: device._id, event })),
+        createLogSchema
+      );
+      return this.publishAck(deviceId, { success: true, results });
+    }
+
+    const { error, value } = createLogSchema.validate(payload, { abortEarly: false });
+    if (error) {
+      return this.publishAck(deviceId, {
+        success: false,
+        message: error.details.map(detail => detail.message).join(', ')
+      });
+    }
+
+    const result = await ingestLog(device._id, value);
+    if (result.error) {
+      return this.publishAck(deviceId, { success: false, message: result.error });
+    }
+
+    return this.publishAck(deviceId, {
+      success: true,
+      duplicate: result.duplicate,
+      log: result.log.toLogEntry()
+    });
+  }
+
+  // devices/{id}/heartbeat - { "status": "active" } (status defaults to active)
+  async handleHeartbeat(device, payload) {
+    const body = { status: (payload && payload.status) || 'active' };
+    const { error } = heartbeatSchema.validate(body);
+
+    if (error) {
+      return this.publishAck(device._id.toString(), { success: false, message: error.message });
+    }
+
+    await recordHeartbeat(device, body.status);
+    await redisClient.invalidateDeviceCache(device._id.toString());
+  }
+
+  // devices/{id}/status - { "status": "offline" } or a plain status string
+  async handleStatus(device, payload) {
+    const body = { status: typeof payload === 'string' ? payload : payload && payload.status };
+    const { error } = heartbeatSchema.validate(body);
+
+    if (error) {
+      return this.publishAck(device._id.toString(), { success: false, message: error.message });
+    }
+
+    await recordStatus(device, body.status, 'mqtt-status');
+    await redisClient.invalidateDeviceCache(device._id.toString());
+  }
+
+  // Results are published to devices/{id}/ack for the device to consume
+  publishAck(deviceId, data) {
+    if (!this.broker) return;
+
+    this.broker.publish({
+      topic: `devices/${deviceId}/ack`,
+      payload: Buffer.from(JSON.stringify({ ...data, timestamp: new Date().toISOString() })),
+      qos: 0,
+      retain: false
+    }, () => {});
+  }
+
+  getConnectedDevicesCount() {
+    return this.connectedDevices.size;
+  }
+}
+
+const mqttService = new MqttService();
+
+module.exports = mqttService;
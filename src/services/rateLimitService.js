@@ -0,0 +1,186 @@
+const { MemoryStore } = require('express-rate-limit');
+const redisClient = require('../config/redis');
+const RateLimitOverride = require('../models/RateLimitOverride');
+const { getRateLimitPolicy } = require('../config/rateLimits');
+
+const KEY_PREFIX = 'rate-limit:';
+
+// Only decrement counters that still exist, so an expired window is not
+// recreated without an expiry
+const DECREMENT_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 1 then
+  return redis.call('decr', KEYS[1])
+end
+return 0
+`;
+
+// express-rate-limit store with fixed-window counters in Redis, shared by
+// every instance. The window starts with a subject's first hit. While Redis is
+// unavailable each instance counts in memory instead.
+class RedisStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.memoryStore = new MemoryStore();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.memoryStore.init(options);
+  }
+
+  getKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  getResetTime(ttl) {
+    return new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs));
+  }
+
+  async increment(key) {
+    if (redisClient.isConnected) {
+      try {
+        const redisKey = this.getKey(key);
+        // SET NX starts the window; INCR keeps its expiry
+        const [, totalHits, ttl] = await redisClient.client.multi()
+          .set(redisKey, '0', { PX: this.windowMs, NX: true })
+          .incr(redisKey)
+          .pTTL(redisKey)
+          .exec();
+
+        return { totalHits, resetTime: this.getResetTime(ttl) };
+      } catch (error) {
+        console.error('Redis rate limit error:', error);
+      }
+    }
+
+    return this.memoryStore.increment(key);
+  }
+
+  async decrement(key) {
+    if (redisClient.isConnected) {
+      try {
+        await redisClient.client.eval(DECREMENT_SCRIPT, { keys: [this.getKey(key)] });
+        return;
+      } catch (error) {
+        console.error('Redis rate limit error:', error);
+      }
+    }
+
+    await this.memoryStore.decrement(key);
+  }
+
+  async resetKey(key) {
+    if (redisClient.isConnected) {
+      await redisClient.client.del(this.getKey(key));
+    }
+
+    await this.memoryStore.resetKey(key);
+  }
+
+  // Current hits and reset time for a key, or null
+  async get(key) {
+    if (redisClient.isConnected) {
+      const redisKey = this.getKey(key);
+      const [hits, ttl] = await redisClient.client.multi()
+        .get(redisKey)
+        .pTTL(redisKey)
+        .exec();
+
+      return hits === null ? null : { totalHits: parseInt(hits), resetTime: this.getResetTime(ttl) };
+    }
+
+    return (await this.memoryStore.get(key)) || null;
+  }
+}
+
+// Rate limit counters and admin overrides. Overrides live in MongoDB and are
+// cached in memory so the limit lookup on every request stays synchronous;
+// the cache is reloaded on an interval so every instance picks up overrides
+// made on the others.
+class RateLimitService {
+  constructor() {
+    this.overrides = new Map();
+    this.stores = [];
+    this.refreshTimer = null;
+  }
+
+  async initialize() {
+    await this.loadOverrides();
+
+    const refreshIntervalSeconds = parseInt(process.env.RATE_LIMIT_OVERRIDE_REFRESH_SECONDS) || 30;
+    this.refreshTimer = setInterval(() => {
+      this.loadOverrides().catch(error => console.error('Rate limit override reload error:', error));
+    }, refreshIntervalSeconds * 1000);
+    this.refreshTimer.unref();
+  }
+
+  close() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  // Store for one limiter of a policy. Limiters sharing a policy (the auth
+  // endpoints) are told apart by name so they keep separate counters.
+  createStore(policyName, name = null) {
+    const prefix = `${KEY_PREFIX}${policyName}:${name ? `${name}:` : ''}`;
+    const store = new RedisStore(prefix);
+
+    this.stores.push({ policy: policyName, name, store });
+    return store;
+  }
+
+  getOverrideKey(policyName, subject) {
+    return `${policyName} ${subject}`;
+  }
+
+  async loadOverrides() {
+    const overrides = await RateLimitOverride.findActive().lean();
+
+    this.overrides = new Map(overrides.map(override => [
+      this.getOverrideKey(override.policy, override.subject),
+      override
+    ]));
+
+    return this.overrides.size;
+  }
+
+  // Max requests per window for a subject: its unexpired override, or the
+  // policy's default
+  getLimit(policyName, subject) {
+    const override = this.overrides.get(this.getOverrideKey(policyName, subject));
+
+    if (override && (!override.expiresAt || override.expiresAt > new Date())) {
+      return override.max;
+    }
+
+    return getRateLimitPolicy(policyName).max;
+  }
+
+  // Current counters of a subject under each limiter of the policy
+  async getUsage(policyName, subject) {
+    const stores = this.stores.filter(entry => entry.policy === policyName);
+
+    return Promise.all(stores.map(async ({ name, store }) => {
+      const usage = await store.get(subject);
+
+      return {
+        limiter: name,
+        hits: usage ? usage.totalHits : 0,
+        resetTime: usage ? usage.resetTime : null
+      };
+    }));
+  }
+
+  // Clear a subject's counters under every limiter of the policy
+  async resetCounters(policyName, subject) {
+    const stores = this.stores.filter(entry => entry.policy === policyName);
+    await Promise.all(stores.map(({ store }) => store.resetKey(subject)));
+  }
+}
+
+const rateLimitService = new RateLimitService();
+
+module.exports = rateLimitService;
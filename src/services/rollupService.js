@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Log = require('../models/Log');
+const LogRollup = require('../models/LogRollup');
+
+// Numeric value of a log, or null for non-numeric events
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+};
+
+// Fold newly stored logs into the minute/hour/day rollups. Logs are grouped per
+// bucket first so a batch upload costs one upsert per bucket and resolution.
+const recordRollups = async (logs) => {
+  const groups = new Map();
+
+  logs.forEach(log => {
+    const value = toNumber(log.value);
+    if (value === null) return;
+
+    LogRollup.getResolutions().forEach(resolution => {
+      const bucket = LogRollup.bucketStart(log.timestamp, resolution);
+      const key = `${log.device_id}:${log.event}:${resolution}:${bucket.getTime()}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          device_id: log.device_id,
+          event: log.event,
+          resolution,
+          bucket,
+          count: 0,
+          sum: 0,
+          min: value,
+          max: value,
+          last: value,
+          lastTimestamp: log.timestamp
+        });
+      }
+
+      const group = groups.get(key);
+      group.count += 1;
+      group.sum += value;
+      group.min = Math.min(group.min, value);
+      group.max = Math.max(group.max, value);
+      if (log.timestamp >= group.lastTimestamp) {
+        group.last = value;
+        group.lastTimestamp = log.timestamp;
+      }
+    });
+  });
+
+  if (groups.size === 0) return 0;
+
+  // Pipeline updates merge into existing buckets (late data included)
+  const operations = Array.from(groups.values()).map(group => ({
+    updateOne: {
+      filter: {
+        device_id: new mongoose.Types.ObjectId(group.device_id),
+        event: group.event,
+        resolution: group.resolution,
+        bucket: group.bucket
+      },
+      update: [{
+        $set: {
+          count: { $add: [{ $ifNull: ['$count', 0] }, group.count] },
+          sum: { $add: [{ $ifNull: ['$sum', 0] }, group.sum] },
+          min: { $min: [{ $ifNull: ['$min', group.min] }, group.min] },
+          max: { $max: [{ $ifNull: ['$max', group.max] }, group.max] },
+          last: {
+            $cond: [
+              { $gte: [group.lastTimestamp, { $ifNull: ['$lastTimestamp', new Date(0)] }] },
+              group.last,
+              '$last'
+            ]
+          },
+          lastTimestamp: { $max: [{ $ifNull: ['$lastTimestamp', group.lastTimestamp] }, group.lastTimestamp] },
+          expiresAt: {
+            $ifNull: ['$expiresAt', new Date(group.bucket.getTime() + LogRollup.getRetentionMs(group.resolution))]
+          },
+          updatedAt: '$$NOW'
+        }
+      }],
+      upsert: true
+    }
+  }));
+
+  await LogRollup.collection.bulkWrite(operations, { ordered: false });
+  return operations.length;
+};
+
+// Rollup failures must never fail ingestion - the nightly rebuild repairs them
+const recordRollupsSafely = async (logs) => {
+  try {
+    await recordRollups(logs);
+  } catch (error) {
+    console.error('❌ Error updating log rollups:', error);
+  }
+};
+
+// Recompute rollups for a time range from raw logs (replaces existing buckets).
+// Only call this for ranges still inside raw log retention.
+const rebuildRollups = async ({ start, end, deviceId = null }) => {
+  for (const resolution of LogRollup.getResolutions()) {
+    const alignedStart = LogRollup.bucketStart(start, resolution);
+    const match = { timestamp: { $gte: alignedStart, $lt: end } };
+    if (deviceId) match.device_id = new mongoose.Types.ObjectId(deviceId);
+
+    await Log.aggregate([
+      { $match: match },
+      {
+        $project: {
+          device_id: 1,
+          event: 1,
+          timestamp: 1,
+          numericValue: { $convert: { input: '$value', to: 'double', onError: null, onNull: null } }
+        }
+      },
+      { $match: { numericValue: { $ne: null } } },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: {
+            device_id: '$device_id',
+            event: '$event',
+            bucket: { $dateTrunc: { date: '$timestamp', unit: resolution } }
+          },
+          count: { $sum: 1 },
+          sum: { $sum: '$numericValue' },
+          min: { $min: '$numericValue' },
+          max: { $max: '$numericValue' },
+          last: { $last: '$numericValue' },
+          lastTimestamp: { $last: '$timestamp' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          device_id: '$_id.device_id',
+          event: '$_id.event',
+          resolution: { $literal: resolution },
+          bucket: '$_id.bucket',
+          count: 1,
+          sum: 1,
+          min: 1,
+          max: 1,
+          last: 1,
+          lastTimestamp: 1,
+          expiresAt: { $add: ['$_id.bucket', LogRollup.getRetentionMs(resolution)] },
+          updatedAt: '$$NOW'
+        }
+      },
+      {
+        $merge: {
+          into: LogRollup.collection.collectionName,
+          on: ['device_id', 'event', 'resolution', 'bucket'],
+          whenMatched: 'replace',
+          whenNotMatched: 'insert'
+        }
+      }
+    ]);
+  }
+};
+
+// Oldest timestamp still present in raw logs
+const getRawRetentionCutoff = () => {
+  const days = parseInt(process.env.LOG_RETENTION_DAYS) || 30;
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+};
+
+// Build rollups for raw logs stored before rollups existed. Runs at startup and
+// does nothing once the oldest raw log's day is covered by a rollup, so it only
+// recomputes the raw retention window on the first start after an upgrade.
+const backfillRollups = async () => {
+  const oldest = await Log.findOne({ timestamp: { $gte: getRawRetentionCutoff() } })
+    .sort({ timestamp: 1 })
+    .select('timestamp');
+  if (!oldest) return null;
+
+  const covered = await LogRollup.exists({
+    resolution: 'day',
+    bucket: { $lte: LogRollup.bucketStart(oldest.timestamp, 'day') }
+  });
+  if (covered) return null;
+
+  await rebuildRollups({ start: oldest.timestamp, end: new Date() });
+  return oldest.timestamp;
+};
+
+// Decide where a metrics query is answered from:
+// percentiles need raw values, everything else uses the coarsest rollup
+// resolution that evenly divides the bucket interval.
+const pickMetricSource = (bucket, functions) => {
+  const needsRaw = functions.some(fn => /^p\d/.test(fn));
+  const resolution = needsRaw ? null : LogRollup.resolutionForInterval(bucket.ms);
+
+  return resolution ? { source: 'rollup', resolution } : { source: 'raw', resolution: null };
+};
+
+// Bucketed metric series from the appropriate resolution
+const getMetricSeries = async (deviceId, { event, start, end, interval, functions }) => {
+  const bucket = Log.parseMetricInterval(interval);
+  const { source, resolution } = pickMetricSource(bucket, functions);
+
+  const series = source === 'rollup'
+    ? await LogRollup.getSeries(deviceId, { event, start, end, bucket, resolution, functions })
+    : await Log.getMetricSeries(deviceId, { event, start, end, interval, functions });
+
+  return { source, resolution, series };
+};
+
+module.exports = {
+  toNumber,
+  recordRollups,
+  recordRollupsSafely,
+  rebuildRollups,
+  backfillRollups,
+  getRawRetentionCutoff,
+  pickMetricSource,
+  getMetricSeries
+};
@@ -0,0 +1,160 @@
+const redisClient = require('../config/redis');
+const TokenBlacklist = require('../models/TokenBlacklist');
+
+const KEY_PREFIX = 'revoked-token:';
+const CHANNEL = 'token-revocations';
+const HYDRATE_BATCH_SIZE = 500;
+
+// Token revocation. Mongo TokenBlacklist is the durable record; Redis holds one
+// key per revoked token id (jti) that expires with the token, so the check on
+// every request doesn't query Mongo. Redis is rehydrated from Mongo on startup
+// and whenever it reconnects; until then checks fall back to Mongo.
+// Revocations are published on a Redis channel so every instance can
+// disconnect the affected WebSocket connections.
+class TokenRevocationService {
+  constructor() {
+    this.hydrated = false;
+    this.subscriber = null;
+    this.listeners = [];
+  }
+
+  async initialize() {
+    if (!redisClient.isConnected) return;
+
+    // Revocations made while Redis was away are only in Mongo
+    redisClient.client.on('end', () => {
+      this.hydrated = false;
+    });
+    redisClient.client.on('ready', () => {
+      this.hydrate().catch(error => console.error('Token revocation rehydration error:', error));
+    });
+
+    await this.hydrate();
+
+    this.subscriber = redisClient.client.duplicate();
+    this.subscriber.on('error', (error) => console.error('Token revocation subscriber error:', error));
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(CHANNEL, (message) => {
+      this.notify(JSON.parse(message));
+    });
+  }
+
+  async close() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+  }
+
+  getKey(tokenId) {
+    return `${KEY_PREFIX}${tokenId}`;
+  }
+
+  // Seconds until expiresAt (at least 1, so the key is always written)
+  getTtl(expiresAt) {
+    return Math.max(1, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000));
+  }
+
+  // Load every unexpired blacklist entry into Redis
+  async hydrate() {
+    if (!redisClient.isConnected) return 0;
+
+    this.hydrated = false;
+
+    const cursor = TokenBlacklist.find({ expiresAt: { $gt: new Date() } })
+      .select('token jti expiresAt')
+      .lean()
+      .cursor();
+
+    let count = 0;
+    let batch = redisClient.client.multi();
+
+    for await (const entry of cursor) {
+      const tokenId = entry.jti || TokenBlacklist.getRevocationId(entry.token);
+      batch.set(this.getKey(tokenId), '1', { EX: this.getTtl(entry.expiresAt) });
+      count++;
+
+      if (count % HYDRATE_BATCH_SIZE === 0) {
+        await batch.exec();
+        batch = redisClient.client.multi();
+      }
+    }
+
+    if (count % HYDRATE_BATCH_SIZE !== 0) {
+      await batch.exec();
+    }
+
+    this.hydrated = true;
+    console.log(`🔐 Loaded ${count} revoked tokens into Redis`);
+    return count;
+  }
+
+  // Revoke a token: record it in Mongo, cache it in Redis and tell every
+  // instance so open connections using it are closed
+  async revoke(token, userId, type, expiresAt, reason = 'logout') {
+    const tokenId = TokenBlacklist.getRevocationId(token);
+    const stored = await TokenBlacklist.addToBlacklist(token, userId, type, expiresAt, reason);
+
+    if (redisClient.isConnected) {
+      try {
+        await redisClient.client.set(this.getKey(tokenId), '1', { EX: this.getTtl(expiresAt) });
+      } catch (error) {
+        // Mongo still has it; rehydration picks it up
+        console.error('Redis token revocation error:', error);
+      }
+    }
+
+    await this.publish({ tokenId });
+    return stored;
+  }
+
+  async isRevoked(token) {
+    if (this.hydrated && redisClient.isConnected) {
+      try {
+        return await redisClient.client.exists(this.getKey(TokenBlacklist.getRevocationId(token))) === 1;
+      } catch (error) {
+        console.error('Redis token revocation check error:', error);
+      }
+    }
+
+    return TokenBlacklist.isBlacklisted(token);
+  }
+
+  // Announce an ended session, so connections using its access tokens are closed
+  async endSession(sessionId) {
+    await this.publish({ sessionId: sessionId.toString() });
+  }
+
+  // Register a listener for revocations ({ tokenId } or { sessionId })
+  onRevocation(listener) {
+    this.listeners.push(listener);
+  }
+
+  async publish(event) {
+    if (this.subscriber && redisClient.isConnected) {
+      try {
+        await redisClient.client.publish(CHANNEL, JSON.stringify(event));
+        return;
+      } catch (error) {
+        console.error('Token revocation publish error:', error);
+      }
+    }
+
+    // No Redis: only this instance can act on it
+    this.notify(event);
+  }
+
+  notify(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Token revocation listener error:', error);
+      }
+    });
+  }
+}
+
+const tokenRevocationService = new TokenRevocationService();
+
+module.exports = tokenRevocationService;
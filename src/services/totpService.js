@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps -
+// the defaults every authenticator app supports) and recovery codes.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+};
+
+// 160-bit secret, base32 encoded for authenticator apps
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// otpauth:// URI for enrollment (authenticator apps scan it as a QR code)
+const buildOtpauthUrl = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Smart Device Platform';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Check a code against the current step and one step either side (clock
+// drift). Returns the matching time step, or null. Steps at or before
+// lastUsedStep are rejected so a code cannot be replayed.
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - 1; step <= currentStep + 1; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Recovery codes are compared case-insensitively and without separators
+const normalizeRecoveryCode = (code) => {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+// Plaintext recovery codes (shown once) and their hashes (stored)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const value = crypto.randomBytes(5).toString('hex');
+    return `${value.slice(0, 5)}-${value.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+module.exports = {
+  generateSecret,
+  generateHotp,
+  getTimeStep,
+  buildOtpauthUrl,
+  verifyCode,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
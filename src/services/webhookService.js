@@ -0,0 +1,270 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const Queue = require('bull');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const QUEUE_NAME = 'webhook-deliveries';
+
+// Addresses webhooks may not reach: loopback, private, link-local (cloud
+// metadata at 169.254.169.254), carrier-grade NAT, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Hostname of a URL without the brackets around IPv6 literals
+const getHostname = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Signed outbound webhooks. Deliveries are persisted first and then processed
+// by a Bull queue (retries with exponential backoff); without Redis they are
+// attempted once in-process.
+class WebhookService {
+  constructor() {
+    this.queue = null;
+  }
+
+  getDeliveryOptions() {
+    return {
+      attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+      backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 10000,
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+    };
+  }
+
+  initialize() {
+    const redisUrl = process.env.REDIS_URL || `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`;
+
+    this.queue = new Queue(QUEUE_NAME, redisUrl, {
+      redis: { password: process.env.REDIS_PASSWORD || undefined }
+    });
+
+    this.queue.process(parseInt(process.env.WEBHOOK_CONCURRENCY) || 5, async (job) => {
+      const isLastAttempt = job.attemptsMade + 1 >= job.opts.attempts;
+      const delivered = await this.deliver(job.data.deliveryId, isLastAttempt);
+
+      // Throwing hands the job back to Bull for the next backoff attempt
+      if (!delivered) {
+        throw new Error('Webhook delivery failed');
+      }
+    });
+
+    this.queue.on('error', (error) => {
+      console.error('Webhook queue error:', error);
+    });
+
+    return this.queue;
+  }
+
+  async close() {
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+  }
+
+  // Fan an event out to the organization's subscribed webhooks. Never throws -
+  // webhook problems must not fail the operation that produced the event.
+  async dispatch(organizationId, event, data) {
+    try {
+      if (!organizationId) return 0;
+
+      const webhooks = await Webhook.findSubscribed(organizationId, event);
+      const payload = {
+        event,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      for (const webhook of webhooks) {
+        const delivery = await WebhookDelivery.createFor(webhook, event, payload);
+        await this.enqueue(delivery);
+      }
+
+      return webhooks.length;
+    } catch (error) {
+      console.error(`❌ Error dispatching webhook event ${event}:`, error);
+      return 0;
+    }
+  }
+
+  // Send a stored delivery again as a new delivery
+  async replay(delivery) {
+    const webhook = await Webhook.findById(delivery.webhook_id);
+    const replayed = await WebhookDelivery.createFor(webhook, delivery.event, delivery.payload, delivery._id);
+    await this.enqueue(replayed);
+    return replayed;
+  }
+
+  async enqueue(delivery) {
+    if (!this.queue) {
+      // No queue (Redis unavailable): single in-process attempt
+      setImmediate(() => {
+        this.deliver(delivery._id, true).catch(error => {
+          console.error('Webhook delivery error:', error);
+        });
+      });
+      return;
+    }
+
+    const { attempts, backoffMs } = this.getDeliveryOptions();
+
+    await this.queue.add({ deliveryId: delivery._id.toString() }, {
+      jobId: delivery._id.toString(),
+      attempts,
+      backoff: { type: 'exponential', delay: backoffMs },
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+  }
+
+  // Attempt a delivery once and record the outcome. Returns true on a 2xx.
+  async deliver(deliveryId, isLastAttempt = true) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status === 'succeeded') return true;
+
+    const webhook = await Webhook.findById(delivery.webhook_id).select('+secret');
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.attempts.push({ error: 'Webhook no longer exists' });
+      delivery.completedAt = new Date();
+      await delivery.save();
+      return true; // Nothing left to retry
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'SmartDevicePlatform-Webhooks/1.0',
+      'X-Webhook-Id': webhook._id.toString(),
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${webhook.sign(timestamp, body)}`
+    };
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await this.post(webhook.url, body, headers);
+    } catch (error) {
+      result = { error: error.message };
+    }
+
+    const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+
+    delivery.attempts.push({
+      statusCode: result.statusCode || null,
+      error: result.error || (succeeded ? null : `HTTP ${result.statusCode}`),
+      durationMs: Date.now() - startedAt
+    });
+    delivery.responseStatus = result.statusCode || null;
+
+    if (succeeded || isLastAttempt) {
+      delivery.status = succeeded ? 'succeeded' : 'failed';
+      delivery.completedAt = new Date();
+
+      await Webhook.updateOne({ _id: webhook._id }, {
+        lastDeliveryAt: delivery.completedAt,
+        lastDeliveryStatus: delivery.status
+      });
+    } else {
+      delivery.status = 'retrying';
+    }
+
+    await delivery.save();
+    return succeeded;
+  }
+
+  // Internal addresses are only reachable with WEBHOOK_ALLOW_PRIVATE_URLS
+  // (local development)
+  allowsPrivateUrls() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+  }
+
+  // Reason a webhook URL may not be used, or null. Checked when a webhook is
+  // saved; deliveries check the address they connect to again.
+  async checkUrl(url) {
+    if (this.allowsPrivateUrls()) return null;
+
+    const hostname = getHostname(url);
+    let addresses;
+
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      return 'Webhook URL host cannot be resolved';
+    }
+
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return 'Webhook URL must not point to a private, loopback or link-local address';
+    }
+
+    return null;
+  }
+
+  // dns.lookup that refuses blocked addresses, so the address checked is the
+  // one connected to (the DNS answer cannot change in between)
+  lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const blocked = !this.allowsPrivateUrls() && addresses.find(entry => isBlockedAddress(entry.address));
+      if (blocked) {
+        return callback(new Error(`Webhook URL resolves to a blocked address (${blocked.address})`));
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  // POST a JSON body, resolving with { statusCode }. Redirects are not
+  // followed (a 3xx is a failed attempt) and the response body is discarded.
+  post(url, body, headers) {
+    const { timeoutMs } = this.getDeliveryOptions();
+    const client = url.startsWith('https:') ? https : http;
+    const hostname = getHostname(url);
+
+    // IP literals are connected to without a lookup
+    if (net.isIP(hostname) && !this.allowsPrivateUrls() && isBlockedAddress(hostname)) {
+      return Promise.reject(new Error(`Webhook URL resolves to a blocked address (${hostname})`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: timeoutMs,
+        lookup: this.lookupPublicAddress.bind(this)
+      }, (response) => {
+        response.resume();
+        response.on('end', () => resolve({ statusCode: response.statusCode }));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
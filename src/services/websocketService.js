@@ -1,6 +1,12 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Device = require('../models/Device');
+const Organization = require('../models/Organization');
+const TokenBlacklist = require('../models/TokenBlacklist');
+const tokenRevocationService = require('./tokenRevocationService');
+const keyStoreService = require('./keyStoreService');
+const { resolveTokenPermissions, resolvePermissions, hasPermission } = require('../config/permissions');
 
 class WebSocketService {
   constructor() {
@@ -20,6 +26,7 @@ class WebSocketService {
 
     this.setupAuthentication();
     this.setupEventHandlers();
+    tokenRevocationService.onRevocation(event => this.disconnectRevoked(event));
     
     console.log('✅ WebSocket server initialized');
   }
@@ -33,20 +40,43 @@ class WebSocketService {
           return next(new Error('Authentication token required'));
         }
 
+        // Same revocation check as the REST API
+        if (await tokenRevocationService.isRevoked(token)) {
+          return next(new Error('Token has been revoked'));
+        }
+
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = keyStoreService.verify(token);
         
         if (decoded.type !== 'access') {
           return next(new Error('Invalid token type'));
         }
 
+        // Impersonation is audited per request, which a socket cannot offer
+        if (decoded.impersonatedBy) {
+          return next(new Error('Impersonation tokens cannot open WebSocket connections'));
+        }
+
         // Get user
         const user = await User.findById(decoded.id).select('-password');
         if (!user || !user.isActive) {
           return next(new Error('User not found or inactive'));
         }
 
+        if (decoded.sid && !user.getSession(decoded.sid)) {
+          return next(new Error('Session has been revoked'));
+        }
+
         socket.user = user;
+        // Kept so the connection can be closed when its token or session is revoked
+        socket.tokenId = TokenBlacklist.getRevocationId(token);
+        socket.sessionId = decoded.sid || null;
+        // Same platform permissions as the REST API (withheld until required
+        // two-factor is enabled); device permissions are resolved per device
+        // from organization membership
+        socket.permissions = user.needsTwoFactorSetup()
+          ? []
+          : resolveTokenPermissions(decoded.permissions, user.role);
         next();
       } catch (error) {
         console.error('WebSocket authentication error:', error);
@@ -66,7 +96,9 @@ class WebSocketService {
       socket.join(`user:${socket.user._id}`);
 
       // Handle device subscriptions
-      socket.on('subscribe-device', (deviceId) => {
+      socket.on('subscribe-device', async (deviceId) => {
+        if (!(await this.authorizeDevice(socket, 'subscribe-device', deviceId, 'devices:read'))) return;
+
         this.subscribeToDevice(socket.user._id.toString(), deviceId);
         socket.join(`device:${deviceId}`);
         console.log(`📡 User ${socket.user.email} subscribed to device ${deviceId}`);
@@ -79,12 +111,16 @@ class WebSocketService {
       });
 
       // Handle heartbeat updates
-      socket.on('device-heartbeat', (data) => {
+      socket.on('device-heartbeat', async (data = {}) => {
+        if (!(await this.authorizeDevice(socket, 'device-heartbeat', data.deviceId, 'devices:heartbeat'))) return;
+
         this.broadcastDeviceHeartbeat(data.deviceId, data.status, data.lastActiveAt);
       });
 
       // Handle device status updates
-      socket.on('device-status-update', (data) => {
+      socket.on('device-status-update', async (data = {}) => {
+        if (!(await this.authorizeDevice(socket, 'device-status-update', data.deviceId, 'devices:write'))) return;
+
         this.broadcastDeviceStatusUpdate(data.deviceId, data.status, data.metadata);
       });
 
@@ -99,11 +135,59 @@ class WebSocketService {
       socket.emit('connected', {
         message: 'Connected to Smart Device Management Platform',
         userId: socket.user._id,
+        permissions: socket.permissions,
         timestamp: new Date().toISOString()
       });
     });
   }
 
+  // Permissions the socket's user holds on a device (via the device's organization)
+  async getDevicePermissions(socket, deviceId) {
+    const device = await Device.findById(deviceId).select('organization_id owner_id');
+    if (!device) return null;
+
+    // Devices from before organizations existed belong to their registrant
+    if (!device.organization_id) {
+      return device.owner_id.toString() === socket.user._id.toString()
+        ? resolvePermissions(socket.permissions, { role: 'owner' })
+        : socket.permissions;
+    }
+
+    const organization = await Organization.findById(device.organization_id).select('members twoFactorRequiredRoles');
+    const membership = organization ? organization.getMember(socket.user._id) : null;
+
+    if (membership && organization.requiresTwoFactor(membership.role) && !socket.user.isTwoFactorEnabled()) {
+      return socket.permissions;
+    }
+
+    return resolvePermissions(socket.permissions, membership);
+  }
+
+  // Check a device permission for a socket event, telling the client when denied
+  async authorizeDevice(socket, event, deviceId, permission) {
+    try {
+      const permissions = mongoose.Types.ObjectId.isValid(deviceId)
+        ? await this.getDevicePermissions(socket, deviceId)
+        : null;
+
+      if (permissions && hasPermission(permissions, permission)) {
+        return true;
+      }
+
+      socket.emit('permission-denied', {
+        event,
+        deviceId,
+        permission,
+        message: permissions ? `Missing permission ${permission}` : 'Device not found',
+        timestamp: new Date().toISOString()
+      });
+      return false;
+    } catch (error) {
+      console.error('WebSocket authorization error:', error);
+      return false;
+    }
+  }
+
   subscribeToDevice(userId, deviceId) {
     if (!this.deviceSubscriptions.has(deviceId)) {
       this.deviceSubscriptions.set(deviceId, new Set());
@@ -159,6 +243,25 @@ class WebSocketService {
     console.log(`📊 Broadcasted status update for device ${deviceId}: ${status}`);
   }
 
+  // Close connections whose token was revoked or whose session ended
+  disconnectRevoked({ tokenId, sessionId }) {
+    if (!this.io) return;
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      const revoked = (tokenId && socket.tokenId === tokenId) ||
+        (sessionId && socket.sessionId === sessionId);
+
+      if (revoked) {
+        socket.emit('notification', {
+          type: 'token-revoked',
+          message: 'Your access token was revoked',
+          timestamp: new Date().toISOString()
+        });
+        socket.disconnect(true);
+      }
+    }
+  }
+
   // Send notification to specific user
   sendNotification(userId, notification) {
     const socket = this.connectedUsers.get(userId.toString());
@@ -170,6 +273,18 @@ class WebSocketService {
     }
   }
 
+  // Send notification to every member of an organization
+  async sendOrganizationNotification(organizationId, notification) {
+    try {
+      const organization = await Organization.findById(organizationId).select('members');
+      if (!organization) return;
+
+      organization.getMemberIds().forEach(userId => this.sendNotification(userId, notification));
+    } catch (error) {
+      console.error('Organization notification error:', error);
+    }
+  }
+
   // Broadcast to all connected users
   broadcastToAll(event, data) {
     this.io.emit(event, {
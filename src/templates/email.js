@@ -0,0 +1,103 @@
+// Transactional email templates. Each template takes the data passed to
+// mailService.send() and returns { subject, text, html }.
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Shared layout: a greeting, a paragraph and an optional action link
+const layout = ({ name, intro, actionUrl, actionLabel, outro }) => {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const textLines = [greeting, '', intro];
+  if (actionUrl) textLines.push('', `${actionLabel}: ${actionUrl}`);
+  if (outro) textLines.push('', outro);
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    actionUrl ? `<p><a href="${escapeHtml(actionUrl)}">${escapeHtml(actionLabel)}</a></p>` : '',
+    outro ? `<p>${escapeHtml(outro)}</p>` : ''
+  ].join('\n');
+
+  return { text: textLines.join('\n'), html };
+};
+
+const templates = {
+  'verify-email': (data) => ({
+    subject: 'Verify your email address',
+    ...layout({
+      name: data.name,
+      intro: 'Please confirm your email address to finish setting up your Smart Device Platform account.',
+      actionUrl: data.url,
+      actionLabel: 'Verify email',
+      outro: `This link expires in ${data.expiresInHours} hours.`
+    })
+  }),
+
+  'password-reset': (data) => ({
+    subject: 'Reset your password',
+    ...layout({
+      name: data.name,
+      intro: 'We received a request to reset your password.',
+      actionUrl: data.url,
+      actionLabel: 'Reset password',
+      outro: `This link expires in ${data.expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`
+    })
+  }),
+
+  'password-changed': (data) => ({
+    subject: 'Your password was changed',
+    ...layout({
+      name: data.name,
+      intro: 'The password for your account was just changed and your other sessions were signed out.',
+      outro: 'If this was not you, reset your password immediately.'
+    })
+  }),
+
+  'email-changed': (data) => ({
+    subject: 'Your email address was changed',
+    ...layout({
+      name: data.name,
+      intro: `The email address for your account was changed to ${data.newEmail}. Sign-in and account emails now go to the new address.`,
+      outro: 'If this was not you, contact support immediately.'
+    })
+  }),
+
+  'refresh-token-reuse': (data) => ({
+    subject: 'Security alert: a session was signed out',
+    ...layout({
+      name: data.name,
+      intro: `An old refresh token for one of your sessions (${data.userAgent || 'unknown device'}, last seen from ${data.ip || 'an unknown address'}) was used again at ${data.detectedAt.toISOString()}. This can mean the token was stolen, so the session has been signed out.`,
+      outro: 'If you did not expect this, change your password and review your active sessions.'
+    })
+  }),
+
+  invitation: (data) => ({
+    subject: 'You have been invited to the Smart Device Platform',
+    ...layout({
+      intro: data.organizationName
+        ? `You have been invited to join ${data.organizationName} as ${data.organizationRole}.`
+        : `You have been invited to join as ${data.role === 'admin' ? 'an administrator' : 'a user'}.`,
+      actionUrl: data.url,
+      actionLabel: 'Accept invitation',
+      outro: `This invitation expires on ${data.expiresAt.toISOString()}.`
+    })
+  })
+};
+
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  renderTemplate
+};
@@ -0,0 +1,284 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Organization = require('../models/Organization');
+const TokenBlacklist = require('../models/TokenBlacklist');
+const AuditEvent = require('../models/AuditEvent');
+
+describe('Admin user management', () => {
+  let adminToken;
+  let userToken;
+  let userRefreshToken;
+  let admin;
+  let user;
+
+  const login = (email) => {
+    return request(app)
+      .post('/auth/login')
+      .send({ email, password: 'SecurePass123' });
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Organization.deleteMany({});
+    await TokenBlacklist.deleteMany({});
+    // Audit events are append-only through the model
+    await AuditEvent.collection.deleteMany({});
+
+    // Create a platform admin and a regular user to manage
+    await request(app)
+      .post('/auth/signup')
+      .send({ name: 'Admin User', email: 'admin@example.com', password: 'SecurePass123' });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    await request(app)
+      .post('/auth/signup')
+      .send({ name: 'Regular User', email: 'user@example.com', password: 'SecurePass123' });
+
+    const adminLogin = await login('admin@example.com');
+    adminToken = adminLogin.body.accessToken;
+    admin = adminLogin.body.user;
+
+    const userLogin = await login('user@example.com');
+    userToken = userLogin.body.accessToken;
+    userRefreshToken = userLogin.body.refreshToken;
+    user = userLogin.body.user;
+  });
+
+  describe('GET /admin/users', () => {
+    it('should require users:manage', async () => {
+      await request(app)
+        .get('/admin/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it('should search and paginate users', async () => {
+      const response = await request(app)
+        .get('/admin/users?search=regular&limit=1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.users).toHaveLength(1);
+      expect(response.body.users[0].email).toBe('user@example.com');
+      expect(response.body.users[0].sessionCount).toBe(1);
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should filter by status', async () => {
+      await User.updateOne({ email: 'user@example.com' }, { lockUntil: new Date(Date.now() + 60 * 60 * 1000) });
+
+      const response = await request(app)
+        .get('/admin/users?status=locked')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.users).toHaveLength(1);
+      expect(response.body.users[0].isLocked).toBe(true);
+    });
+  });
+
+  describe('GET /admin/users/:userId', () => {
+    it('should return 404 for unknown users', async () => {
+      await request(app)
+        .get('/admin/users/not-an-id')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should list the user\'s devices and sessions', async () => {
+      await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Kitchen Sensor', type: 'sensor' })
+        .expect(201);
+
+      const devices = await request(app)
+        .get(`/admin/users/${user.id}/devices`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(devices.body.devices).toHaveLength(1);
+
+      const sessions = await request(app)
+        .get(`/admin/users/${user.id}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(sessions.body.sessions).toHaveLength(1);
+    });
+  });
+
+  describe('Account actions', () => {
+    it('should deactivate a user and end their sessions', async () => {
+      await request(app)
+        .post(`/admin/users/${user.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(401);
+
+      expect(await TokenBlacklist.isBlacklisted(userRefreshToken)).toBe(true);
+      expect(await AuditEvent.findOne({ action: 'admin.user_deactivated' })).not.toBeNull();
+
+      await request(app)
+        .post(`/admin/users/${user.id}/activate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await login('user@example.com').expect(200);
+    });
+
+    it('should not let admins deactivate themselves', async () => {
+      await request(app)
+        .post(`/admin/users/${admin.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should unlock a locked account', async () => {
+      await User.updateOne(
+        { email: 'user@example.com' },
+        { loginAttempts: 5, lockUntil: new Date(Date.now() + 60 * 60 * 1000) }
+      );
+
+      await request(app)
+        .post(`/admin/users/${user.id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await login('user@example.com').expect(200);
+    });
+
+    it('should force logout every session', async () => {
+      const response = await request(app)
+        .post(`/admin/users/${user.id}/logout`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.endedSessions).toBe(1);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(401);
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: userRefreshToken })
+        .expect(401);
+    });
+
+    it('should change roles but not the admin\'s own', async () => {
+      const response = await request(app)
+        .patch(`/admin/users/${user.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.user.role).toBe('admin');
+
+      await request(app)
+        .patch(`/admin/users/${admin.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'user' })
+        .expect(409);
+    });
+  });
+
+  describe('POST /admin/users/:userId/impersonate', () => {
+    it('should issue a read-only, audited token', async () => {
+      const response = await request(app)
+        .post(`/admin/users/${user.id}/impersonate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const impersonationToken = response.body.accessToken;
+
+      const profile = await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .expect(200);
+
+      expect(profile.body.user.email).toBe('user@example.com');
+
+      const denied = await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({ name: 'Kitchen Sensor', type: 'sensor' })
+        .expect(403);
+
+      expect(denied.body.code).toBe('IMPERSONATION_READ_ONLY');
+
+      const audited = await AuditEvent.find({ action: 'admin.impersonated_request' });
+      expect(audited).toHaveLength(1);
+      expect(audited[0].actor.id.toString()).toBe(admin.id);
+    });
+
+    it('should audit a request once when several routers authenticate it', async () => {
+      const device = await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Kitchen Sensor', type: 'sensor' })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/admin/users/${user.id}/impersonate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      // /devices/:id/logs passes through the devices and logs routers
+      await request(app)
+        .get(`/devices/${device.body.device.id}/logs`)
+        .set('Authorization', `Bearer ${response.body.accessToken}`)
+        .expect(200);
+
+      const audited = await AuditEvent.find({ action: 'admin.impersonated_request' });
+      expect(audited).toHaveLength(1);
+    });
+
+    it('should not create an organization for the impersonated user', async () => {
+      const response = await request(app)
+        .post(`/admin/users/${user.id}/impersonate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${response.body.accessToken}`)
+        .expect(403);
+
+      expect(await Organization.countDocuments({ createdBy: user.id })).toBe(0);
+      const stored = await User.findById(user.id);
+      expect(stored.defaultOrganization).toBeFalsy();
+    });
+
+    it('should not grant platform permissions of an impersonated admin', async () => {
+      await User.updateOne({ email: 'user@example.com' }, { role: 'admin' });
+
+      const response = await request(app)
+        .post(`/admin/users/${user.id}/impersonate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/admin/users')
+        .set('Authorization', `Bearer ${response.body.accessToken}`)
+        .expect(403);
+    });
+  });
+});
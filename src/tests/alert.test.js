@@ -0,0 +1,394 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Log = require('../models/Log');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const webSocketService = require('../services/websocketService');
+const { checkMissingData, wakeSnoozedAlerts, fireAlert } = require('../services/alertService');
+
+describe('Alert Rules', () => {
+  let authToken;
+  let deviceId;
+
+  const createRule = (rule) => {
+    return request(app)
+      .post('/alerts/rules')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(rule);
+  };
+
+  const sendLog = (event) => {
+    return request(app)
+      .post(`/devices/${deviceId}/logs`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(event)
+      .expect(201);
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Log.deleteMany({});
+    await Alert.deleteMany({});
+    await AlertRule.deleteMany({});
+
+    jest.spyOn(webSocketService, 'sendNotification').mockImplementation(() => {});
+
+    // Create test user and get auth token
+    const userData = {
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'SecurePass123'
+    };
+
+    await request(app)
+      .post('/auth/signup')
+      .send(userData);
+
+    const loginResponse = await request(app)
+      .post('/auth/login')
+      .send({
+        email: userData.email,
+        password: userData.password
+      });
+
+    authToken = loginResponse.body.token;
+
+    const deviceResponse = await request(app)
+      .post('/devices')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Living Room Thermostat', type: 'thermostat' });
+
+    deviceId = deviceResponse.body.device.id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /alerts/rules', () => {
+    it('should create a threshold rule', async () => {
+      const response = await createRule({
+        name: 'Overheating',
+        scope: { type: 'device', device_id: deviceId },
+        condition: { type: 'threshold', event: 'temperature', operator: 'gt', value: 80 },
+        severity: 'critical'
+      }).expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.rule.name).toBe('Overheating');
+      expect(response.body.rule.enabled).toBe(true);
+    });
+
+    it('should require a duration for missing-data rules', async () => {
+      const response = await createRule({
+        name: 'Silent device',
+        scope: { type: 'device_type', deviceType: 'thermostat' },
+        condition: { type: 'missing_data' }
+      }).expect(400);
+
+      expect(response.body.message).toContain('Duration is required');
+    });
+
+    it('should not target devices owned by someone else', async () => {
+      await createRule({
+        name: 'Overheating',
+        scope: { type: 'device', device_id: new mongoose.Types.ObjectId().toString() },
+        condition: { type: 'threshold', event: 'temperature', operator: 'gt', value: 80 }
+      }).expect(404);
+    });
+  });
+
+  describe('Rule evaluation', () => {
+    it('should fire and resolve threshold alerts with hysteresis', async () => {
+      await createRule({
+        name: 'Overheating',
+        scope: { type: 'device_type', deviceType: 'thermostat' },
+        condition: { type: 'threshold', event: 'temperature', operator: 'gt', value: 80, clearValue: 75 },
+        severity: 'critical'
+      }).expect(201);
+
+      await sendLog({ event: 'temperature', value: 90 });
+
+      let alert = await Alert.findOne({ device_id: deviceId });
+      expect(alert.state).toBe('firing');
+      expect(alert.severity).toBe('critical');
+      expect(webSocketService.sendNotification).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ type: 'alert-fired' })
+      );
+
+      // Below the threshold but above clearValue - still firing
+      await sendLog({ event: 'temperature', value: 78 });
+      alert = await Alert.findById(alert._id);
+      expect(alert.state).toBe('firing');
+
+      await sendLog({ event: 'temperature', value: 70 });
+      alert = await Alert.findById(alert._id);
+      expect(alert.state).toBe('resolved');
+      expect(alert.resolution).toBe('condition_cleared');
+      expect(await Alert.countDocuments({ device_id: deviceId })).toBe(1);
+    });
+
+    it('should open a single alert when evaluations race', async () => {
+      const response = await createRule({
+        name: 'Overheating',
+        scope: { type: 'device', device_id: deviceId },
+        condition: { type: 'threshold', event: 'temperature', operator: 'gt', value: 80 }
+      }).expect(201);
+
+      await Alert.init();
+      const rule = await AlertRule.findById(response.body.rule._id);
+      const device = await Device.findById(deviceId);
+      const context = { event: 'temperature', value: 90, at: new Date() };
+
+      const alerts = await Promise.all([
+        fireAlert(rule, device, context),
+        fireAlert(rule, device, context)
+      ]);
+
+      expect(alerts[0]._id.toString()).toBe(alerts[1]._id.toString());
+      expect(await Alert.countDocuments({ device_id: deviceId })).toBe(1);
+      expect(webSocketService.sendNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for the duration before firing', async () => {
+      await createRule({
+        name: 'Sustained heat',
+        scope: { type: 'device', device_id: deviceId },
+        condition: { type: 'threshold', event: 'temperature', operator: 'gte', value: 80 },
+        duration: 300
+      }).expect(201);
+
+      const now = Date.now();
+      await sendLog({ event: 'temperature', value: 85, timestamp: new Date(now - 10 * 60 * 1000).toISOString() });
+      expect(await Alert.countDocuments({ device_id: deviceId })).toBe(0);
+
+      await sendLog({ event: 'temperature', value: 86, timestamp: new Date(now).toISOString() });
+      expect(await Alert.countDocuments({ device_id: deviceId, state: 'firing' })).toBe(1);
+    });
+
+    it('should fire on rapid rate of change', async () => {
+      await createRule({
+        name: 'Temperature spike',
+        scope: { type: 'device', device_id: deviceId },
+        condition: { type: 'rate_of_change', event: 'temperature', operator: 'gt', value: 5 }
+      }).expect(201);
+
+      const now = Date.now();
+      await sendLog({ event: 'temperature', value: 20, timestamp: new Date(now - 60 * 1000).toISOString() });
+      await sendLog({ event: 'temperature', value: 40, timestamp: new Date(now).toISOString() });
+
+      const alert = await Alert.findOne({ device_id: deviceId });
+      expect(alert.state).toBe('firing');
+      expect(alert.value).toBeCloseTo(20);
+    });
+
+    it('should match critical log severities', async () => {
+      await createRule({
+        name: 'Critical events',
+        scope: { type: 'device', device_id: deviceId },
+        condition: { type: 'match', severities: ['critical'] }
+      }).expect(201);
+
+      await sendLog({ event: 'compressor_fault', value: 'E42', severity: 'critical' });
+
+      const alert = await Alert.findOne({ device_id: deviceId });
+      expect(alert.state).toBe('firing');
+      expect(alert.message).toContain('compressor_fault');
+    });
+
+    it('should apply group rules to devices in the group', async () => {
+      await Device.updateOne({ _id: deviceId }, { group: 'basement' });
+
+      await createRule({
+        name: 'Basement heat',
+        scope: { type: 'group', group: 'basement' },
+        condition: { type: 'threshold', event: 'temperature', operator: 'gt', value: 30 }
+      }).expect(201);
+
+      await sendLog({ event: 'temperature', value: 35 });
+
+      expect(await Alert.countDocuments({ device_id: deviceId, state: 'firing' })).toBe(1);
+    });
+
+    it('should fire missing-data alerts and resolve them on heartbeat', async () => {
+      await createRule({
+        name: 'Silent device',
+        scope: { type: 'device', device_id: deviceId },
+        condition: { type: 'missing_data' },
+        duration: 600
+      }).expect(201);
+
+      await Device.updateOne({ _id: deviceId }, { last_active_at: new Date(Date.now() - 60 * 60 * 1000) });
+
+      expect(await checkMissingData()).toBe(1);
+      expect(await checkMissingData()).toBe(0);
+
+      await request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'active' })
+        .expect(200);
+
+      const alert = await Alert.findOne({ device_id: deviceId });
+      expect(alert.state).toBe('resolved');
+      expect(alert.resolution).toBe('data_received');
+    });
+  });
+
+  describe('PATCH /alerts/rules/:ruleId', () => {
+    it('should resolve open alerts when a rule is disabled', async () => {
+      const ruleResponse = await createRule({
+        name: 'Overheating',
+        scope: { type: 'device', device_id: deviceId },
+        condition: { type: 'threshold', event: 'temperature', operator: 'gt', value: 80 }
+      });
+
+      await sendLog({ event: 'temperature', value: 90 });
+
+      await request(app)
+        .patch(`/alerts/rules/${ruleResponse.body.rule._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ enabled: false })
+        .expect(200);
+
+      const alert = await Alert.findOne({ device_id: deviceId });
+      expect(alert.state).toBe('resolved');
+      expect(alert.resolution).toBe('rule_disabled');
+    });
+  });
+
+  describe('Alert lifecycle', () => {
+    let alertId;
+
+    beforeEach(async () => {
+      await createRule({
+        name: 'Overheating',
+        scope: { type: 'device', device_id: deviceId },
+        condition: { type: 'threshold', event: 'temperature', operator: 'gt', value: 80 },
+        severity: 'critical'
+      });
+
+      await sendLog({ event: 'temperature', value: 90 });
+      alertId = (await Alert.findOne({ device_id: deviceId }))._id.toString();
+    });
+
+    it('should list and filter alerts', async () => {
+      const response = await request(app)
+        .get('/alerts')
+        .query({ device_id: deviceId, severity: 'critical', state: 'open' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.alerts).toHaveLength(1);
+      expect(response.body.alerts[0].id).toBe(alertId);
+      expect(response.body.pagination.total).toBe(1);
+
+      const resolved = await request(app)
+        .get('/alerts')
+        .query({ state: 'resolved' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(resolved.body.alerts).toHaveLength(0);
+    });
+
+    it('should acknowledge with a comment and record the timeline', async () => {
+      const response = await request(app)
+        .post(`/alerts/${alertId}/acknowledge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ comment: 'Technician dispatched' })
+        .expect(200);
+
+      expect(response.body.alert.state).toBe('acknowledged');
+      expect(webSocketService.sendNotification).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ type: 'alert-acknowledged' })
+      );
+
+      const details = await request(app)
+        .get(`/alerts/${alertId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { timeline } = details.body.alert;
+      expect(timeline.map(entry => entry.action)).toEqual(['fired', 'acknowledged']);
+      expect(timeline[1].fromState).toBe('firing');
+      expect(timeline[1].comment).toBe('Technician dispatched');
+      expect(timeline[1].actorType).toBe('user');
+    });
+
+    it('should snooze until a time and fire again afterwards', async () => {
+      const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .post(`/alerts/${alertId}/snooze`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ until })
+        .expect(200);
+
+      expect(response.body.alert.state).toBe('snoozed');
+      expect(response.body.alert.snoozedUntil).toBe(until);
+
+      await Alert.updateOne({ _id: alertId }, { snoozedUntil: new Date(Date.now() - 1000) });
+      expect(await wakeSnoozedAlerts()).toBe(1);
+
+      const alert = await Alert.findById(alertId);
+      expect(alert.state).toBe('firing');
+      expect(alert.timeline[alert.timeline.length - 1].action).toBe('unsnoozed');
+    });
+
+    it('should reject snoozes in the past', async () => {
+      const response = await request(app)
+        .post(`/alerts/${alertId}/snooze`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ until: '2020-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Snooze until must be in the future');
+    });
+
+    it('should resolve manually and refuse further transitions', async () => {
+      const response = await request(app)
+        .post(`/alerts/${alertId}/resolve`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ comment: 'Sensor replaced' })
+        .expect(200);
+
+      expect(response.body.alert.state).toBe('resolved');
+      expect(response.body.alert.resolution).toBe('manual');
+
+      await request(app)
+        .post(`/alerts/${alertId}/acknowledge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(409);
+    });
+
+    it('should return 404 for malformed alert ids', async () => {
+      await request(app)
+        .get('/alerts/not-an-id')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      await request(app)
+        .post('/alerts/not-an-id/acknowledge')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Organization = require('../models/Organization');
+const AuditEvent = require('../models/AuditEvent');
+
+describe('Audit log', () => {
+  let adminToken;
+  let userToken;
+
+  const signupAndLogin = async (userData, role = 'user') => {
+    await request(app)
+      .post('/auth/signup')
+      .send(userData);
+    await User.updateOne({ email: userData.email }, { role });
+
+    const loginResponse = await request(app)
+      .post('/auth/login')
+      .send({
+        email: userData.email,
+        password: userData.password
+      });
+
+    return loginResponse.body.accessToken;
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections (audit events are append-only through the model)
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Organization.deleteMany({});
+    await AuditEvent.collection.deleteMany({});
+
+    adminToken = await signupAndLogin({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'SecurePass123'
+    }, 'admin');
+    userToken = await signupAndLogin({
+      name: 'Regular User',
+      email: 'user@example.com',
+      password: 'SecurePass123'
+    });
+  });
+
+  describe('Recording', () => {
+    it('should record login successes and failures', async () => {
+      await request(app)
+        .post('/auth/login')
+        .send({ email: 'user@example.com', password: 'WrongPass123' })
+        .expect(401);
+
+      const failure = await AuditEvent.findOne({ action: 'auth.login_failed' });
+      expect(failure.outcome).toBe('failure');
+      expect(failure.details.reason).toBe('invalid_password');
+
+      const logins = await AuditEvent.find({ action: 'auth.login', outcome: 'success' });
+      expect(logins).toHaveLength(2);
+    });
+
+    it('should record device changes with a diff and the request id', async () => {
+      const created = await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Boiler Sensor', type: 'sensor' })
+        .expect(201);
+
+      const response = await request(app)
+        .patch(`/devices/${created.body.device.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .set('X-Request-Id', 'req-123')
+        .send({ status: 'maintenance' })
+        .expect(200);
+
+      expect(response.headers['x-request-id']).toBe('req-123');
+
+      const event = await AuditEvent.findOne({ action: 'device.updated' });
+      expect(event.requestId).toBe('req-123');
+      expect(event.changes.before).toEqual({ status: 'active' });
+      expect(event.changes.after).toEqual({ status: 'maintenance' });
+
+      await request(app)
+        .delete(`/devices/${created.body.device.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const deleted = await AuditEvent.findOne({ action: 'device.deleted' });
+      expect(deleted.changes.before.name).toBe('Boiler Sensor');
+    });
+
+    it('should reject updates and deletes', async () => {
+      await expect(AuditEvent.updateMany({}, { action: 'tampered' })).rejects.toThrow('Audit events are append-only');
+      await expect(AuditEvent.deleteMany({})).rejects.toThrow('Audit events are append-only');
+
+      const event = await AuditEvent.findOne({});
+      event.action = 'tampered';
+      await expect(event.save()).rejects.toThrow('Audit events are append-only');
+    });
+  });
+
+  describe('GET /audit', () => {
+    it('should require audit:read', async () => {
+      await request(app)
+        .get('/audit')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it('should filter events', async () => {
+      await request(app)
+        .post('/auth/login')
+        .send({ email: 'nobody@example.com', password: 'WrongPass123' })
+        .expect(401);
+
+      const response = await request(app)
+        .get('/audit?action=auth.*&outcome=failure')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.events).toHaveLength(1);
+      expect(response.body.events[0].details.email).toBe('nobody@example.com');
+      expect(response.body.pagination.total).toBe(1);
+    });
+  });
+
+  describe('GET /audit/export', () => {
+    it('should export matching events as CSV', async () => {
+      const response = await request(app)
+        .get('/audit/export?action=auth.login')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      const lines = response.text.trim().split('\n');
+      expect(lines[0]).toMatch(/^Timestamp,Action,Outcome/);
+      expect(lines).toHaveLength(3);
+
+      // The export itself is audited
+      expect(await AuditEvent.findOne({ action: 'audit.exported' })).not.toBeNull();
+    });
+
+    it('should keep spreadsheets from running caller-supplied cells as formulas', async () => {
+      await request(app)
+        .post('/auth/login')
+        .set('User-Agent', '=HYPERLINK("http://evil.example","x")')
+        .send({ email: 'user@example.com', password: 'WrongPass123' });
+
+      const response = await request(app)
+        .get('/audit/export?action=auth.login_failed')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.text).toContain('\'=HYPERLINK(');
+      expect(response.text).not.toMatch(/,"?=HYPERLINK/);
+    });
+  });
+});
@@ -1,12 +1,34 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
+const TokenBlacklist = require('../models/TokenBlacklist');
+const AuditEvent = require('../models/AuditEvent');
+const mailService = require('../services/mailService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const webSocketService = require('../services/websocketService');
 
 describe('Authentication Endpoints', () => {
+  // Stand-in for an open WebSocket connection on an access token's session
+  const connectSocket = (accessToken) => {
+    const socket = {
+      tokenId: null,
+      sessionId: jwt.decode(accessToken).sid,
+      emit: jest.fn(),
+      disconnect: jest.fn()
+    };
+
+    jest.replaceProperty(webSocketService, 'io', { sockets: { sockets: new Map([['socket-id', socket]]) } });
+    return socket;
+  };
+
   beforeAll(async () => {
     // Connect to test database
     await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+
+    // Ended sessions close their sockets (registered on server start)
+    tokenRevocationService.onRevocation(event => webSocketService.disconnectRevoked(event));
   });
 
   afterAll(async () => {
@@ -16,6 +38,11 @@ describe('Authentication Endpoints', () => {
   beforeEach(async () => {
     // Clear users collection before each test
     await User.deleteMany({});
+    mailService.clearOutbox();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
   });
 
   describe('POST /auth/signup', () => {
@@ -180,5 +207,463 @@ describe('Authentication Endpoints', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('required');
     });
+
+    it('should embed platform permissions in the access token', async () => {
+      await User.updateOne({ email: 'john@example.com' }, { role: 'admin' });
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'SecurePass123' })
+        .expect(200);
+
+      const decoded = jwt.decode(response.body.accessToken);
+      expect(decoded.permissions).toEqual(['users:manage']);
+      expect(response.body.user.permissions).toEqual(['users:manage']);
+
+      // A demotion takes effect before the token expires
+      await User.updateOne({ email: 'john@example.com' }, { role: 'user' });
+
+      const profile = await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${response.body.accessToken}`)
+        .expect(200);
+
+      expect(profile.body.permissions).toEqual([]);
+    });
+  });
+
+  describe('Password reset', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/auth/signup')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'SecurePass123'
+        });
+    });
+
+    it('should email a single-use reset token', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'john@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const message = mailService.getLastMessage('john@example.com', 'password-reset');
+      expect(message).not.toBeNull();
+      expect(message.text).toContain(message.data.token);
+
+      await request(app)
+        .post('/auth/reset-password')
+        .send({ token: message.data.token, password: 'NewSecurePass456' })
+        .expect(200);
+
+      // The token cannot be reused
+      await request(app)
+        .post('/auth/reset-password')
+        .send({ token: message.data.token, password: 'OtherSecurePass789' })
+        .expect(400);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'SecurePass123' })
+        .expect(401);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'NewSecurePass456' })
+        .expect(200);
+    });
+
+    it('should end every session and close its sockets on reset', async () => {
+      await TokenBlacklist.deleteMany({});
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'SecurePass123' })
+        .expect(200);
+      const socket = connectSocket(login.body.accessToken);
+
+      await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'john@example.com' })
+        .expect(200);
+
+      const message = mailService.getLastMessage('john@example.com', 'password-reset');
+      await request(app)
+        .post('/auth/reset-password')
+        .send({ token: message.data.token, password: 'NewSecurePass456' })
+        .expect(200);
+
+      expect(socket.disconnect).toHaveBeenCalled();
+      expect(await TokenBlacklist.findOne({ type: 'refresh', reason: 'security' })).not.toBeNull();
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: login.body.refreshToken })
+        .expect(401);
+    });
+
+    it('should not reveal whether an account exists', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(mailService.getLastMessage('nobody@example.com')).toBeNull();
+    });
+  });
+
+  describe('Email verification', () => {
+    const signup = () => {
+      return request(app)
+        .post('/auth/signup')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'SecurePass123'
+        })
+        .expect(201);
+    };
+
+    afterEach(() => {
+      delete process.env.EMAIL_VERIFICATION_REQUIRED;
+    });
+
+    it('should gate login until the email is verified when enforced', async () => {
+      process.env.EMAIL_VERIFICATION_REQUIRED = 'true';
+      await signup();
+
+      const blocked = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'SecurePass123' })
+        .expect(403);
+
+      expect(blocked.body.message).toBe('Email address has not been verified');
+
+      const message = mailService.getLastMessage('john@example.com', 'verify-email');
+
+      await request(app)
+        .post('/auth/verify-email')
+        .send({ token: message.data.token })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'SecurePass123' })
+        .expect(200);
+
+      expect(response.body.user.emailVerified).toBe(true);
+    });
+
+    it('should allow unverified logins when not enforced', async () => {
+      await signup();
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'SecurePass123' })
+        .expect(200);
+
+      expect(response.body.user.emailVerified).toBe(false);
+    });
+
+    it('should replace the previous verification token on resend', async () => {
+      await signup();
+      const first = mailService.getLastMessage('john@example.com', 'verify-email');
+
+      await request(app)
+        .post('/auth/resend-verification')
+        .send({ email: 'john@example.com' })
+        .expect(200);
+
+      const second = mailService.getLastMessage('john@example.com', 'verify-email');
+      expect(second.data.token).not.toBe(first.data.token);
+
+      await request(app)
+        .post('/auth/verify-email')
+        .send({ token: first.data.token })
+        .expect(400);
+
+      await request(app)
+        .post('/auth/verify-email')
+        .send({ token: second.data.token })
+        .expect(200);
+    });
+  });
+
+  describe('Sessions', () => {
+    const loginFrom = (userAgent) => {
+      return request(app)
+        .post('/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ email: 'john@example.com', password: 'SecurePass123' })
+        .expect(200);
+    };
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/auth/signup')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'SecurePass123'
+        });
+    });
+
+    it('should list a session per login with its metadata', async () => {
+      const laptop = await loginFrom('Laptop Browser');
+      await loginFrom('Phone App');
+
+      const response = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .expect(200);
+
+      expect(response.body.sessions).toHaveLength(2);
+
+      const current = response.body.sessions.find(session => session.current);
+      expect(current.userAgent).toBe('Laptop Browser');
+      expect(current.lastUsedAt).toBeDefined();
+      expect(response.body.sessions.filter(session => session.current)).toHaveLength(1);
+    });
+
+    it('should invalidate access and refresh tokens of a revoked session', async () => {
+      const laptop = await loginFrom('Laptop Browser');
+      const phone = await loginFrom('Phone App');
+
+      const sessions = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .expect(200);
+
+      const phoneSession = sessions.body.sessions.find(session => session.userAgent === 'Phone App');
+
+      await request(app)
+        .delete(`/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .expect(200);
+
+      const revoked = await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${phone.body.accessToken}`)
+        .expect(401);
+
+      expect(revoked.body.message).toBe('Session has been revoked');
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: phone.body.refreshToken })
+        .expect(401);
+
+      // Other sessions keep working
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .expect(200);
+    });
+
+    it('should keep the session when tokens are refreshed', async () => {
+      const laptop = await loginFrom('Laptop Browser');
+
+      const refreshed = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: laptop.body.refreshToken })
+        .expect(200);
+
+      expect(jwt.decode(refreshed.body.accessToken).sid).toBe(jwt.decode(laptop.body.accessToken).sid);
+
+      const response = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${refreshed.body.accessToken}`)
+        .expect(200);
+
+      expect(response.body.sessions).toHaveLength(1);
+    });
+
+    it('should revoke the token family when a rotated refresh token is reused', async () => {
+      await TokenBlacklist.deleteMany({});
+      // Audit events are append-only through the model
+      await AuditEvent.collection.deleteMany({});
+
+      const laptop = await loginFrom('Laptop Browser');
+
+      const refreshed = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: laptop.body.refreshToken })
+        .expect(200);
+
+      // Replaying the rotated token revokes the whole session
+      const replay = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: laptop.body.refreshToken })
+        .expect(401);
+
+      expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: refreshed.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${refreshed.body.accessToken}`)
+        .expect(401);
+
+      const blacklisted = await TokenBlacklist.findOne({ token: refreshed.body.refreshToken });
+      expect(blacklisted.reason).toBe('security');
+
+      const event = await AuditEvent.findOne({ action: 'auth.refresh_token_reused' });
+      expect(event.target.id).toBe(jwt.decode(laptop.body.accessToken).sid);
+
+      expect(mailService.getLastMessage('john@example.com', 'refresh-token-reuse')).not.toBeNull();
+    });
+
+    it('should end every session on logout-all', async () => {
+      const laptop = await loginFrom('Laptop Browser');
+      const phone = await loginFrom('Phone App');
+
+      await request(app)
+        .post('/auth/logout-all')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${phone.body.accessToken}`)
+        .expect(401);
+    });
+
+    it('should close sockets and revoke refresh tokens of sessions ended by logout-all', async () => {
+      await TokenBlacklist.deleteMany({});
+      const laptop = await loginFrom('Laptop Browser');
+      const phone = await loginFrom('Phone App');
+      const socket = connectSocket(phone.body.accessToken);
+
+      await request(app)
+        .post('/auth/logout-all')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .expect(200);
+
+      expect(socket.emit).toHaveBeenCalledWith('notification', expect.objectContaining({ type: 'token-revoked' }));
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+      expect(await TokenBlacklist.countDocuments({ type: 'refresh', reason: 'logout' })).toBe(2);
+    });
+
+    it('should revoke logged out access tokens by their jti', async () => {
+      await TokenBlacklist.deleteMany({});
+      const laptop = await loginFrom('Laptop Browser');
+      const { jti } = jwt.decode(laptop.body.accessToken);
+
+      expect(jti).toBeDefined();
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .send({ accessToken: laptop.body.accessToken })
+        .expect(200);
+
+      const blacklisted = await TokenBlacklist.findOne({ jti });
+      expect(blacklisted.type).toBe('access');
+
+      const response = await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Token has been revoked');
+    });
+  });
+
+  describe('Credential changes', () => {
+    let laptop;
+    let phone;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/auth/signup')
+        .send({
+          name: 'John Doe',
+          email: 'john@example.com',
+          password: 'SecurePass123'
+        });
+
+      laptop = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'SecurePass123' });
+      phone = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'SecurePass123' });
+    });
+
+    it('should change the password and sign out other sessions', async () => {
+      await request(app)
+        .post('/auth/change-password')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .send({ currentPassword: 'WrongPass123', newPassword: 'NewSecurePass456' })
+        .expect(401);
+
+      await request(app)
+        .post('/auth/change-password')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .send({ currentPassword: 'SecurePass123', newPassword: 'weak' })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/auth/change-password')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .send({ currentPassword: 'SecurePass123', newPassword: 'NewSecurePass456' })
+        .expect(200);
+
+      expect(response.body.revokedSessions).toBe(1);
+
+      // The current session survives, the other one does not
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${phone.body.accessToken}`)
+        .expect(401);
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: phone.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'NewSecurePass456' })
+        .expect(200);
+    });
+
+    it('should require the password to change the email and re-verify it', async () => {
+      await request(app)
+        .put('/auth/profile')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .send({ email: 'john.doe@example.com' })
+        .expect(400);
+
+      await request(app)
+        .put('/auth/profile')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .send({ email: 'john.doe@example.com', currentPassword: 'WrongPass123' })
+        .expect(401);
+
+      const response = await request(app)
+        .put('/auth/profile')
+        .set('Authorization', `Bearer ${laptop.body.accessToken}`)
+        .send({ email: 'john.doe@example.com', currentPassword: 'SecurePass123' })
+        .expect(200);
+
+      expect(response.body.user.email).toBe('john.doe@example.com');
+      expect(response.body.user.emailVerified).toBe(false);
+      expect(mailService.getLastMessage('john.doe@example.com', 'verify-email')).not.toBeNull();
+      expect(mailService.getLastMessage('john@example.com', 'email-changed')).not.toBeNull();
+    });
   });
 });
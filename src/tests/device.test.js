@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const app = require('../server');
 const User = require('../models/User');
 const Device = require('../models/Device');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
 
 describe('Device Management Endpoints', () => {
   let authToken;
@@ -20,6 +21,7 @@ describe('Device Management Endpoints', () => {
     // Clear collections
     await User.deleteMany({});
     await Device.deleteMany({});
+    await IdempotencyRecord.deleteMany({});
 
     // Create test user and get auth token
     const userData = {
@@ -310,6 +312,66 @@ describe('Device Management Endpoints', () => {
       expect(response.body.last_active_at).toBeDefined();
     });
 
+    it('should replay the original response for a retried Idempotency-Key', async () => {
+      const first = await request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'heartbeat-1')
+        .send({ status: 'active' })
+        .expect(200);
+
+      const retry = await request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'heartbeat-1')
+        .send({ status: 'active' })
+        .expect(200);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.last_active_at).toBe(first.body.last_active_at);
+    });
+
+    it('should let a retry take over a key whose request never finished', async () => {
+      const heartbeat = () => request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'heartbeat-3')
+        .send({ status: 'active' });
+
+      await heartbeat().expect(200);
+
+      // As if the first request had crashed before answering
+      await IdempotencyRecord.updateOne(
+        { key: 'heartbeat-3' },
+        { status: 'processing', response: null, lockedUntil: new Date(Date.now() + 60 * 1000) }
+      );
+      await heartbeat().expect(409);
+
+      await IdempotencyRecord.updateOne({ key: 'heartbeat-3' }, { lockedUntil: new Date(Date.now() - 1000) });
+      const retry = await heartbeat().expect(200);
+
+      expect(retry.headers['idempotent-replayed']).toBeUndefined();
+      expect((await IdempotencyRecord.findOne({ key: 'heartbeat-3' })).status).toBe('completed');
+    });
+
+    it('should reject an Idempotency-Key reused with a different body', async () => {
+      await request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'heartbeat-2')
+        .send({ status: 'active' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'heartbeat-2')
+        .send({ status: 'maintenance' })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+    });
+
     it('should validate heartbeat status', async () => {
       const heartbeatData = {
         status: 'invalid_status'
@@ -325,4 +387,157 @@ describe('Device Management Endpoints', () => {
       expect(response.body.message).toContain('Status');
     });
   });
+
+  describe('Device API keys', () => {
+    let deviceId;
+    let deviceKey;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Smart Meter', type: 'smart_meter' });
+
+      deviceId = response.body.device.id;
+      deviceKey = response.body.apiKey.key;
+    });
+
+    it('should issue an API key when a device is created', async () => {
+      expect(deviceKey).toMatch(/^sdk_/);
+
+      const device = await Device.findById(deviceId).select('+apiKeys.keyHash');
+      expect(device.apiKeys).toHaveLength(1);
+      expect(device.apiKeys[0].keyHash).not.toBe(deviceKey);
+    });
+
+    it('should accept a heartbeat authenticated with the device key', async () => {
+      const response = await request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('X-Device-Key', deviceKey)
+        .send({ status: 'active' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.last_active_at).toBeDefined();
+    });
+
+    it('should accept a log entry authenticated with the device key', async () => {
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('X-Device-Key', deviceKey)
+        .send({ event: 'units_consumed', value: 2.5 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.log.event).toBe('units_consumed');
+    });
+
+    it('should record key use at most once per minute', async () => {
+      const heartbeat = () => request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('X-Device-Key', deviceKey)
+        .send({ status: 'active' })
+        .expect(200);
+
+      await heartbeat();
+
+      const response = await request(app)
+        .get(`/devices/${deviceId}/keys`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [key] = response.body.keys;
+      expect(key.keyId).toBe(deviceKey.split('_')[1]);
+      expect(key.lastUsedAt).not.toBeNull();
+      expect(key.lastUsedIp).toBeDefined();
+
+      await heartbeat();
+
+      const device = await Device.findById(deviceId);
+      expect(device.apiKeys[0].lastUsedAt.toISOString()).toBe(key.lastUsedAt);
+    });
+
+    it('should reject a device key used for another device', async () => {
+      const other = await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Other Device', type: 'light' });
+
+      const response = await request(app)
+        .post(`/devices/${other.body.device.id}/heartbeat`)
+        .set('X-Device-Key', deviceKey)
+        .send({ status: 'active' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not allow a device key on user-only endpoints', async () => {
+      const response = await request(app)
+        .delete(`/devices/${deviceId}`)
+        .set('X-Device-Key', deviceKey)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should list keys without exposing secrets', async () => {
+      const response = await request(app)
+        .get(`/devices/${deviceId}/keys`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.keys).toHaveLength(1);
+      expect(response.body.keys[0].active).toBe(true);
+      expect(response.body.keys[0].key).toBeUndefined();
+      expect(response.body.keys[0].keyHash).toBeUndefined();
+    });
+
+    it('should rotate a key and reject the old one', async () => {
+      const keyId = deviceKey.split('_')[1];
+
+      const rotated = await request(app)
+        .post(`/devices/${deviceId}/keys/${keyId}/rotate`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(rotated.body.key.key).toMatch(/^sdk_/);
+      expect(rotated.body.revokedKeyId).toBe(keyId);
+
+      await request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('X-Device-Key', deviceKey)
+        .send({ status: 'active' })
+        .expect(401);
+
+      await request(app)
+        .post(`/devices/${deviceId}/heartbeat`)
+        .set('X-Device-Key', rotated.body.key.key)
+        .send({ status: 'active' })
+        .expect(200);
+    });
+
+    it('should revoke a key and record it in the audit trail', async () => {
+      const keyId = deviceKey.split('_')[1];
+
+      await request(app)
+        .delete(`/devices/${deviceId}/keys/${keyId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('X-Device-Key', deviceKey)
+        .send({ event: 'units_consumed', value: 1 })
+        .expect(401);
+
+      const audit = await request(app)
+        .get(`/devices/${deviceId}/audit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(audit.body.auditTrail[0].action).toBe('api_key.revoked');
+      expect(audit.body.auditTrail[0].details.keyId).toBe(keyId);
+    });
+  });
 });
@@ -0,0 +1,208 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+
+describe('Invitations', () => {
+  let adminToken;
+  let admin;
+
+  const invite = (data) => {
+    return request(app)
+      .post('/invitations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(data);
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Organization.deleteMany({});
+    await Invitation.deleteMany({});
+
+    // Create a platform admin (admins can no longer sign up directly)
+    await request(app)
+      .post('/auth/signup')
+      .send({
+        name: 'Admin User',
+        email: 'admin@example.com',
+        password: 'SecurePass123'
+      });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+
+    const loginResponse = await request(app)
+      .post('/auth/login')
+      .send({
+        email: 'admin@example.com',
+        password: 'SecurePass123'
+      });
+
+    adminToken = loginResponse.body.token;
+    admin = loginResponse.body.user;
+  });
+
+  describe('POST /auth/signup', () => {
+    it('should reject a self-assigned admin role', async () => {
+      const response = await request(app)
+        .post('/auth/signup')
+        .send({
+          name: 'Sneaky User',
+          email: 'sneaky@example.com',
+          password: 'SecurePass123',
+          role: 'admin'
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(await User.findOne({ email: 'sneaky@example.com' })).toBeNull();
+    });
+  });
+
+  describe('POST /invitations', () => {
+    it('should require users:manage', async () => {
+      await request(app)
+        .post('/auth/signup')
+        .send({
+          name: 'Regular User',
+          email: 'regular@example.com',
+          password: 'SecurePass123'
+        });
+
+      const loginResponse = await request(app)
+        .post('/auth/login')
+        .send({
+          email: 'regular@example.com',
+          password: 'SecurePass123'
+        });
+
+      await request(app)
+        .post('/invitations')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .send({ email: 'new@example.com', role: 'admin' })
+        .expect(403);
+    });
+  });
+
+  describe('POST /invitations/accept', () => {
+    it('should create an admin account from an invitation', async () => {
+      const invitation = await invite({ email: 'new-admin@example.com', role: 'admin' }).expect(201);
+
+      expect(invitation.body.token).toBeDefined();
+      expect(invitation.body.invitation.status).toBe('pending');
+      expect(invitation.body.invitation.tokenHash).toBeUndefined();
+
+      const response = await request(app)
+        .post('/invitations/accept')
+        .send({
+          token: invitation.body.token,
+          name: 'New Admin',
+          password: 'SecurePass123'
+        })
+        .expect(201);
+
+      expect(response.body.user.email).toBe('new-admin@example.com');
+      expect(response.body.user.role).toBe('admin');
+
+      // The token cannot be used twice
+      await request(app)
+        .post('/invitations/accept')
+        .send({
+          token: invitation.body.token,
+          name: 'New Admin',
+          password: 'SecurePass123'
+        })
+        .expect(404);
+    });
+
+    it('should link an existing account and add the organization membership', async () => {
+      await request(app)
+        .post('/auth/signup')
+        .send({
+          name: 'Existing User',
+          email: 'existing@example.com',
+          password: 'SecurePass123'
+        });
+
+      const organization = await request(app)
+        .post('/organizations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Facilities' })
+        .expect(201);
+
+      const orgId = organization.body.organization.id;
+
+      const invitation = await invite({
+        email: 'existing@example.com',
+        organization_id: orgId,
+        organizationRole: 'operator'
+      }).expect(201);
+
+      const response = await request(app)
+        .post('/invitations/accept')
+        .send({
+          token: invitation.body.token,
+          password: 'SecurePass123'
+        })
+        .expect(200);
+
+      expect(response.body.user.role).toBe('user');
+      expect(response.body.organization.role).toBe('operator');
+
+      const stored = await Organization.findById(orgId);
+      expect(stored.getMember(response.body.user.id).role).toBe('operator');
+    });
+
+    it('should reject revoked and expired invitations', async () => {
+      const revoked = await invite({ email: 'revoked@example.com' }).expect(201);
+
+      await request(app)
+        .delete(`/invitations/${revoked.body.invitation.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/invitations/accept')
+        .send({ token: revoked.body.token, name: 'Revoked User', password: 'SecurePass123' })
+        .expect(404);
+
+      const expired = await invite({ email: 'expired@example.com' }).expect(201);
+      await Invitation.updateOne({ _id: expired.body.invitation.id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/invitations/accept')
+        .send({ token: expired.body.token, name: 'Expired User', password: 'SecurePass123' })
+        .expect(404);
+    });
+  });
+
+  describe('GET /invitations', () => {
+    it('should filter invitations by status', async () => {
+      await invite({ email: 'pending@example.com' }).expect(201);
+      const revoked = await invite({ email: 'revoked@example.com' }).expect(201);
+
+      await request(app)
+        .delete(`/invitations/${revoked.body.invitation.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/invitations?status=pending')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.invitations).toHaveLength(1);
+      expect(response.body.invitations[0].email).toBe('pending@example.com');
+      expect(response.body.invitations[0].invitedBy).toBe(admin.id);
+    });
+  });
+});
@@ -0,0 +1,424 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Log = require('../models/Log');
+const LogRollup = require('../models/LogRollup');
+const { rebuildRollups, backfillRollups } = require('../services/rollupService');
+
+describe('Log Endpoints', () => {
+  let authToken;
+  let deviceId;
+  let deviceKey;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Log.deleteMany({});
+    await LogRollup.deleteMany({});
+
+    // Create test user and get auth token
+    const userData = {
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'SecurePass123'
+    };
+
+    await request(app)
+      .post('/auth/signup')
+      .send(userData);
+
+    const loginResponse = await request(app)
+      .post('/auth/login')
+      .send({
+        email: userData.email,
+        password: userData.password
+      });
+
+    authToken = loginResponse.body.token;
+
+    const deviceResponse = await request(app)
+      .post('/devices')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Smart Meter', type: 'smart_meter' });
+
+    deviceId = deviceResponse.body.device.id;
+    deviceKey = deviceResponse.body.apiKey.key;
+  });
+
+  describe('POST /devices/:id/logs', () => {
+    it('should use the server receive time when no timestamp is sent', async () => {
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ event: 'units_consumed', value: 1 })
+        .expect(201);
+
+      expect(response.body.log.timestamp).toBe(response.body.log.receivedAt);
+      expect(response.body.log.late).toBe(false);
+    });
+
+    it('should keep a device-supplied timestamp and flag late data', async () => {
+      const timestamp = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ event: 'units_consumed', value: 1, timestamp })
+        .expect(201);
+
+      expect(response.body.log.timestamp).toBe(timestamp);
+      expect(response.body.log.late).toBe(true);
+      expect(new Date(response.body.log.receivedAt).getTime()).toBeGreaterThan(new Date(timestamp).getTime());
+    });
+
+    it('should reject timestamps too far in the future', async () => {
+      const timestamp = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ event: 'units_consumed', value: 1, timestamp })
+        .expect(400);
+
+      expect(response.body.message).toBe('Timestamp is too far in the future');
+    });
+
+    it('should reject timestamps older than the backfill limit', async () => {
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ event: 'units_consumed', value: 1, timestamp: '2000-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Timestamp is older than the maximum backfill age');
+    });
+  });
+
+  describe('Idempotent log ingestion', () => {
+    it('should acknowledge a retried message_id with the original log', async () => {
+      const payload = { event: 'units_consumed', value: 4, message_id: 'msg-001' };
+
+      const first = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(payload)
+        .expect(201);
+
+      const retry = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(payload)
+        .expect(200);
+
+      expect(retry.body.duplicate).toBe(true);
+      expect(retry.body.log.id).toBe(first.body.log.id);
+      expect(await Log.countDocuments({ device_id: deviceId })).toBe(1);
+    });
+
+    it('should accept the Idempotency-Key header as the message ID', async () => {
+      const payload = { event: 'units_consumed', value: 4 };
+
+      await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'retry-key-1')
+        .send(payload)
+        .expect(201);
+
+      const retry = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'retry-key-1')
+        .send(payload)
+        .expect(200);
+
+      expect(retry.body.duplicate).toBe(true);
+      expect(await Log.countDocuments({ device_id: deviceId })).toBe(1);
+    });
+
+    it('should mark repeated message IDs in a batch as duplicates', async () => {
+      await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ event: 'units_consumed', value: 1, message_id: 'stored' });
+
+      const events = [
+        { event: 'units_consumed', value: 1, message_id: 'stored' },
+        { event: 'units_consumed', value: 2, message_id: 'new' },
+        { event: 'units_consumed', value: 2, message_id: 'new' }
+      ];
+
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs/batch`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ events })
+        .expect(201);
+
+      expect(response.body.accepted).toBe(1);
+      expect(response.body.duplicates).toBe(2);
+      expect(response.body.results[2].id).toBe(response.body.results[1].id);
+      expect(await Log.countDocuments({ device_id: deviceId })).toBe(2);
+    });
+  });
+
+  describe('POST /devices/:id/logs/batch', () => {
+    it('should store all valid events in one request', async () => {
+      const firstTimestamp = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      const events = [
+        { event: 'units_consumed', value: 1.5, timestamp: firstTimestamp },
+        { event: 'units_consumed', value: 2.5, timestamp: new Date().toISOString() }
+      ];
+
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs/batch`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ events })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.accepted).toBe(2);
+      expect(response.body.rejected).toBe(0);
+
+      const logs = await Log.find({ device_id: deviceId }).sort({ timestamp: 1 });
+      expect(logs).toHaveLength(2);
+      expect(logs[0].timestamp.toISOString()).toBe(firstTimestamp);
+    });
+
+    it('should report per-item results on partial failure', async () => {
+      const events = [
+        { event: 'units_consumed', value: 1 },
+        { value: 2 },
+        { event: 'units_consumed', value: 3, severity: 'unknown' }
+      ];
+
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs/batch`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ events })
+        .expect(207);
+
+      expect(response.body.accepted).toBe(1);
+      expect(response.body.rejected).toBe(2);
+      expect(response.body.results[0].status).toBe('accepted');
+      expect(response.body.results[1].status).toBe('rejected');
+      expect(response.body.results[1].error).toContain('Event type is required');
+      expect(response.body.results[2].error).toContain('Severity');
+    });
+
+    it('should validate the batch envelope', async () => {
+      const response = await request(app)
+        .post(`/devices/${deviceId}/logs/batch`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ events: [] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('at least one event');
+    });
+  });
+
+  describe('POST /devices/logs/batch', () => {
+    it('should store events for owned devices and reject the rest', async () => {
+      const otherId = new mongoose.Types.ObjectId().toString();
+      const events = [
+        { device_id: deviceId, event: 'units_consumed', value: 1 },
+        { device_id: otherId, event: 'units_consumed', value: 2 }
+      ];
+
+      const response = await request(app)
+        .post('/devices/logs/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ events })
+        .expect(207);
+
+      expect(response.body.results[0].status).toBe('accepted');
+      expect(response.body.results[1].status).toBe('rejected');
+      expect(response.body.results[1].error).toBe('Device not found');
+    });
+
+    it('should accept a device key for its own device only', async () => {
+      const otherId = new mongoose.Types.ObjectId().toString();
+      const events = [
+        { device_id: deviceId, event: 'units_consumed', value: 1 },
+        { device_id: otherId, event: 'units_consumed', value: 2 }
+      ];
+
+      const response = await request(app)
+        .post('/devices/logs/batch')
+        .set('X-Device-Key', deviceKey)
+        .send({ events })
+        .expect(207);
+
+      expect(response.body.results[0].status).toBe('accepted');
+      expect(response.body.results[1].status).toBe('rejected');
+      expect(await Log.countDocuments({ device_id: deviceId })).toBe(1);
+    });
+  });
+
+  describe('Log rollups', () => {
+    it('should fold ingested logs into every rollup resolution', async () => {
+      const events = [
+        { event: 'units_consumed', value: 2 },
+        { event: 'units_consumed', value: 5 }
+      ];
+
+      await request(app)
+        .post(`/devices/${deviceId}/logs/batch`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ events })
+        .expect(201);
+
+      const rollups = await LogRollup.find({ device_id: deviceId, event: 'units_consumed' });
+      expect(rollups.map(rollup => rollup.resolution).sort()).toEqual(['day', 'hour', 'minute']);
+      rollups.forEach(rollup => {
+        expect(rollup.sum).toBe(7);
+        expect(rollup.count).toBe(2);
+        expect(rollup.max).toBe(5);
+      });
+    });
+
+    it('should report usage totals from rollups', async () => {
+      await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ event: 'units_consumed', value: 3 })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/devices/${deviceId}/usage`)
+        .query({ range: '24h' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.total_units).toBe(3);
+      expect(response.body.resolution).toBe('minute');
+    });
+
+    it('should backfill rollups for logs stored before rollups existed', async () => {
+      // Written directly, like logs from before the upgrade
+      await Log.create([
+        { device_id: deviceId, event: 'units_consumed', value: 4, timestamp: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) },
+        { device_id: deviceId, event: 'units_consumed', value: 6, timestamp: new Date(Date.now() - 60 * 60 * 1000) }
+      ]);
+
+      expect(await backfillRollups()).not.toBeNull();
+      // Already covered, so a restart does not rebuild again
+      expect(await backfillRollups()).toBeNull();
+
+      const response = await request(app)
+        .get(`/devices/${deviceId}/usage`)
+        .query({ range: '7d' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.total_units).toBe(10);
+    });
+  });
+
+  describe('GET /devices/:id/metrics', () => {
+    const start = new Date('2024-01-15T10:00:00Z');
+
+    beforeEach(async () => {
+      const readings = [10, 20, 30, 40, 50, 60];
+      await Log.insertMany(readings.map((value, i) => ({
+        device_id: deviceId,
+        event: 'temperature',
+        value,
+        // Three readings in each of the first two hours
+        timestamp: new Date(start.getTime() + Math.floor(i / 3) * 60 * 60 * 1000 + (i % 3) * 60 * 1000)
+      })));
+    });
+
+    it('should return bucketed series for the requested functions', async () => {
+      const response = await request(app)
+        .get(`/devices/${deviceId}/metrics`)
+        .query({
+          event: 'temperature',
+          start: '2024-01-15T10:00:00Z',
+          end: '2024-01-15T12:00:00Z',
+          interval: '1h',
+          functions: 'sum,avg,min,max,count,last,p50'
+        })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.source).toBe('raw');
+      expect(response.body.series).toHaveLength(2);
+      expect(response.body.series[0]).toEqual({
+        timestamp: '2024-01-15T10:00:00.000Z',
+        sum: 60,
+        avg: 20,
+        min: 10,
+        max: 30,
+        count: 3,
+        last: 30,
+        p50: 20
+      });
+      expect(response.body.series[1].sum).toBe(150);
+    });
+
+    it('should answer from hourly rollups when no percentiles are requested', async () => {
+      await rebuildRollups({ start, end: new Date('2024-01-15T12:00:00Z') });
+
+      const response = await request(app)
+        .get(`/devices/${deviceId}/metrics`)
+        .query({
+          event: 'temperature',
+          start: '2024-01-15T10:00:00Z',
+          end: '2024-01-15T12:00:00Z',
+          interval: '1h',
+          functions: 'sum,avg,min,max,count,last'
+        })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.source).toBe('rollup');
+      expect(response.body.resolution).toBe('hour');
+      expect(response.body.series[0]).toEqual({
+        timestamp: '2024-01-15T10:00:00.000Z',
+        sum: 60,
+        avg: 20,
+        min: 10,
+        max: 30,
+        count: 3,
+        last: 30
+      });
+    });
+
+    it('should require an event name', async () => {
+      const response = await request(app)
+        .get(`/devices/${deviceId}/metrics`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toContain('Event is required');
+    });
+
+    it('should reject ranges with too many buckets', async () => {
+      const response = await request(app)
+        .get(`/devices/${deviceId}/metrics`)
+        .query({
+          event: 'temperature',
+          start: '2023-01-01T00:00:00Z',
+          end: '2024-01-01T00:00:00Z',
+          interval: '1m'
+        })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toContain('use a larger interval');
+    });
+  });
+});
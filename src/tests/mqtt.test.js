@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Log = require('../models/Log');
+const mqttService = require('../services/mqttService');
+const webSocketService = require('../services/websocketService');
+
+describe('MQTT Ingestion Bridge', () => {
+  let device;
+  let apiKey;
+  let client;
+
+  // Authenticate a fake client against the in-process broker
+  const connect = (username, password) => {
+    const fakeClient = { id: 'test-client', close: jest.fn() };
+    return new Promise(resolve => {
+      mqttService.authenticate(fakeClient, username, Buffer.from(password), (error, success) => {
+        resolve({ client: fakeClient, error, success });
+      });
+    });
+  };
+
+  const publish = (topic, payload) => {
+    return mqttService.handlePublish(
+      { topic, payload: Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload)) },
+      client
+    );
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+    mqttService.initialize();
+  });
+
+  afterAll(async () => {
+    await mqttService.close();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Log.deleteMany({});
+
+    jest.spyOn(webSocketService, 'broadcastDeviceHeartbeat').mockImplementation(() => {});
+    jest.spyOn(webSocketService, 'broadcastDeviceStatusUpdate').mockImplementation(() => {});
+
+    const user = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'SecurePass123'
+    });
+
+    device = new Device({ name: 'Smart Meter', type: 'smart_meter', owner_id: user._id });
+    apiKey = device.generateApiKey().apiKey;
+    await device.save();
+
+    ({ client } = await connect(device._id.toString(), apiKey));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should authenticate a device with its id and API key', async () => {
+    expect(client.device._id.toString()).toBe(device._id.toString());
+  });
+
+  it('should reject a key presented for another device id', async () => {
+    const result = await connect(new mongoose.Types.ObjectId().toString(), apiKey);
+
+    expect(result.success).toBe(false);
+    expect(result.error.returnCode).toBe(4);
+  });
+
+  it('should store telemetry through the log ingestion logic', async () => {
+    await publish(`devices/${device._id}/telemetry`, { event: 'units_consumed', value: 3, message_id: 'm-1' });
+    await publish(`devices/${device._id}/telemetry`, { event: 'units_consumed', value: 3, message_id: 'm-1' });
+
+    const logs = await Log.find({ device_id: device._id });
+    expect(logs).toHaveLength(1);
+    expect(logs[0].value).toBe(3);
+  });
+
+  it('should store batched telemetry', async () => {
+    await publish(`devices/${device._id}/telemetry`, {
+      events: [
+        { event: 'units_consumed', value: 1 },
+        { event: 'units_consumed', value: 2 }
+      ]
+    });
+
+    expect(await Log.countDocuments({ device_id: device._id })).toBe(2);
+  });
+
+  it('should record heartbeats and broadcast them', async () => {
+    await publish(`devices/${device._id}/heartbeat`, { status: 'active' });
+
+    const updated = await Device.findById(device._id);
+    expect(updated.last_active_at).toBeTruthy();
+    expect(webSocketService.broadcastDeviceHeartbeat).toHaveBeenCalled();
+  });
+
+  it('should apply plain-text status messages', async () => {
+    await publish(`devices/${device._id}/status`, 'offline');
+
+    const updated = await Device.findById(device._id);
+    expect(updated.status).toBe('offline');
+    expect(updated.isOnline).toBe(false);
+    expect(webSocketService.broadcastDeviceStatusUpdate).toHaveBeenCalled();
+  });
+
+  it('should disconnect clients whose key was revoked', async () => {
+    const stored = await Device.findById(device._id).select('+apiKeys.keyHash');
+    stored.revokeApiKey(client.deviceKeyId);
+    await stored.save();
+
+    await publish(`devices/${device._id}/heartbeat`, { status: 'active' });
+
+    expect(client.close).toHaveBeenCalled();
+    expect(webSocketService.broadcastDeviceHeartbeat).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,278 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Organization = require('../models/Organization');
+const ApiClient = require('../models/ApiClient');
+const AuditEvent = require('../models/AuditEvent');
+
+describe('OAuth client credentials', () => {
+  let adminToken;
+  let userToken;
+  let organizationId;
+  let client;
+  let clientSecret;
+
+  const signupAndLogin = async (userData, role = 'user') => {
+    await request(app)
+      .post('/auth/signup')
+      .send(userData);
+    await User.updateOne({ email: userData.email }, { role });
+
+    const loginResponse = await request(app)
+      .post('/auth/login')
+      .send({
+        email: userData.email,
+        password: userData.password
+      });
+
+    return loginResponse.body.accessToken;
+  };
+
+  const requestToken = (fields = {}) => {
+    return request(app)
+      .post('/oauth/token')
+      .send({
+        grant_type: 'client_credentials',
+        client_id: client.clientId,
+        client_secret: clientSecret,
+        ...fields
+      });
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections (audit events are append-only through the model)
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Organization.deleteMany({});
+    await ApiClient.deleteMany({});
+    await AuditEvent.collection.deleteMany({});
+
+    adminToken = await signupAndLogin({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'SecurePass123'
+    }, 'admin');
+    userToken = await signupAndLogin({
+      name: 'Regular User',
+      email: 'user@example.com',
+      password: 'SecurePass123'
+    });
+
+    // The user's personal organization, with one device in it
+    await request(app)
+      .post('/devices')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Boiler Sensor', type: 'sensor' });
+    const organizations = await request(app)
+      .get('/organizations')
+      .set('Authorization', `Bearer ${userToken}`);
+    organizationId = organizations.body.organizations[0].id;
+
+    const registered = await request(app)
+      .post('/oauth/clients')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Reporting Service',
+        scopes: ['devices:read', 'logs:read'],
+        organization_id: organizationId
+      });
+    client = registered.body.client;
+    clientSecret = registered.body.clientSecret;
+  });
+
+  describe('POST /oauth/clients', () => {
+    it('should register a client and only return the secret once', async () => {
+      expect(client.clientId).toMatch(/^cli_[0-9a-f]{24}$/);
+      expect(clientSecret).toMatch(/^cs_[0-9a-f]{64}$/);
+      expect(client.secretHash).toBeUndefined();
+      expect(client.status).toBe('active');
+
+      const response = await request(app)
+        .get('/oauth/clients')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.clients).toHaveLength(1);
+      expect(response.body.clients[0].secretHash).toBeUndefined();
+    });
+
+    it('should require users:manage', async () => {
+      await request(app)
+        .post('/oauth/clients')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Rogue Client', scopes: ['devices:read'] })
+        .expect(403);
+    });
+
+    it('should reject unknown scopes', async () => {
+      const response = await request(app)
+        .post('/oauth/clients')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Greedy Client', scopes: ['users:manage'] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /oauth/token', () => {
+    it('should issue a bearer token with the client scopes', async () => {
+      const response = await requestToken().expect(200);
+
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body.token_type).toBe('Bearer');
+      expect(response.body.expires_in).toBe(3600);
+      expect(response.body.scope).toBe('devices:read logs:read');
+      expect(response.body.access_token).toBeDefined();
+    });
+
+    it('should accept HTTP Basic client authentication', async () => {
+      const credentials = Buffer.from(`${client.clientId}:${clientSecret}`).toString('base64');
+
+      const response = await request(app)
+        .post('/oauth/token')
+        .set('Authorization', `Basic ${credentials}`)
+        .send({ grant_type: 'client_credentials', scope: 'devices:read' })
+        .expect(200);
+
+      expect(response.body.scope).toBe('devices:read');
+    });
+
+    it('should reject malformed HTTP Basic credentials', async () => {
+      const credentials = Buffer.from(`${client.clientId}:%E0%A4%A`).toString('base64');
+
+      const response = await request(app)
+        .post('/oauth/token')
+        .set('Authorization', `Basic ${credentials}`)
+        .send({ grant_type: 'client_credentials' })
+        .expect(401);
+
+      expect(response.body.error).toBe('invalid_client');
+    });
+
+    it('should reject an invalid secret', async () => {
+      const response = await requestToken({ client_secret: 'cs_wrong' }).expect(401);
+
+      expect(response.body.error).toBe('invalid_client');
+
+      const failure = await AuditEvent.findOne({ action: 'oauth.token_failed' });
+      expect(failure.outcome).toBe('failure');
+      expect(failure.target.id).toBe(client.clientId);
+    });
+
+    it('should reject scopes the client was not granted', async () => {
+      const response = await requestToken({ scope: 'devices:read exports:create' }).expect(400);
+
+      expect(response.body.error).toBe('invalid_scope');
+    });
+
+    it('should reject other grant types', async () => {
+      const response = await requestToken({ grant_type: 'password' }).expect(400);
+
+      expect(response.body.error).toBe('unsupported_grant_type');
+    });
+  });
+
+  describe('Client tokens', () => {
+    let accessToken;
+
+    beforeEach(async () => {
+      const response = await requestToken();
+      accessToken = response.body.access_token;
+    });
+
+    it('should read devices in the client organization', async () => {
+      const response = await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.devices).toHaveLength(1);
+      expect(response.body.devices[0].organization_id).toBe(organizationId);
+    });
+
+    it('should be limited to the token scopes', async () => {
+      await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Client Device', type: 'sensor' })
+        .expect(403);
+    });
+
+    it('should be rejected by user-only endpoints', async () => {
+      const response = await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('This endpoint requires a user token');
+    });
+
+    it('should lose scopes removed from the client', async () => {
+      await request(app)
+        .patch(`/oauth/clients/${client.clientId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ scopes: ['logs:read'] })
+        .expect(200);
+
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(403);
+    });
+
+    it('should stop working once the client is revoked', async () => {
+      await request(app)
+        .delete(`/oauth/clients/${client.clientId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+
+      const response = await requestToken().expect(401);
+      expect(response.body.error).toBe('invalid_client');
+    });
+
+    it('should attribute requests to the client in the audit log', async () => {
+      const created = await ApiClient.findOne({ clientId: client.clientId });
+
+      const issued = await AuditEvent.findOne({ action: 'oauth.token_issued' });
+      expect(issued.actor.type).toBe('client');
+      expect(issued.actor.id.toString()).toBe(created._id.toString());
+
+      const response = await request(app)
+        .get('/audit?actorType=client')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.events.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('POST /oauth/clients/:clientId/rotate-secret', () => {
+    it('should replace the secret', async () => {
+      const response = await request(app)
+        .post(`/oauth/clients/${client.clientId}/rotate-secret`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.clientSecret).not.toBe(clientSecret);
+
+      await requestToken().expect(401);
+      await requestToken({ client_secret: response.body.clientSecret }).expect(200);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Organization = require('../models/Organization');
+
+describe('Organizations', () => {
+  let ownerToken;
+  let memberToken;
+  let owner;
+  let member;
+
+  const signupAndLogin = async (userData) => {
+    await request(app)
+      .post('/auth/signup')
+      .send(userData);
+
+    const loginResponse = await request(app)
+      .post('/auth/login')
+      .send({
+        email: userData.email,
+        password: userData.password
+      });
+
+    return loginResponse.body;
+  };
+
+  const createOrganization = async () => {
+    const response = await request(app)
+      .post('/organizations')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Facilities' })
+      .expect(201);
+
+    return response.body.organization.id;
+  };
+
+  const addMember = (orgId, role) => {
+    return request(app)
+      .post(`/organizations/${orgId}/members`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'member@example.com', role });
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Organization.deleteMany({});
+
+    // Create an organization owner and a second user to share with
+    const ownerLogin = await signupAndLogin({
+      name: 'Owner User',
+      email: 'owner@example.com',
+      password: 'SecurePass123'
+    });
+    const memberLogin = await signupAndLogin({
+      name: 'Member User',
+      email: 'member@example.com',
+      password: 'SecurePass123'
+    });
+
+    ownerToken = ownerLogin.token;
+    owner = ownerLogin.user;
+    memberToken = memberLogin.token;
+    member = memberLogin.user;
+  });
+
+  describe('Personal organization', () => {
+    it('should create a personal organization and adopt existing devices', async () => {
+      // Device registered before organizations existed
+      await Device.create({ name: 'Legacy Meter', type: 'smart_meter', owner_id: owner.id });
+
+      const response = await request(app)
+        .get('/organizations')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(response.body.organizations).toHaveLength(1);
+      expect(response.body.organizations[0].personal).toBe(true);
+      expect(response.body.organizations[0].role).toBe('owner');
+
+      const devices = await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      expect(devices.body.devices).toHaveLength(1);
+      expect(devices.body.devices[0].organization_id).toBe(response.body.organizations[0].id);
+    });
+  });
+
+  describe('Shared devices', () => {
+    it('should share devices with members of the organization', async () => {
+      const orgId = await createOrganization();
+      await addMember(orgId, 'viewer').expect(201);
+
+      await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Organization-Id', orgId)
+        .send({ name: 'Boiler Sensor', type: 'sensor' })
+        .expect(201);
+
+      const shared = await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .set('X-Organization-Id', orgId)
+        .expect(200);
+
+      expect(shared.body.devices).toHaveLength(1);
+      expect(shared.body.devices[0].owner_id).toBe(owner.id);
+
+      // The member's personal organization stays separate
+      const personal = await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(personal.body.devices).toHaveLength(0);
+    });
+
+    it('should use the selected organization when no header is sent', async () => {
+      const orgId = await createOrganization();
+      await addMember(orgId, 'admin').expect(201);
+
+      await request(app)
+        .post(`/organizations/${orgId}/select`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ name: 'Lobby Camera', type: 'camera' })
+        .expect(201);
+
+      const device = await Device.findOne({ name: 'Lobby Camera' });
+      expect(device.organization_id.toString()).toBe(orgId);
+    });
+
+    it('should enforce member roles', async () => {
+      const orgId = await createOrganization();
+      await addMember(orgId, 'viewer').expect(201);
+
+      const created = await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Organization-Id', orgId)
+        .send({ name: 'Boiler Sensor', type: 'sensor' })
+        .expect(201);
+
+      const deviceId = created.body.device.id;
+
+      const denied = await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .set('X-Organization-Id', orgId)
+        .send({ event: 'temperature', value: 21 })
+        .expect(403);
+
+      expect(denied.body.message).toBe('Access denied - missing permission logs:write');
+
+      await request(app)
+        .patch(`/organizations/${orgId}/members/${member.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'operator' })
+        .expect(200);
+
+      await request(app)
+        .post(`/devices/${deviceId}/logs`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .set('X-Organization-Id', orgId)
+        .send({ event: 'temperature', value: 21 })
+        .expect(201);
+
+      await request(app)
+        .delete(`/devices/${deviceId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .set('X-Organization-Id', orgId)
+        .expect(403);
+    });
+
+    it('should reject organizations the user is not a member of', async () => {
+      const orgId = await createOrganization();
+
+      const response = await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .set('X-Organization-Id', orgId)
+        .expect(403);
+
+      expect(response.body.message).toBe('You are not a member of this organization');
+
+      await request(app)
+        .get(`/organizations/${orgId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Memberships', () => {
+    it('should not let admins grant a role above their own', async () => {
+      const orgId = await createOrganization();
+      await addMember(orgId, 'admin').expect(201);
+
+      const response = await request(app)
+        .patch(`/organizations/${orgId}/members/${member.id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ role: 'owner' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should keep at least one owner', async () => {
+      const orgId = await createOrganization();
+
+      const response = await request(app)
+        .delete(`/organizations/${orgId}/members/${owner.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(409);
+
+      expect(response.body.message).toBe('An organization must keep at least one owner');
+    });
+
+    it('should let members leave', async () => {
+      const orgId = await createOrganization();
+      await addMember(orgId, 'viewer').expect(201);
+
+      await request(app)
+        .delete(`/organizations/${orgId}/members/${member.id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      const organization = await Organization.findById(orgId);
+      expect(organization.getMember(member.id)).toBeNull();
+    });
+  });
+
+  describe('DELETE /organizations/:orgId', () => {
+    it('should refuse to delete an organization that still has devices', async () => {
+      const orgId = await createOrganization();
+
+      await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Organization-Id', orgId)
+        .send({ name: 'Boiler Sensor', type: 'sensor' })
+        .expect(201);
+
+      await request(app)
+        .delete(`/organizations/${orgId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(409);
+
+      await Device.deleteMany({});
+
+      await request(app)
+        .delete(`/organizations/${orgId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+    });
+  });
+});
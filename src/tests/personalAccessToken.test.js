@@ -0,0 +1,232 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Organization = require('../models/Organization');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AuditEvent = require('../models/AuditEvent');
+const mailService = require('../services/mailService');
+
+describe('Personal access tokens', () => {
+  let accessToken;
+
+  const createToken = (fields = {}) => {
+    return request(app)
+      .post('/auth/tokens')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        name: 'CI deploy',
+        scopes: ['devices:read'],
+        expiresInDays: 30,
+        ...fields
+      });
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections (audit events are append-only through the model)
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Organization.deleteMany({});
+    await PersonalAccessToken.deleteMany({});
+    await AuditEvent.collection.deleteMany({});
+
+    await request(app)
+      .post('/auth/signup')
+      .send({
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'SecurePass123'
+      });
+
+    const loginResponse = await request(app)
+      .post('/auth/login')
+      .send({
+        email: 'test@example.com',
+        password: 'SecurePass123'
+      });
+
+    accessToken = loginResponse.body.accessToken;
+
+    await request(app)
+      .post('/devices')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'Boiler Sensor', type: 'sensor' });
+  });
+
+  describe('POST /auth/tokens', () => {
+    it('should create a token and only return it once', async () => {
+      const response = await createToken().expect(201);
+
+      expect(response.body.token).toMatch(/^pat_[0-9a-f]{64}$/);
+      expect(response.body.personalAccessToken.tokenPrefix).toBe(response.body.token.slice(0, 13));
+      expect(response.body.personalAccessToken.tokenHash).toBeUndefined();
+      expect(response.body.personalAccessToken.status).toBe('active');
+
+      const stored = await PersonalAccessToken.findById(response.body.personalAccessToken.id).select('+tokenHash');
+      expect(stored.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+
+      const event = await AuditEvent.findOne({ action: 'auth.personal_token_created' });
+      expect(event.details.scopes).toEqual(['devices:read']);
+    });
+
+    it('should require an expiry and known scopes', async () => {
+      await createToken({ expiresInDays: undefined }).expect(400);
+      await createToken({ expiresInDays: 1000 }).expect(400);
+      await createToken({ scopes: ['everything'] }).expect(400);
+    });
+  });
+
+  describe('Using a token', () => {
+    let token;
+    let tokenId;
+
+    beforeEach(async () => {
+      const response = await createToken();
+      token = response.body.token;
+      tokenId = response.body.personalAccessToken.id;
+    });
+
+    it('should authenticate as the user within its scopes', async () => {
+      const devices = await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(devices.body.devices).toHaveLength(1);
+
+      // The owner role grants devices:write, but the token was not given it
+      await request(app)
+        .post('/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Script Device', type: 'sensor' })
+        .expect(403);
+    });
+
+    it('should record when it was last used', async () => {
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/auth/tokens')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.tokens).toHaveLength(1);
+      expect(response.body.tokens[0].lastUsedAt).toBeTruthy();
+      expect(response.body.tokens[0].tokenHash).toBeUndefined();
+    });
+
+    it('should not reach account endpoints', async () => {
+      const response = await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Personal access tokens cannot be used for account endpoints');
+
+      await request(app)
+        .post('/auth/tokens')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Another', scopes: ['devices:read'], expiresInDays: 30 })
+        .expect(403);
+    });
+
+    it('should stop working once revoked', async () => {
+      await request(app)
+        .delete(`/auth/tokens/${tokenId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      await request(app)
+        .delete(`/auth/tokens/${tokenId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(409);
+    });
+
+    it('should stop working once expired', async () => {
+      await PersonalAccessToken.updateOne({ _id: tokenId }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should stop working after a password change', async () => {
+      const response = await request(app)
+        .post('/auth/change-password')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ currentPassword: 'SecurePass123', newPassword: 'NewSecurePass456' })
+        .expect(200);
+
+      expect(response.body.revokedTokens).toBe(1);
+
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should stop working after a password reset', async () => {
+      await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      const message = mailService.getLastMessage('test@example.com', 'password-reset');
+      await request(app)
+        .post('/auth/reset-password')
+        .send({ token: message.data.token, password: 'NewSecurePass456' })
+        .expect(200);
+
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      const stored = await PersonalAccessToken.findById(tokenId);
+      expect(stored.revokedAt).not.toBeNull();
+    });
+
+    it('should reject unknown tokens', async () => {
+      await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer pat_${'0'.repeat(64)}`)
+        .expect(401);
+    });
+  });
+
+  describe('DELETE /auth/tokens/:tokenId', () => {
+    it('should not revoke another user\'s token', async () => {
+      const created = await createToken();
+
+      await request(app)
+        .post('/auth/signup')
+        .send({ name: 'Other User', email: 'other@example.com', password: 'SecurePass123' });
+      const otherLogin = await request(app)
+        .post('/auth/login')
+        .send({ email: 'other@example.com', password: 'SecurePass123' });
+
+      await request(app)
+        .delete(`/auth/tokens/${created.body.personalAccessToken.id}`)
+        .set('Authorization', `Bearer ${otherLogin.body.accessToken}`)
+        .expect(404);
+    });
+  });
+});
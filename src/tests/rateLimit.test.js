@@ -0,0 +1,175 @@
+process.env.USER_RATE_LIMIT_MAX_REQUESTS = '3';
+process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const RateLimitOverride = require('../models/RateLimitOverride');
+const AuditEvent = require('../models/AuditEvent');
+const rateLimitService = require('../services/rateLimitService');
+
+describe('Rate limiting', () => {
+  let adminToken;
+  let userToken;
+  let user;
+
+  const login = (email) => {
+    return request(app)
+      .post('/auth/login')
+      .send({ email, password: 'SecurePass123' });
+  };
+
+  const getProfile = (token) => {
+    return request(app)
+      .get('/auth/profile')
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Organization.deleteMany({});
+    await RateLimitOverride.deleteMany({});
+    // Audit events are append-only through the model
+    await AuditEvent.collection.deleteMany({});
+
+    await request(app)
+      .post('/auth/signup')
+      .send({ name: 'Admin User', email: 'admin@example.com', password: 'SecurePass123' });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    await request(app)
+      .post('/auth/signup')
+      .send({ name: 'Regular User', email: 'user@example.com', password: 'SecurePass123' });
+
+    const adminLogin = await login('admin@example.com');
+    adminToken = adminLogin.body.accessToken;
+
+    const userLogin = await login('user@example.com');
+    userToken = userLogin.body.accessToken;
+    user = userLogin.body.user;
+
+    // The admin's own requests should not run into the low test limit
+    await RateLimitOverride.create({
+      policy: 'user',
+      subject: `user:${adminLogin.body.user.id}`,
+      max: 1000,
+      createdBy: adminLogin.body.user.id
+    });
+    await rateLimitService.loadOverrides();
+  });
+
+  it('should return RateLimit headers for the user policy', async () => {
+    const response = await getProfile(userToken).expect(200);
+
+    expect(response.headers['ratelimit-limit']).toBe('3');
+    expect(response.headers['ratelimit-remaining']).toBe('2');
+    expect(response.headers['ratelimit-reset']).toBeDefined();
+  });
+
+  it('should limit each user separately', async () => {
+    for (let i = 0; i < 3; i++) {
+      await getProfile(userToken).expect(200);
+    }
+
+    const limited = await getProfile(userToken).expect(429);
+    expect(limited.body.success).toBe(false);
+    expect(limited.headers['retry-after']).toBeDefined();
+
+    await getProfile(adminToken).expect(200);
+  });
+
+  it('should count a request once when several routers authenticate it', async () => {
+    // /devices passes through three routers that each authenticate
+    const response = await request(app)
+      .get('/devices/logs/unknown')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(response.headers['ratelimit-remaining']).toBe('2');
+  });
+
+  it('should apply admin overrides', async () => {
+    const response = await request(app)
+      .put('/admin/rate-limits/overrides')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ policy: 'user', subject: `user:${user.id}`, max: 10, reason: 'Integration tests' })
+      .expect(201);
+
+    expect(response.body.override.max).toBe(10);
+
+    for (let i = 0; i < 4; i++) {
+      await getProfile(userToken).expect(200);
+    }
+
+    const profile = await getProfile(userToken).expect(200);
+    expect(profile.headers['ratelimit-limit']).toBe('10');
+
+    const audited = await AuditEvent.findOne({ action: 'admin.rate_limit_override_set' });
+    expect(audited.changes.after.max).toBe(10);
+  });
+
+  it('should fall back to the policy default once an override is removed', async () => {
+    const created = await request(app)
+      .put('/admin/rate-limits/overrides')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ policy: 'user', subject: `user:${user.id}`, max: 10 })
+      .expect(201);
+
+    await request(app)
+      .delete(`/admin/rate-limits/overrides/${created.body.override.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const profile = await getProfile(userToken).expect(200);
+    expect(profile.headers['ratelimit-limit']).toBe('3');
+  });
+
+  it('should let admins inspect and reset counters', async () => {
+    for (let i = 0; i < 3; i++) {
+      await getProfile(userToken).expect(200);
+    }
+    await getProfile(userToken).expect(429);
+
+    const usage = await request(app)
+      .get('/admin/rate-limits/usage')
+      .query({ policy: 'user', subject: `user:${user.id}` })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(usage.body.limit).toBe(3);
+    expect(usage.body.counters[0].hits).toBe(4);
+
+    await request(app)
+      .post('/admin/rate-limits/reset')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ policy: 'user', subject: `user:${user.id}` })
+      .expect(200);
+
+    await getProfile(userToken).expect(200);
+    expect(await AuditEvent.findOne({ action: 'admin.rate_limit_reset' })).not.toBeNull();
+  });
+
+  it('should reject unknown policies', async () => {
+    await request(app)
+      .put('/admin/rate-limits/overrides')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ policy: 'unknown', subject: `user:${user.id}`, max: 10 })
+      .expect(400);
+  });
+
+  it('should require users:manage', async () => {
+    await request(app)
+      .get('/admin/rate-limits')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+  });
+});
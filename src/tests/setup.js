@@ -1,6 +1,7 @@
 // Test setup file
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret';
 process.env.MONGODB_URI_TEST = 'mongodb://localhost:27017/test_smart_device_platform';
 
 // Increase timeout for tests
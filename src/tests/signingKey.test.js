@@ -0,0 +1,171 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const SigningKey = require('../models/SigningKey');
+const keyStoreService = require('../services/keyStoreService');
+
+describe('Token signing keys', () => {
+  let user;
+
+  const login = async () => {
+    const response = await request(app)
+      .post('/auth/login')
+      .send({ email: 'test@example.com', password: 'SecurePass123' });
+
+    return response.body;
+  };
+
+  const getKid = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    keyStoreService.close();
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Organization.deleteMany({});
+    await SigningKey.deleteMany({});
+
+    keyStoreService.close();
+    await keyStoreService.initialize();
+
+    await request(app)
+      .post('/auth/signup')
+      .send({ name: 'Test User', email: 'test@example.com', password: 'SecurePass123' });
+
+    user = (await login()).user;
+  });
+
+  it('should sign tokens with the active key', async () => {
+    const { accessToken, refreshToken } = await login();
+    const [key] = await SigningKey.find();
+
+    expect(jwt.decode(accessToken, { complete: true }).header.alg).toBe('RS256');
+    expect(getKid(accessToken)).toBe(key.kid);
+    expect(getKid(refreshToken)).toBe(key.kid);
+
+    await request(app)
+      .get('/auth/profile')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+  });
+
+  it('should publish public keys at /.well-known/jwks.json', async () => {
+    const { accessToken } = await login();
+
+    const response = await request(app)
+      .get('/.well-known/jwks.json')
+      .expect(200);
+
+    expect(response.body.keys).toHaveLength(1);
+    expect(response.body.keys[0].kid).toBe(getKid(accessToken));
+    expect(response.body.keys[0].kty).toBe('RSA');
+    expect(response.body.keys[0].use).toBe('sig');
+    expect(response.body.keys[0].d).toBeUndefined();
+  });
+
+  it('should keep verifying tokens of superseded keys after rotation', async () => {
+    const before = await login();
+    const newKey = await keyStoreService.rotate();
+
+    // Published straight away, signing only after the activation delay
+    const jwks = await request(app).get('/.well-known/jwks.json').expect(200);
+    expect(jwks.body.keys.map(key => key.kid)).toContain(newKey.kid);
+    expect(getKid((await login()).accessToken)).toBe(getKid(before.accessToken));
+
+    await SigningKey.updateOne({ _id: newKey._id }, { activatesAt: new Date(Date.now() - 1000) });
+    await keyStoreService.load();
+
+    const after = await login();
+    expect(getKid(after.accessToken)).toBe(newKey.kid);
+
+    await request(app)
+      .get('/auth/profile')
+      .set('Authorization', `Bearer ${before.accessToken}`)
+      .expect(200);
+
+    const oldKey = await SigningKey.findOne({ kid: getKid(before.accessToken) });
+    expect(oldKey.expiresAt).not.toBeNull();
+  });
+
+  it('should only rotate when the key is due', async () => {
+    expect(await keyStoreService.rotateIfDue()).toBeNull();
+
+    await SigningKey.updateMany({}, { activatesAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+
+    expect(await keyStoreService.rotateIfDue()).not.toBeNull();
+    expect(await SigningKey.countDocuments()).toBe(2);
+  });
+
+  it('should create one key when several instances rotate at once', async () => {
+    await SigningKey.updateMany({}, { activatesAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+
+    const rotated = await Promise.all([
+      keyStoreService.rotateIfDue(),
+      keyStoreService.rotateIfDue(),
+      keyStoreService.rotateIfDue()
+    ]);
+
+    expect(rotated.filter(key => key !== null)).toHaveLength(1);
+    expect(await SigningKey.countDocuments()).toBe(2);
+    expect(await SigningKey.countDocuments({ expiresAt: null })).toBe(1);
+  });
+
+  it('should reject tokens signed with an unknown key', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign(
+      { id: user.id, type: 'access' },
+      privateKey,
+      { algorithm: 'RS256', keyid: 'unknown-key', expiresIn: '15m' }
+    );
+
+    const response = await request(app)
+      .get('/auth/profile')
+      .set('Authorization', `Bearer ${forged}`)
+      .expect(401);
+
+    expect(response.body.message).toBe('Invalid token');
+  });
+
+  describe('Tokens signed with JWT_SECRET before keys were introduced', () => {
+    const signLegacy = () => {
+      return jwt.sign({ id: user.id, type: 'access' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+    };
+
+    afterEach(() => {
+      delete process.env.JWT_LEGACY_SECRETS_UNTIL;
+    });
+
+    it('should be accepted until the legacy cutoff', async () => {
+      process.env.JWT_LEGACY_SECRETS_UNTIL = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${signLegacy()}`)
+        .expect(200);
+    });
+
+    it('should be rejected without a cutoff or after it', async () => {
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${signLegacy()}`)
+        .expect(401);
+
+      process.env.JWT_LEGACY_SECRETS_UNTIL = new Date(Date.now() - 1000).toISOString();
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${signLegacy()}`)
+        .expect(401);
+    });
+  });
+});
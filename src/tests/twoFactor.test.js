@@ -0,0 +1,215 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const totpService = require('../services/totpService');
+
+describe('Two-factor authentication', () => {
+  let accessToken;
+
+  const credentials = {
+    email: 'john@example.com',
+    password: 'SecurePass123'
+  };
+
+  const login = (data = credentials) => {
+    return request(app)
+      .post('/auth/login')
+      .send(data);
+  };
+
+  // Code for a future time step - the step used at confirmation cannot be reused
+  const codeFor = (secret, offset = 1) => {
+    return totpService.generateHotp(secret, totpService.getTimeStep() + offset);
+  };
+
+  const enroll = async () => {
+    const setup = await request(app)
+      .post('/auth/2fa/setup')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    const confirm = await request(app)
+      .post('/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: codeFor(setup.body.secret, 0) })
+      .expect(200);
+
+    return { secret: setup.body.secret, recoveryCodes: confirm.body.recoveryCodes };
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Organization.deleteMany({});
+
+    await request(app)
+      .post('/auth/signup')
+      .send({ name: 'John Doe', ...credentials });
+
+    const loginResponse = await login();
+    accessToken = loginResponse.body.accessToken;
+  });
+
+  afterEach(() => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+  });
+
+  describe('Enrollment', () => {
+    it('should return an otpauth URI and enable 2FA after confirmation', async () => {
+      const setup = await request(app)
+        .post('/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(setup.body.otpauthUrl).toContain('otpauth://totp/');
+      expect(setup.body.otpauthUrl).toContain(`secret=${setup.body.secret}`);
+
+      await request(app)
+        .post('/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      const confirm = await request(app)
+        .post('/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: codeFor(setup.body.secret, 0) })
+        .expect(200);
+
+      expect(confirm.body.recoveryCodes).toHaveLength(10);
+
+      const profile = await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(profile.body.twoFactor.enabled).toBe(true);
+      expect(profile.body.twoFactor.recoveryCodesRemaining).toBe(10);
+      expect(profile.body.user.twoFactor.secret).toBeUndefined();
+    });
+  });
+
+  describe('POST /auth/login/2fa', () => {
+    it('should require a code before issuing tokens', async () => {
+      const { secret } = await enroll();
+
+      const first = await login().expect(200);
+
+      expect(first.body.twoFactorRequired).toBe(true);
+      expect(first.body.challengeToken).toBeDefined();
+      expect(first.body.accessToken).toBeUndefined();
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${first.body.challengeToken}`)
+        .expect(401);
+
+      await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code: '123456' })
+        .expect(401);
+
+      const second = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code: codeFor(secret) })
+        .expect(200);
+
+      expect(second.body.accessToken).toBeDefined();
+      expect(second.body.user.twoFactorEnabled).toBe(true);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const first = await login().expect(200);
+      await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: first.body.challengeToken, code: recoveryCodes[0] })
+        .expect(200);
+
+      const again = await login().expect(200);
+      await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: again.body.challengeToken, code: recoveryCodes[0] })
+        .expect(401);
+    });
+  });
+
+  describe('Required two-factor', () => {
+    it('should withhold platform permissions from roles that require 2FA', async () => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+      await User.updateOne({ email: credentials.email }, { role: 'admin' });
+
+      const loginResponse = await login().expect(200);
+      expect(loginResponse.body.twoFactorSetupRequired).toBe(true);
+
+      const response = await request(app)
+        .get('/invitations')
+        .set('Authorization', `Bearer ${loginResponse.body.accessToken}`)
+        .expect(403);
+
+      expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+    });
+
+    it('should enforce an organization policy per role', async () => {
+      await request(app)
+        .post('/auth/signup')
+        .send({ name: 'Member User', email: 'member@example.com', password: 'SecurePass123' });
+      const memberLogin = await login({ email: 'member@example.com', password: 'SecurePass123' });
+      const memberToken = memberLogin.body.accessToken;
+
+      const organization = await request(app)
+        .post('/organizations')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Facilities' })
+        .expect(201);
+      const orgId = organization.body.organization.id;
+
+      await request(app)
+        .post(`/organizations/${orgId}/members`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ email: 'member@example.com', role: 'viewer' })
+        .expect(201);
+
+      // Owners cannot lock themselves out
+      await request(app)
+        .patch(`/organizations/${orgId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ twoFactorRequiredRoles: ['owner'] })
+        .expect(409);
+
+      await request(app)
+        .patch(`/organizations/${orgId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ twoFactorRequiredRoles: ['viewer'] })
+        .expect(200);
+
+      const denied = await request(app)
+        .get('/devices')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .set('X-Organization-Id', orgId)
+        .expect(403);
+
+      expect(denied.body.message).toBe('Two-factor authentication is required for permission devices:read');
+
+      const profile = await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200);
+
+      expect(profile.body.twoFactor.required).toBe(true);
+      expect(profile.body.twoFactor.requiredByOrganizations[0].id).toBe(orgId);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+// The test receiver listens on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+
+describe('Webhooks', () => {
+  let authToken;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responseStatus;
+
+  const registerWebhook = (events) => {
+    return request(app)
+      .post('/webhooks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ url: receiverUrl, events, description: 'Ticketing' })
+      .expect(201);
+  };
+
+  const createDevice = () => {
+    return request(app)
+      .post('/devices')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Hall Light', type: 'light' })
+      .expect(201);
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/test_smart_device_platform');
+
+    // Local endpoint recording what it receives
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus);
+        res.end('ok');
+      });
+    });
+
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await Webhook.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+
+    received = [];
+    responseStatus = 200;
+
+    // Deliveries are sent explicitly below
+    jest.spyOn(webhookService, 'enqueue').mockImplementation(async () => {});
+
+    // Create test user and get auth token
+    const userData = {
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'SecurePass123'
+    };
+
+    await request(app)
+      .post('/auth/signup')
+      .send(userData);
+
+    const loginResponse = await request(app)
+      .post('/auth/login')
+      .send({
+        email: userData.email,
+        password: userData.password
+      });
+
+    authToken = loginResponse.body.token;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /webhooks', () => {
+    it('should return the signing secret only once', async () => {
+      const response = await registerWebhook(['device.created']);
+
+      expect(response.body.secret).toMatch(/^whsec_/);
+      expect(response.body.webhook.secret).toBeUndefined();
+
+      const list = await request(app)
+        .get('/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.webhooks).toHaveLength(1);
+      expect(list.body.webhooks[0].secret).toBeUndefined();
+    });
+
+    it('should reject unknown event types', async () => {
+      const response = await request(app)
+        .post('/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url: receiverUrl, events: ['device.exploded'] })
+        .expect(400);
+
+      expect(response.body.message).toContain('Events must be any of');
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should deliver subscribed events with an HMAC signature', async () => {
+      const { body: { secret } } = await registerWebhook(['device.created']);
+      await createDevice();
+
+      const delivery = await WebhookDelivery.findOne({ event: 'device.created' });
+      expect(await webhookService.deliver(delivery._id)).toBe(true);
+
+      expect(received).toHaveLength(1);
+      const { headers, body } = received[0];
+      const expected = crypto.createHmac('sha256', secret)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+      expect(headers['x-webhook-event']).toBe('device.created');
+      expect(JSON.parse(body).data.device.name).toBe('Hall Light');
+
+      const stored = await WebhookDelivery.findById(delivery._id);
+      expect(stored.status).toBe('succeeded');
+      expect(stored.attempts).toHaveLength(1);
+    });
+
+    it('should only record events the webhook subscribed to', async () => {
+      await registerWebhook(['alert.fired']);
+      await createDevice();
+
+      expect(await WebhookDelivery.countDocuments({})).toBe(0);
+    });
+
+    it('should keep retrying until the last attempt fails', async () => {
+      responseStatus = 500;
+      await registerWebhook(['device.created']);
+      await createDevice();
+
+      const delivery = await WebhookDelivery.findOne({});
+      expect(await webhookService.deliver(delivery._id, false)).toBe(false);
+      expect((await WebhookDelivery.findById(delivery._id)).status).toBe('retrying');
+
+      await webhookService.deliver(delivery._id, true);
+      const stored = await WebhookDelivery.findById(delivery._id);
+      expect(stored.status).toBe('failed');
+      expect(stored.attempts).toHaveLength(2);
+      expect(stored.responseStatus).toBe(500);
+    });
+  });
+
+  describe('URL restrictions', () => {
+    const blockedUrls = [
+      'http://localhost/hooks',
+      'http://127.0.0.1:8080/hooks',
+      'http://10.0.0.5/hooks',
+      'http://192.168.1.10/hooks',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/hooks',
+      'http://0x7f.1/hooks'
+    ];
+
+    beforeEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+    });
+
+    afterEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    });
+
+    it('should reject internal addresses when registering', async () => {
+      for (const url of blockedUrls) {
+        const response = await request(app)
+          .post('/webhooks')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ url, events: ['device.created'] })
+          .expect(400);
+
+        expect(response.body.message).toContain('private, loopback or link-local');
+      }
+
+      expect(await Webhook.countDocuments({})).toBe(0);
+    });
+
+    it('should reject internal addresses when updating', async () => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+      const { body: { webhook } } = await registerWebhook(['device.created']);
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+
+      await request(app)
+        .patch(`/webhooks/${webhook._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ url: 'http://169.254.169.254/latest/meta-data/' })
+        .expect(400);
+    });
+
+    it('should not deliver to internal addresses', async () => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+      await registerWebhook(['device.created']);
+      await createDevice();
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+
+      const delivery = await WebhookDelivery.findOne({});
+      expect(await webhookService.deliver(delivery._id)).toBe(false);
+
+      expect(received).toHaveLength(0);
+      const stored = await WebhookDelivery.findById(delivery._id);
+      expect(stored.status).toBe('failed');
+      expect(stored.attempts[0].error).toContain('blocked address');
+    });
+
+    it('should not follow redirects', async () => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+      responseStatus = 302;
+      await registerWebhook(['device.created']);
+      await createDevice();
+
+      const delivery = await WebhookDelivery.findOne({});
+      expect(await webhookService.deliver(delivery._id)).toBe(false);
+
+      expect(received).toHaveLength(1);
+      expect((await WebhookDelivery.findById(delivery._id)).responseStatus).toBe(302);
+    });
+  });
+
+  describe('Delivery log', () => {
+    it('should list, inspect and replay deliveries', async () => {
+      const { body: { webhook } } = await registerWebhook(['device.created']);
+      await createDevice();
+
+      const original = await WebhookDelivery.findOne({});
+      await webhookService.deliver(original._id);
+
+      const list = await request(app)
+        .get(`/webhooks/${webhook._id}/deliveries`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.deliveries).toHaveLength(1);
+      expect(list.body.deliveries[0].status).toBe('succeeded');
+
+      const details = await request(app)
+        .get(`/webhooks/${webhook._id}/deliveries/${original._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(details.body.delivery.attempts[0].statusCode).toBe(200);
+      expect(details.body.delivery.responseBody).toBeUndefined();
+      expect(details.body.delivery.payload.event).toBe('device.created');
+
+      const replay = await request(app)
+        .post(`/webhooks/${webhook._id}/deliveries/${original._id}/replay`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(202);
+
+      expect(replay.body.delivery.replayOf).toBe(original._id.toString());
+      expect(webhookService.enqueue).toHaveBeenCalledTimes(2);
+
+      await webhookService.deliver(replay.body.delivery.id);
+      expect(received).toHaveLength(2);
+      expect(received[1].body).toBe(received[0].body);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const Joi = require('joi');
+const { PLATFORM_ROLES } = require('../config/permissions');
+
+const PLATFORM_ROLE_NAMES = Object.keys(PLATFORM_ROLES);
+
+const adminUserQuerySchema = Joi.object({
+  search: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Search cannot exceed 100 characters'
+    }),
+
+  role: Joi.string()
+    .valid(...PLATFORM_ROLE_NAMES)
+    .optional()
+    .messages({
+      'any.only': `Role must be one of: ${PLATFORM_ROLE_NAMES.join(', ')}`
+    }),
+
+  status: Joi.string()
+    .valid('active', 'inactive', 'locked')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of: active, inactive, locked'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .optional()
+});
+
+const adminUserDevicesQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .optional()
+});
+
+const changeRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...PLATFORM_ROLE_NAMES)
+    .required()
+    .messages({
+      'any.only': `Role must be one of: ${PLATFORM_ROLE_NAMES.join(', ')}`,
+      'any.required': 'Role is required'
+    })
+});
+
+module.exports = {
+  adminUserQuerySchema,
+  adminUserDevicesQuerySchema,
+  changeRoleSchema
+};
@@ -0,0 +1,226 @@
+const Joi = require('joi');
+
+const DEVICE_TYPES = ['light', 'thermostat', 'camera', 'sensor', 'smart_meter', 'switch', 'other'];
+const MAX_DURATION_SECONDS = 7 * 24 * 60 * 60;
+
+const scopeSchema = Joi.object({
+  type: Joi.string()
+    .valid('device', 'device_type', 'group')
+    .required()
+    .messages({
+      'any.only': 'Scope type must be one of: device, device_type, group',
+      'any.required': 'Scope type is required'
+    }),
+
+  device_id: Joi.string()
+    .hex()
+    .length(24)
+    .when('type', { is: 'device', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'string.hex': 'Scope device_id must be a valid device ID',
+      'string.length': 'Scope device_id must be a valid device ID',
+      'any.required': 'Scope device_id is required for device rules'
+    }),
+
+  deviceType: Joi.string()
+    .valid(...DEVICE_TYPES)
+    .when('type', { is: 'device_type', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.only': `Scope deviceType must be one of: ${DEVICE_TYPES.join(', ')}`,
+      'any.required': 'Scope deviceType is required for device type rules'
+    }),
+
+  group: Joi.string()
+    .max(100)
+    .when('type', { is: 'group', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Scope group is required for group rules'
+    })
+});
+
+const conditionSchema = Joi.object({
+  type: Joi.string()
+    .valid('threshold', 'rate_of_change', 'missing_data', 'match')
+    .required()
+    .messages({
+      'any.only': 'Condition type must be one of: threshold, rate_of_change, missing_data, match',
+      'any.required': 'Condition type is required'
+    }),
+
+  event: Joi.string()
+    .max(50)
+    .when('type', { is: Joi.valid('threshold', 'rate_of_change'), then: Joi.required() })
+    .messages({
+      'any.required': 'Condition event is required for threshold and rate_of_change rules'
+    }),
+
+  operator: Joi.string()
+    .valid('gt', 'gte', 'lt', 'lte', 'eq', 'neq')
+    .when('type', {
+      is: Joi.valid('threshold', 'rate_of_change'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'any.only': 'Condition operator must be one of: gt, gte, lt, lte, eq, neq',
+      'any.required': 'Condition operator is required for threshold and rate_of_change rules'
+    }),
+
+  value: Joi.number()
+    .when('type', {
+      is: Joi.valid('threshold', 'rate_of_change'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'any.required': 'Condition value is required for threshold and rate_of_change rules'
+    }),
+
+  clearValue: Joi.number()
+    .when('type', {
+      is: Joi.valid('threshold', 'rate_of_change'),
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    }),
+
+  severities: Joi.array()
+    .items(Joi.string().valid('info', 'warning', 'error', 'critical'))
+    .min(1)
+    .when('type', { is: 'match', then: Joi.optional(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.only': 'Condition severities must be one of: info, warning, error, critical'
+    })
+});
+
+const ruleFields = {
+  name: Joi.string()
+    .min(1)
+    .max(100)
+    .messages({
+      'string.min': 'Rule name must be at least 1 character long',
+      'string.max': 'Rule name cannot exceed 100 characters',
+      'any.required': 'Rule name is required'
+    }),
+
+  enabled: Joi.boolean(),
+
+  scope: scopeSchema.messages({
+    'any.required': 'Scope is required'
+  }),
+
+  condition: conditionSchema.messages({
+    'any.required': 'Condition is required'
+  }),
+
+  duration: Joi.number()
+    .integer()
+    .min(0)
+    .max(MAX_DURATION_SECONDS)
+    .messages({
+      'number.min': 'Duration cannot be negative',
+      'number.max': `Duration cannot exceed ${MAX_DURATION_SECONDS} seconds`
+    }),
+
+  severity: Joi.string()
+    .valid('info', 'warning', 'critical')
+    .messages({
+      'any.only': 'Severity must be one of: info, warning, critical'
+    })
+};
+
+const createAlertRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  scope: ruleFields.scope.required(),
+  condition: ruleFields.condition.required(),
+  // Missing-data rules need a silence window
+  duration: ruleFields.duration.when('condition.type', {
+    is: 'missing_data',
+    then: Joi.number().min(60).required().messages({
+      'number.min': 'Missing-data rules need a duration of at least 60 seconds',
+      'any.required': 'Duration is required for missing_data rules'
+    })
+  })
+});
+
+const updateAlertRuleSchema = Joi.object(ruleFields)
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be updated'
+  });
+
+const alertQuerySchema = Joi.object({
+  device_id: Joi.string()
+    .hex()
+    .length(24)
+    .optional()
+    .messages({
+      'string.hex': 'device_id must be a valid device ID',
+      'string.length': 'device_id must be a valid device ID'
+    }),
+
+  severity: Joi.string()
+    .valid('info', 'warning', 'critical')
+    .optional()
+    .messages({
+      'any.only': 'Severity must be one of: info, warning, critical'
+    }),
+
+  state: Joi.string()
+    .valid('firing', 'acknowledged', 'snoozed', 'resolved', 'open')
+    .optional()
+    .messages({
+      'any.only': 'State must be one of: firing, acknowledged, snoozed, resolved, open'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .optional()
+});
+
+const comment = Joi.string()
+  .max(500)
+  .optional()
+  .messages({
+    'string.max': 'Comment cannot exceed 500 characters'
+  });
+
+const acknowledgeAlertSchema = Joi.object({
+  comment
+});
+
+const snoozeAlertSchema = Joi.object({
+  until: Joi.date()
+    .iso()
+    .greater('now')
+    .required()
+    .messages({
+      'date.format': 'Snooze until must be an ISO 8601 date',
+      'date.greater': 'Snooze until must be in the future',
+      'any.required': 'Snooze until is required'
+    }),
+
+  comment
+});
+
+const resolveAlertSchema = Joi.object({
+  comment
+});
+
+module.exports = {
+  createAlertRuleSchema,
+  updateAlertRuleSchema,
+  alertQuerySchema,
+  acknowledgeAlertSchema,
+  snoozeAlertSchema,
+  resolveAlertSchema
+};
@@ -0,0 +1,103 @@
+const Joi = require('joi');
+
+const MAX_EXPORT_ROWS = 50000;
+
+// Filters shared by the list and the CSV export
+const auditFilterFields = {
+  action: Joi.string()
+    .pattern(/^[a-z0-9_.-]+(\.\*)?$/i)
+    .max(100)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Action must be an action name, or a prefix ending in .* (e.g. auth.*)'
+    }),
+
+  outcome: Joi.string()
+    .valid('success', 'failure')
+    .optional()
+    .messages({
+      'any.only': 'Outcome must be one of: success, failure'
+    }),
+
+  actorType: Joi.string()
+    .valid('user', 'device', 'client', 'system', 'anonymous')
+    .optional()
+    .messages({
+      'any.only': 'Actor type must be one of: user, device, client, system, anonymous'
+    }),
+
+  actorId: Joi.string()
+    .hex()
+    .length(24)
+    .optional()
+    .messages({
+      'string.hex': 'actorId must be a valid ID',
+      'string.length': 'actorId must be a valid ID'
+    }),
+
+  targetType: Joi.string()
+    .max(50)
+    .optional(),
+
+  targetId: Joi.string()
+    .max(100)
+    .optional(),
+
+  requestId: Joi.string()
+    .max(128)
+    .optional(),
+
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'From must be a valid date',
+      'date.format': 'From must be an ISO 8601 date'
+    }),
+
+  to: Joi.date()
+    .iso()
+    .optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) })
+    .messages({
+      'date.base': 'To must be a valid date',
+      'date.format': 'To must be an ISO 8601 date',
+      'date.greater': 'To must be after from'
+    })
+};
+
+const auditQuerySchema = Joi.object({
+  ...auditFilterFields,
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+    .optional()
+});
+
+const auditExportQuerySchema = Joi.object({
+  ...auditFilterFields,
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_EXPORT_ROWS)
+    .optional()
+    .messages({
+      'number.max': `Exports cannot exceed ${MAX_EXPORT_ROWS} rows`
+    })
+});
+
+module.exports = {
+  auditQuerySchema,
+  auditExportQuerySchema,
+  MAX_EXPORT_ROWS
+};
@@ -1,4 +1,21 @@
 const Joi = require('joi');
+const { PERMISSIONS } = require('../config/permissions');
+
+const password = Joi.string()
+  .min(6)
+  .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .messages({
+    'string.min': 'Password must be at least 6 characters long',
+    'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
+    'any.required': 'Password is required'
+  });
+
+const email = Joi.string()
+  .email()
+  .messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  });
 
 const signupSchema = Joi.object({
   name: Joi.string()
@@ -19,21 +36,13 @@ const signupSchema = Joi.object({
       'any.required': 'Email is required'
     }),
   
-  password: Joi.string()
-    .min(6)
-    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .required()
-    .messages({
-      'string.min': 'Password must be at least 6 characters long',
-      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
-      'any.required': 'Password is required'
-    }),
+  password: password.required(),
   
+  // Elevated roles are only granted through an admin invitation
   role: Joi.string()
-    .valid('user', 'admin')
-    .default('user')
+    .valid('user')
     .messages({
-      'any.only': 'Role must be either "user" or "admin"'
+      'any.only': 'Only regular user accounts can be created at signup - admin accounts require an invitation'
     })
 });
 
@@ -53,7 +62,153 @@ const loginSchema = Joi.object({
     })
 });
 
+// Changing the email needs the current password
+const updateProfileSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name cannot exceed 100 characters'
+    }),
+
+  email,
+
+  currentPassword: Joi.string()
+    .when('email', { is: Joi.exist(), then: Joi.required() })
+    .messages({
+      'any.required': 'Current password is required to change the email address'
+    })
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Current password is required'
+    }),
+
+  newPassword: password
+    .required()
+    .invalid(Joi.ref('currentPassword'))
+    .messages({
+      'any.required': 'New password is required',
+      'any.invalid': 'New password must be different from the current password'
+    })
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Refresh token is required'
+    })
+});
+
+// Authenticator app code or recovery code
+const twoFactorCode = Joi.string()
+  .trim()
+  .max(20)
+  .required()
+  .messages({
+    'any.required': 'Two-factor code is required'
+  });
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Challenge token is required'
+    }),
+
+  code: twoFactorCode
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    }),
+
+  code: twoFactorCode
+});
+
+// Used by forgot-password and resend-verification
+const emailSchema = Joi.object({
+  email: email.required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Reset token is required'
+    }),
+
+  password: password.required()
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Verification token is required'
+    })
+});
+
+const MAX_TOKEN_DAYS = parseInt(process.env.PERSONAL_ACCESS_TOKEN_MAX_DAYS) || 365;
+
+const createPersonalAccessTokenSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Token name must be at least 2 characters long',
+      'string.max': 'Token name cannot exceed 100 characters',
+      'any.required': 'Token name is required'
+    }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid(...PERMISSIONS))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Scopes must be from: ${PERMISSIONS.join(', ')}`,
+      'array.min': 'At least one scope is required',
+      'array.unique': 'Scopes cannot contain duplicates',
+      'any.required': 'Scopes are required'
+    }),
+
+  expiresInDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_TOKEN_DAYS)
+    .required()
+    .messages({
+      'number.min': 'Expiry must be at least 1 day',
+      'number.max': `Expiry cannot exceed ${MAX_TOKEN_DAYS} days`,
+      'any.required': 'Expiry (expiresInDays) is required'
+    })
+});
+
 module.exports = {
   signupSchema,
-  loginSchema
+  loginSchema,
+  refreshTokenSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  emailSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  createPersonalAccessTokenSchema
 };
@@ -33,6 +33,13 @@ const createDeviceSchema = Joi.object({
       'string.max': 'Location cannot exceed 200 characters'
     }),
   
+  group: Joi.string()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Group cannot exceed 100 characters'
+    }),
+  
   description: Joi.string()
     .max(500)
     .optional()
@@ -74,6 +81,13 @@ const updateDeviceSchema = Joi.object({
       'string.max': 'Location cannot exceed 200 characters'
     }),
   
+  group: Joi.string()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Group cannot exceed 100 characters'
+    }),
+  
   description: Joi.string()
     .max(500)
     .optional()
@@ -117,9 +131,21 @@ const deviceQuerySchema = Joi.object({
     .optional()
 });
 
+const createDeviceKeySchema = Joi.object({
+  name: Joi.string()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'string.min': 'Key name must be at least 1 character long',
+      'string.max': 'Key name cannot exceed 100 characters'
+    })
+});
+
 module.exports = {
   createDeviceSchema,
   updateDeviceSchema,
   heartbeatSchema,
-  deviceQuerySchema
+  deviceQuerySchema,
+  createDeviceKeySchema
 };
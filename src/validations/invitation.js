@@ -0,0 +1,102 @@
+const Joi = require('joi');
+const { PLATFORM_ROLES, ORGANIZATION_ROLES } = require('../config/permissions');
+
+const PLATFORM_ROLE_NAMES = Object.keys(PLATFORM_ROLES);
+const ORGANIZATION_ROLE_NAMES = Object.keys(ORGANIZATION_ROLES);
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+const createInvitationSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+
+  role: Joi.string()
+    .valid(...PLATFORM_ROLE_NAMES)
+    .messages({
+      'any.only': `Role must be one of: ${PLATFORM_ROLE_NAMES.join(', ')}`
+    }),
+
+  organization_id: Joi.string()
+    .hex()
+    .length(24)
+    .messages({
+      'string.hex': 'organization_id must be a valid organization ID',
+      'string.length': 'organization_id must be a valid organization ID'
+    }),
+
+  organizationRole: Joi.string()
+    .valid(...ORGANIZATION_ROLE_NAMES)
+    .when('organization_id', { is: Joi.exist(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.only': `Organization role must be one of: ${ORGANIZATION_ROLE_NAMES.join(', ')}`,
+      'any.unknown': 'Organization role requires an organization_id'
+    }),
+
+  expiresInHours: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_EXPIRY_HOURS)
+    .messages({
+      'number.min': 'Invitations must be valid for at least 1 hour',
+      'number.max': `Invitations cannot be valid for more than ${MAX_EXPIRY_HOURS} hours`
+    })
+});
+
+const invitationQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('pending', 'accepted', 'revoked', 'expired')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of: pending, accepted, revoked, expired'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .optional()
+});
+
+// New accounts need a name and password; existing accounts confirm with their password
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Invitation token is required'
+    }),
+
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.min': 'Name must be at least 2 characters long',
+      'string.max': 'Name cannot exceed 100 characters'
+    }),
+
+  password: Joi.string()
+    .min(6)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .required()
+    .messages({
+      'string.min': 'Password must be at least 6 characters long',
+      'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
+      'any.required': 'Password is required'
+    })
+});
+
+module.exports = {
+  createInvitationSchema,
+  invitationQuerySchema,
+  acceptInvitationSchema
+};
@@ -31,7 +31,56 @@ const createLogSchema = Joi.object({
       'any.only': 'Source must be one of: device, system, user'
     }),
   
-  metadata: Joi.object().optional()
+  metadata: Joi.object().optional(),
+
+  // Client-generated ID used to drop retried duplicates
+  message_id: Joi.string()
+    .min(1)
+    .max(128)
+    .optional()
+    .messages({
+      'string.min': 'Message ID must be at least 1 character long',
+      'string.max': 'Message ID cannot exceed 128 characters'
+    }),
+
+  // Device-side event time; defaults to the time the server received it
+  timestamp: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Timestamp must be a valid date',
+      'date.format': 'Timestamp must be an ISO 8601 date'
+    })
+});
+
+// Batch events for the multi-device endpoint also name their device
+const multiDeviceLogEventSchema = createLogSchema.keys({
+  device_id: Joi.string()
+    .hex()
+    .length(24)
+    .required()
+    .messages({
+      'string.hex': 'Device ID must be a valid ID',
+      'string.length': 'Device ID must be a valid ID',
+      'any.required': 'Device ID is required'
+    })
+});
+
+const maxBatchSize = parseInt(process.env.LOG_BATCH_MAX_SIZE) || 500;
+
+// Envelope only - each event is validated individually so one bad event
+// does not reject the whole batch
+const logBatchSchema = Joi.object({
+  events: Joi.array()
+    .items(Joi.object())
+    .min(1)
+    .max(maxBatchSize)
+    .required()
+    .messages({
+      'array.min': 'Batch must contain at least one event',
+      'array.max': `Batch cannot exceed ${maxBatchSize} events`,
+      'any.required': 'Events are required'
+    })
 });
 
 const logQuerySchema = Joi.object({
@@ -68,8 +117,53 @@ const usageQuerySchema = Joi.object({
     })
 });
 
+const metricsQuerySchema = Joi.object({
+  event: Joi.string()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Event is required'
+    }),
+
+  start: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'Start must be a valid date',
+      'date.format': 'Start must be an ISO 8601 date'
+    }),
+
+  end: Joi.date()
+    .iso()
+    .optional()
+    .when('start', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('start')) })
+    .messages({
+      'date.base': 'End must be a valid date',
+      'date.format': 'End must be an ISO 8601 date',
+      'date.greater': 'End must be after start'
+    }),
+
+  interval: Joi.string()
+    .pattern(/^[1-9]\d*[mhdw]$/)
+    .default('1h')
+    .messages({
+      'string.pattern.base': 'Interval must look like 5m, 1h, 1d or 1w'
+    }),
+
+  functions: Joi.string()
+    .pattern(/^(sum|avg|min|max|count|last|p(100|[1-9]?\d(\.\d+)?))(,(sum|avg|min|max|count|last|p(100|[1-9]?\d(\.\d+)?)))*$/)
+    .default('sum,avg,min,max,count')
+    .messages({
+      'string.pattern.base': 'Functions must be a comma-separated list of: sum, avg, min, max, count, last, p0-p100'
+    })
+});
+
 module.exports = {
   createLogSchema,
+  multiDeviceLogEventSchema,
+  logBatchSchema,
   logQuerySchema,
-  usageQuerySchema
+  usageQuerySchema,
+  metricsQuerySchema
 };
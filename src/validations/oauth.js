@@ -0,0 +1,95 @@
+const Joi = require('joi');
+const { API_CLIENT_SCOPES } = require('../config/permissions');
+
+const scopesField = Joi.array()
+  .items(Joi.string().valid(...API_CLIENT_SCOPES))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Scopes must be from: ${API_CLIENT_SCOPES.join(', ')}`,
+    'array.min': 'At least one scope is required',
+    'array.unique': 'Scopes cannot contain duplicates'
+  });
+
+const createApiClientSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Client name must be at least 2 characters long',
+      'string.max': 'Client name cannot exceed 100 characters',
+      'any.required': 'Client name is required'
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .optional()
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    }),
+
+  scopes: scopesField
+    .required()
+    .messages({
+      'any.required': 'Scopes are required'
+    }),
+
+  organization_id: Joi.string()
+    .hex()
+    .length(24)
+    .optional()
+    .messages({
+      'string.hex': 'organization_id must be a valid organization ID',
+      'string.length': 'organization_id must be a valid organization ID'
+    })
+});
+
+const updateApiClientSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.min': 'Client name must be at least 2 characters long',
+      'string.max': 'Client name cannot exceed 100 characters'
+    }),
+
+  description: Joi.string()
+    .max(500)
+    .allow('')
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    }),
+
+  scopes: scopesField
+}).min(1).messages({
+  'object.min': 'Provide name, description or scopes to update'
+});
+
+const apiClientQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('active', 'revoked')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of: active, revoked'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .optional()
+});
+
+module.exports = {
+  createApiClientSchema,
+  updateApiClientSchema,
+  apiClientQuerySchema
+};
@@ -0,0 +1,60 @@
+const Joi = require('joi');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+
+const ROLES = Object.keys(ORGANIZATION_ROLES);
+
+const name = Joi.string()
+  .min(1)
+  .max(100)
+  .messages({
+    'string.min': 'Organization name must be at least 1 character long',
+    'string.max': 'Organization name cannot exceed 100 characters',
+    'any.required': 'Organization name is required'
+  });
+
+const role = Joi.string()
+  .valid(...ROLES)
+  .messages({
+    'any.only': `Role must be one of: ${ROLES.join(', ')}`,
+    'any.required': 'Role is required'
+  });
+
+const createOrganizationSchema = Joi.object({
+  name: name.required()
+});
+
+const updateOrganizationSchema = Joi.object({
+  name,
+
+  // Roles that must enable two-factor authentication ([] removes the requirement)
+  twoFactorRequiredRoles: Joi.array()
+    .items(role)
+    .messages({
+      'array.base': 'twoFactorRequiredRoles must be an array of roles'
+    })
+}).min(1).messages({
+  'object.min': 'Provide a name or twoFactorRequiredRoles to update'
+});
+
+const addMemberSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+
+  role: role.default('viewer')
+});
+
+const updateMemberSchema = Joi.object({
+  role: role.required()
+});
+
+module.exports = {
+  createOrganizationSchema,
+  updateOrganizationSchema,
+  addMemberSchema,
+  updateMemberSchema
+};
@@ -0,0 +1,77 @@
+const Joi = require('joi');
+const { RATE_LIMIT_POLICY_NAMES } = require('../config/rateLimits');
+
+const policyField = Joi.string()
+  .valid(...RATE_LIMIT_POLICY_NAMES)
+  .messages({
+    'any.only': `Policy must be one of: ${RATE_LIMIT_POLICY_NAMES.join(', ')}`,
+    'any.required': 'Policy is required'
+  });
+
+const subjectField = Joi.string()
+  .trim()
+  .max(200)
+  .messages({
+    'string.max': 'Subject cannot exceed 200 characters',
+    'any.required': 'Subject is required'
+  });
+
+const rateLimitSubjectSchema = Joi.object({
+  policy: policyField.required(),
+  subject: subjectField.required()
+});
+
+const rateLimitOverrideSchema = Joi.object({
+  policy: policyField.required(),
+  subject: subjectField.required(),
+
+  max: Joi.number()
+    .integer()
+    .min(0)
+    .required()
+    .messages({
+      'number.min': 'Max cannot be negative',
+      'any.required': 'Max is required'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .messages({
+      'string.max': 'Reason cannot exceed 500 characters'
+    }),
+
+  expiresAt: Joi.date()
+    .iso()
+    .greater('now')
+    .optional()
+    .messages({
+      'date.format': 'Expiry must be an ISO 8601 date',
+      'date.greater': 'Expiry must be in the future'
+    })
+});
+
+const rateLimitOverrideQuerySchema = Joi.object({
+  policy: policyField.optional(),
+  subject: subjectField.optional(),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .optional()
+});
+
+module.exports = {
+  rateLimitSubjectSchema,
+  rateLimitOverrideSchema,
+  rateLimitOverrideQuerySchema
+};
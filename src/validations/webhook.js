@@ -0,0 +1,84 @@
+const Joi = require('joi');
+
+const WEBHOOK_EVENTS = [
+  'device.created',
+  'device.updated',
+  'device.deleted',
+  'device.status_changed',
+  'device.heartbeat_missed',
+  'alert.fired',
+  'export.completed'
+];
+
+const url = Joi.string()
+  .uri({ scheme: ['http', 'https'] })
+  .max(2048)
+  .messages({
+    'string.uri': 'Webhook URL must be a valid http(s) URL',
+    'string.uriCustomScheme': 'Webhook URL must be a valid http(s) URL',
+    'string.max': 'Webhook URL cannot exceed 2048 characters',
+    'any.required': 'Webhook URL is required'
+  });
+
+const events = Joi.array()
+  .items(Joi.string().valid(...WEBHOOK_EVENTS))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`,
+    'array.min': 'At least one event type is required',
+    'array.unique': 'Event types must be unique',
+    'any.required': 'Events are required'
+  });
+
+const description = Joi.string()
+  .max(200)
+  .messages({
+    'string.max': 'Description cannot exceed 200 characters'
+  });
+
+const createWebhookSchema = Joi.object({
+  url: url.required(),
+  events: events.required(),
+  description: description.optional(),
+  enabled: Joi.boolean().optional()
+});
+
+const updateWebhookSchema = Joi.object({
+  url: url.optional(),
+  events: events.optional(),
+  description: description.optional(),
+  enabled: Joi.boolean().optional()
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be updated'
+  });
+
+const deliveryQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('pending', 'retrying', 'succeeded', 'failed')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of: pending, retrying, succeeded, failed'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .optional()
+});
+
+module.exports = {
+  createWebhookSchema,
+  updateWebhookSchema,
+  deliveryQuerySchema
+};